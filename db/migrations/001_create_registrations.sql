@@ -0,0 +1,39 @@
+-- /db/migrations/001_create_registrations.sql
+-- The `registrations` table as first deployed. Later migrations extend it
+-- (payments, per-day attendance, visitor updates), so this keeps the original
+-- free-text `day` column, which 006_attendance_days.sql converts.
+--
+-- On a database that already has the table, only the missing constraints and
+-- indexes are added.
+
+CREATE TABLE IF NOT EXISTS registrations (
+    id               SERIAL PRIMARY KEY,
+    timestamp        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    registration_id  TEXT NOT NULL,
+    name             TEXT NOT NULL,
+    company          TEXT,
+    phone            TEXT NOT NULL,
+    address          TEXT,
+    city             TEXT,
+    state            TEXT,
+    day              TEXT,
+    payment_id       TEXT,
+    image_url        TEXT,
+    needs_sync       BOOLEAN NOT NULL DEFAULT true,
+    checked_in_at    TIMESTAMPTZ
+);
+
+-- One registration per phone number, and registration IDs printed on passes are unique.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'registrations_registration_id_key') THEN
+        ALTER TABLE registrations ADD CONSTRAINT registrations_registration_id_key UNIQUE (registration_id);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'registrations_phone_key') THEN
+        ALTER TABLE registrations ADD CONSTRAINT registrations_phone_key UNIQUE (phone);
+    END IF;
+END
+$$;
+
+-- The Google Sheets sync picks up only the rows flagged for it.
+CREATE INDEX IF NOT EXISTS registrations_needs_sync_idx ON registrations (registration_id) WHERE needs_sync;
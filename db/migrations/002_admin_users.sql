@@ -0,0 +1,15 @@
+-- /db/migrations/002_admin_users.sql
+-- Admin accounts for the admin panel. Passwords are stored as scrypt hashes
+-- (see hashPassword in netlify/functions/utils.js). Create accounts with
+-- `npm run create-admin`.
+
+CREATE TABLE IF NOT EXISTS admin_users (
+    id              SERIAL PRIMARY KEY,
+    username        TEXT NOT NULL UNIQUE,
+    display_name    TEXT,
+    password_hash   TEXT NOT NULL,
+    role            TEXT NOT NULL CHECK (role IN ('gate-staff', 'organizer', 'superadmin')),
+    is_active       BOOLEAN NOT NULL DEFAULT true,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_login_at   TIMESTAMPTZ
+);
@@ -0,0 +1,40 @@
+-- /db/migrations/003_admin_audit_log.sql
+-- Append-only record of every admin action (logins, searches, check-ins,
+-- undos and exports). Written by recordAuditEvent in netlify/functions/utils.js
+-- and read through the get-audit-log function. Requires migration 002.
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id               BIGSERIAL PRIMARY KEY,
+    occurred_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    admin_id         INTEGER REFERENCES admin_users(id),
+    admin_username   TEXT NOT NULL,
+    admin_role       TEXT,
+    action           TEXT NOT NULL,
+    registration_id  TEXT,
+    client_ip        TEXT,
+    before_value     JSONB,
+    after_value      JSONB,
+    details          JSONB
+);
+
+CREATE INDEX IF NOT EXISTS admin_audit_log_occurred_at_idx ON admin_audit_log (occurred_at DESC);
+CREATE INDEX IF NOT EXISTS admin_audit_log_registration_id_idx ON admin_audit_log (registration_id);
+CREATE INDEX IF NOT EXISTS admin_audit_log_admin_username_idx ON admin_audit_log (admin_username);
+CREATE INDEX IF NOT EXISTS admin_audit_log_action_idx ON admin_audit_log (action);
+
+-- Enforce append-only semantics at the database level.
+CREATE OR REPLACE FUNCTION admin_audit_log_is_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_update_delete ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_update_delete
+    BEFORE UPDATE OR DELETE ON admin_audit_log
+    FOR EACH ROW EXECUTE FUNCTION admin_audit_log_is_append_only();
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_truncate ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_truncate
+    BEFORE TRUNCATE ON admin_audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION admin_audit_log_is_append_only();
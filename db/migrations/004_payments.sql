@@ -0,0 +1,26 @@
+-- /db/migrations/004_payments.sql
+-- Paid ticket support (Razorpay). Free registrations keep payment_status = 'free'.
+-- Paid registrations start as 'pending_payment' and are confirmed by the
+-- confirm-payment function (checkout signature) or the razorpay-webhook function.
+
+ALTER TABLE registrations
+    ADD COLUMN IF NOT EXISTS payment_status TEXT NOT NULL DEFAULT 'free',
+    ADD COLUMN IF NOT EXISTS razorpay_order_id TEXT,
+    ADD COLUMN IF NOT EXISTS amount_paise INTEGER,
+    ADD COLUMN IF NOT EXISTS refunded_amount_paise INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ;
+
+ALTER TABLE registrations DROP CONSTRAINT IF EXISTS registrations_payment_status_check;
+ALTER TABLE registrations ADD CONSTRAINT registrations_payment_status_check
+    CHECK (payment_status IN ('free', 'pending_payment', 'paid', 'failed', 'refunded'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS registrations_razorpay_order_id_key ON registrations (razorpay_order_id);
+
+-- Webhook deliveries we have already processed, keyed on Razorpay's x-razorpay-event-id.
+CREATE TABLE IF NOT EXISTS payment_events (
+    event_id         TEXT PRIMARY KEY,
+    event_type       TEXT NOT NULL,
+    registration_id  TEXT,
+    payload          JSONB NOT NULL,
+    received_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
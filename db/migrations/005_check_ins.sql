@@ -0,0 +1,33 @@
+-- /db/migrations/005_check_ins.sql
+-- One row per registration per event day the visitor actually attended.
+-- registrations.checked_in_at is kept as the time of first arrival.
+
+CREATE TABLE IF NOT EXISTS check_ins (
+    id               BIGSERIAL PRIMARY KEY,
+    registration_id  TEXT NOT NULL REFERENCES registrations (registration_id) ON DELETE CASCADE,
+    event_day        TEXT NOT NULL,
+    checked_in_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    checked_in_by    INTEGER REFERENCES admin_users (id),
+    UNIQUE (registration_id, event_day)
+);
+
+CREATE INDEX IF NOT EXISTS check_ins_event_day_idx ON check_ins (event_day);
+
+-- Backfill: existing single check-ins are attributed to the event day on which
+-- they happened (IST), or to the visitor's first registered day otherwise.
+INSERT INTO check_ins (registration_id, event_day, checked_in_at)
+SELECT
+    registration_id,
+    COALESCE(
+        CASE (checked_in_at AT TIME ZONE 'Asia/Kolkata')::date
+            WHEN DATE '2025-09-12' THEN 'Day 1'
+            WHEN DATE '2025-09-13' THEN 'Day 2'
+            WHEN DATE '2025-09-14' THEN 'Day 3'
+        END,
+        NULLIF(TRIM(split_part(day, ',', 1)), ''),
+        'Day 1'
+    ),
+    checked_in_at
+FROM registrations
+WHERE checked_in_at IS NOT NULL
+ON CONFLICT (registration_id, event_day) DO NOTHING;
@@ -0,0 +1,43 @@
+-- /db/migrations/006_attendance_days.sql
+-- Replaces the free-text, comma-joined `registrations.day` column with a
+-- normalized `attendance_days TEXT[]` holding event day labels ("Day 1", ...).
+--
+-- Existing values are split on commas, trimmed, and normalized ("day1",
+-- " DAY 2 " -> "Day 1", "Day 2"); anything that does not look like a day label
+-- is dropped. The original text is kept in `day_legacy` for reference.
+-- Safe to run more than once.
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS attendance_days TEXT[];
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'registrations' AND column_name = 'day'
+    ) THEN
+        UPDATE registrations r
+        SET attendance_days = ARRAY(
+            SELECT DISTINCT normalized
+            FROM (
+                SELECT regexp_replace(trim(value), '^day\s*(\d+)$', 'Day \1', 'i') AS normalized
+                FROM unnest(string_to_array(r.day, ',')) AS t(value)
+            ) parts
+            WHERE normalized ~ '^Day \d+$'
+            ORDER BY normalized
+        )
+        WHERE r.attendance_days IS NULL;
+
+        ALTER TABLE registrations RENAME COLUMN day TO day_legacy;
+    END IF;
+END
+$$;
+
+UPDATE registrations SET attendance_days = '{}' WHERE attendance_days IS NULL;
+ALTER TABLE registrations ALTER COLUMN attendance_days SET DEFAULT '{}';
+ALTER TABLE registrations ALTER COLUMN attendance_days SET NOT NULL;
+
+-- Supports "registered for day X" lookups (stats, filters, check-in).
+CREATE INDEX IF NOT EXISTS registrations_attendance_days_idx ON registrations USING GIN (attendance_days);
+
+-- Registrations whose legacy value could not be converted, for manual review:
+--   SELECT registration_id, day_legacy FROM registrations WHERE cardinality(attendance_days) = 0;
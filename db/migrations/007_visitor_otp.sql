@@ -0,0 +1,19 @@
+-- /db/migrations/007_visitor_otp.sql
+-- One-time codes that visitors use to prove they own a registered phone number
+-- before fetching their pass or updating their registration.
+-- Codes are stored as an HMAC, never in plain text.
+
+CREATE TABLE IF NOT EXISTS otp_codes (
+    id           BIGSERIAL PRIMARY KEY,
+    phone        TEXT NOT NULL,
+    code_hash    TEXT NOT NULL,
+    expires_at   TIMESTAMPTZ NOT NULL,
+    attempts     INTEGER NOT NULL DEFAULT 0,
+    consumed_at  TIMESTAMPTZ,
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS otp_codes_phone_created_at_idx ON otp_codes (phone, created_at DESC);
+
+-- Set whenever a visitor edits their own registration.
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
@@ -0,0 +1,16 @@
+-- /db/migrations/008_search_indexes.sql
+-- Indexes for the admin search (search-user.js).
+-- Trigram indexes serve both the case-insensitive partial match (ILIKE '%text%')
+-- and the typo-tolerant word similarity operator (<%) on name, company and city.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS registrations_name_trgm_idx ON registrations USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS registrations_company_trgm_idx ON registrations USING GIN (company gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS registrations_city_trgm_idx ON registrations USING GIN (city gin_trgm_ops);
+
+-- Exact, case-insensitive state filter.
+CREATE INDEX IF NOT EXISTS registrations_state_lower_idx ON registrations (LOWER(TRIM(state)));
+
+-- Registration date range filter and the default "newest first" sort.
+CREATE INDEX IF NOT EXISTS registrations_timestamp_idx ON registrations (timestamp);
@@ -0,0 +1,30 @@
+-- /db/migrations/009_sheet_sync.sql
+-- Two-way Google Sheets sync (sync-with-google-sheets.js).
+--
+-- sheet_sync_state holds, per registration, the editable values as last written
+-- to the Sheet. Comparing the Sheet and the database against it tells which
+-- side changed a cell since the last push.
+
+CREATE TABLE IF NOT EXISTS sheet_sync_state (
+    registration_id  TEXT PRIMARY KEY REFERENCES registrations (registration_id) ON DELETE CASCADE,
+    synced_values    JSONB NOT NULL,
+    synced_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Sheet edits that were not imported because the database value had changed
+-- too (or there was no earlier push to compare against). The database value is
+-- kept and written back to the Sheet; the Sheet value is preserved here for review.
+CREATE TABLE IF NOT EXISTS sheet_sync_conflicts (
+    id               BIGSERIAL PRIMARY KEY,
+    registration_id  TEXT NOT NULL REFERENCES registrations (registration_id) ON DELETE CASCADE,
+    column_name      TEXT NOT NULL,
+    reason           TEXT NOT NULL CHECK (reason IN ('both_changed', 'no_baseline', 'invalid_value', 'changed_during_sync')),
+    base_value       TEXT,
+    sheet_value      TEXT,
+    db_value         TEXT,
+    detected_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The same conflict is reported once, not on every run.
+CREATE UNIQUE INDEX IF NOT EXISTS sheet_sync_conflicts_unique_idx
+    ON sheet_sync_conflicts (registration_id, column_name, reason, COALESCE(sheet_value, ''), COALESCE(db_value, ''));
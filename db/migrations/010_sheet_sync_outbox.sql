@@ -0,0 +1,44 @@
+-- /db/migrations/010_sheet_sync_outbox.sql
+-- Change versions and run records for the Google Sheets sync (sync-with-google-sheets.js).
+--
+-- Every write that sets `needs_sync = true` also gives the registration a new
+-- `sync_version`. The push remembers the version it read and clears
+-- `needs_sync` only where the version is unchanged, so an edit made while a
+-- sync is running stays pending for the next one.
+
+CREATE SEQUENCE IF NOT EXISTS registrations_sync_version_seq;
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS sync_version BIGINT NOT NULL DEFAULT nextval('registrations_sync_version_seq');
+
+CREATE OR REPLACE FUNCTION registrations_bump_sync_version() RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.needs_sync THEN
+        NEW.sync_version := nextval('registrations_sync_version_seq');
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS registrations_bump_sync_version ON registrations;
+CREATE TRIGGER registrations_bump_sync_version
+    BEFORE INSERT OR UPDATE ON registrations
+    FOR EACH ROW EXECUTE FUNCTION registrations_bump_sync_version();
+
+-- One row per sync run. Pushes are written and marked synced chunk by chunk,
+-- so a failed run's completed chunks are not sent again; the next run picks up
+-- the rows that are still pending and records which run it resumed.
+CREATE TABLE IF NOT EXISTS sheet_sync_runs (
+    id                   BIGSERIAL PRIMARY KEY,
+    mode                 TEXT NOT NULL,
+    status               TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    resumed_from_run_id  BIGINT REFERENCES sheet_sync_runs (id),
+    chunks_total         INTEGER NOT NULL DEFAULT 0,
+    chunks_done          INTEGER NOT NULL DEFAULT 0,
+    rows_synced          INTEGER NOT NULL DEFAULT 0,
+    result               JSONB,
+    error                TEXT,
+    started_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at          TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS sheet_sync_runs_started_at_idx ON sheet_sync_runs (started_at DESC);
@@ -0,0 +1,24 @@
+-- /db/migrations/011_export_jobs.sql
+-- Background export jobs (export-data queues them, export-data-background runs
+-- them, get-export-job reports their progress).
+
+CREATE TABLE IF NOT EXISTS export_jobs (
+    id               UUID PRIMARY KEY,
+    status           TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+    -- The export parameters as accepted by parseExportOptions (format, columns, day, state, checkedIn).
+    params           JSONB NOT NULL,
+    admin_id         INTEGER,
+    admin_username   TEXT NOT NULL,
+    admin_role       TEXT,
+    client_ip        TEXT,
+    rows_total       INTEGER,
+    rows_processed   INTEGER NOT NULL DEFAULT 0,
+    storage_key      TEXT,
+    file_name        TEXT,
+    error            TEXT,
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at       TIMESTAMPTZ,
+    finished_at      TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS export_jobs_admin_created_at_idx ON export_jobs (admin_username, created_at DESC);
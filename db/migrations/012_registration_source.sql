@@ -0,0 +1,5 @@
+-- /db/migrations/012_registration_source.sql
+-- Where a registration came from: 'web' for the public form, otherwise the
+-- source given to import-registrations (e.g. 'paper' or a partner's name).
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'web';
@@ -0,0 +1,19 @@
+-- /db/migrations/013_profile_image_review.sql
+-- Review queue for pass photos: every new or replaced photo is 'pending' until
+-- an admin approves or rejects it (see review-images). Photos uploaded before
+-- the queue existed are treated as approved.
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS image_status TEXT NOT NULL DEFAULT 'approved'
+    CHECK (image_status IN ('pending', 'approved', 'rejected'));
+ALTER TABLE registrations ALTER COLUMN image_status SET DEFAULT 'pending';
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS image_uploaded_at TIMESTAMPTZ;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS image_reviewed_at TIMESTAMPTZ;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS image_reviewed_by TEXT;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS image_rejection_reason TEXT;
+
+UPDATE registrations SET image_uploaded_at = timestamp WHERE image_uploaded_at IS NULL;
+ALTER TABLE registrations ALTER COLUMN image_uploaded_at SET DEFAULT NOW();
+
+-- The review queue lists pending photos, oldest first.
+CREATE INDEX IF NOT EXISTS registrations_image_pending_idx ON registrations (image_uploaded_at) WHERE image_status = 'pending';
@@ -0,0 +1,8 @@
+-- /db/migrations/014_badge_printing.sql
+-- When a registration's badge was last printed in a batch (see print-badges),
+-- so the same badges are not printed twice.
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS badge_printed_at TIMESTAMPTZ;
+
+-- Supports the default "not yet printed" batch, oldest registrations first.
+CREATE INDEX IF NOT EXISTS registrations_badge_not_printed_idx ON registrations (timestamp) WHERE badge_printed_at IS NULL;
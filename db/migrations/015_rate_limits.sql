@@ -0,0 +1,17 @@
+-- /db/migrations/015_rate_limits.sql
+-- Request log for the shared rate limiter (see netlify/functions/lib/rate-limit.js).
+-- Each row is one counted request for a bucket (a function name, or
+-- 'admin-login-failures' for the password lockout) and a client key (the IP
+-- address, or "<username>@<IP address>" for the lockout). Limits are sliding
+-- windows over these rows, so they hold across all function instances.
+-- cleanup-rate-limits deletes rows older than the longest window every hour.
+
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+    id          BIGSERIAL PRIMARY KEY,
+    bucket      TEXT NOT NULL,
+    client_key  TEXT NOT NULL,
+    hit_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_hits_bucket_key_hit_at_idx ON rate_limit_hits (bucket, client_key, hit_at DESC);
+CREATE INDEX IF NOT EXISTS rate_limit_hits_hit_at_idx ON rate_limit_hits (hit_at);
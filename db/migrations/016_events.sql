@@ -0,0 +1,83 @@
+-- /db/migrations/016_events.sql
+-- Multiple expos. Each event holds its own configuration, which the functions
+-- previously took from constants and environment variables:
+-- - id_prefix:      registration IDs are "<id_prefix>-<8 hex digits>"
+-- - days:           `[{ "label": "Day 1", "date": "YYYY-MM-DD" }, ...]`, in order
+--                   (registrations.attendance_days and check_ins.event_day hold the labels)
+-- - time_zone:      for "today's" event day, stats and date filters
+-- - google_sheet_id / sheet_name: the Sheet and tab the sync writes to
+--                   (a NULL google_sheet_id uses GOOGLE_SHEET_ID; each event
+--                   needs its own tab, see events_sheet_key below)
+-- - image_folder / export_folder: where photos and export files are stored
+-- - registration_opens_at / registration_closes_at: the registration window
+--                   (NULL leaves that side open)
+--
+-- Registrations, one-time codes, Sheet sync runs and export jobs now belong
+-- to an event. A phone number may register once per event.
+--
+-- The current expo is created as 'tdexpo-up-2025' and owns every existing
+-- row. Deployments that set the EVENT_DAYS environment variable should copy
+-- it into the event afterwards, e.g.
+--   UPDATE events SET days = '[{"label":"Day 1","date":"2025-09-12"}]' WHERE slug = 'tdexpo-up-2025';
+
+CREATE TABLE IF NOT EXISTS events (
+    id                      SERIAL PRIMARY KEY,
+    slug                    TEXT NOT NULL UNIQUE CHECK (slug ~ '^[a-z0-9][a-z0-9-]{1,62}$'),
+    name                    TEXT NOT NULL,
+    venue                   TEXT,
+    id_prefix               TEXT NOT NULL UNIQUE CHECK (id_prefix ~ '^[A-Z0-9]{2,16}$'),
+    time_zone               TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+    days                    JSONB NOT NULL CHECK (CASE WHEN jsonb_typeof(days) = 'array' THEN jsonb_array_length(days) > 0 ELSE false END),
+    google_sheet_id         TEXT,
+    sheet_name              TEXT NOT NULL DEFAULT 'Registrations',
+    image_folder            TEXT NOT NULL CHECK (image_folder ~ '^[a-z0-9-]+$'),
+    export_folder           TEXT NOT NULL CHECK (export_folder ~ '^[a-z0-9-]+$'),
+    registration_opens_at   TIMESTAMPTZ,
+    registration_closes_at  TIMESTAMPTZ CHECK (registration_closes_at > registration_opens_at),
+    is_active               BOOLEAN NOT NULL DEFAULT true,
+    created_at              TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO events (slug, name, venue, id_prefix, days, image_folder, export_folder)
+VALUES (
+    'tdexpo-up-2025',
+    'TENT DECOR EXPO UP 2025',
+    'Indira Gandhi Pratishthan, Lucknow',
+    'TDEXPOUP',
+    '[{"label": "Day 1", "date": "2025-09-12"}, {"label": "Day 2", "date": "2025-09-13"}, {"label": "Day 3", "date": "2025-09-14"}]',
+    'expo-profile-images-2025',
+    'expo-exports-2025'
+)
+ON CONFLICT (slug) DO NOTHING;
+
+-- No two events may sync to the same Sheet tab: their rows would interleave,
+-- and rebuilding one event's Sheet clears the tab. A NULL google_sheet_id
+-- means GOOGLE_SHEET_ID, so events left on it need different sheet_names, e.g.
+--   INSERT INTO events (slug, ..., sheet_name) VALUES ('tdexpo-up-2026', ..., 'Registrations 2026');
+CREATE UNIQUE INDEX IF NOT EXISTS events_sheet_key ON events (COALESCE(google_sheet_id, ''), sheet_name);
+
+-- Registrations
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events (id);
+UPDATE registrations SET event_id = (SELECT id FROM events WHERE slug = 'tdexpo-up-2025') WHERE event_id IS NULL;
+ALTER TABLE registrations ALTER COLUMN event_id SET NOT NULL;
+
+-- One registration per phone number per event (it was one per phone number).
+-- The new constraint's index also serves every "registrations of this event" query.
+ALTER TABLE registrations DROP CONSTRAINT IF EXISTS registrations_phone_key;
+ALTER TABLE registrations ADD CONSTRAINT registrations_event_phone_key UNIQUE (event_id, phone);
+
+-- One-time codes prove the phone number for one event's registration.
+ALTER TABLE otp_codes ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events (id);
+UPDATE otp_codes SET event_id = (SELECT id FROM events WHERE slug = 'tdexpo-up-2025') WHERE event_id IS NULL;
+ALTER TABLE otp_codes ALTER COLUMN event_id SET NOT NULL;
+
+-- Each event's Sheet is synced, and its runs resumed, separately.
+ALTER TABLE sheet_sync_runs ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events (id);
+UPDATE sheet_sync_runs SET event_id = (SELECT id FROM events WHERE slug = 'tdexpo-up-2025') WHERE event_id IS NULL;
+ALTER TABLE sheet_sync_runs ALTER COLUMN event_id SET NOT NULL;
+CREATE INDEX IF NOT EXISTS sheet_sync_runs_event_id_idx ON sheet_sync_runs (event_id, id DESC);
+
+-- Export jobs export one event's registrations.
+ALTER TABLE export_jobs ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events (id);
+UPDATE export_jobs SET event_id = (SELECT id FROM events WHERE slug = 'tdexpo-up-2025') WHERE event_id IS NULL;
+ALTER TABLE export_jobs ALTER COLUMN event_id SET NOT NULL;
@@ -0,0 +1,52 @@
+-- /db/migrations/017_capacity_waitlist.sql
+-- Visitor caps per event day, and a waitlist for registrations that arrive
+-- once a day they chose is full.
+--
+-- A day's cap is the optional "capacity" of its entry in events.days, e.g.
+--   UPDATE events SET days = '[{"label":"Day 1","date":"2025-09-12","capacity":1500}, ...]' WHERE slug = '...';
+-- A day without one is unlimited. The cap counts confirmed registrations for
+-- that day that are free, paid for, or awaiting a payment whose hold has not
+-- lapsed.
+--
+-- registration_status:
+-- - confirmed:  has (or, once paid, will have) a place on every day chosen
+-- - waitlisted: at least one chosen day was full; waitlisted_at orders the
+--               waitlist, and promoted_at records when a place was found
+--
+-- place_held_until: a confirmed registration awaiting payment holds its places
+-- until then (PAYMENT_HOLD_MINUTES after it was made, promoted or resumed). A
+-- failed payment holds nothing. Once the hold lapses the places are free again,
+-- and release-payment-holds offers them to the waitlist.
+--
+-- payment_review_reason: a payment an organizer must refund or settle by hand
+-- (review_payment_id), shown in the admin search:
+-- - paid_while_waitlisted: paid on the waitlist, or after the hold lapsed and a
+--                          day filled up; cleared by promotion or a refund
+-- - duplicate_payment:     a second payment for an order that was already paid;
+--                          cleared once that payment is refunded
+-- - unexpected_payment:    paid after the registration was refunded; cleared by a refund
+--
+-- Registrations opening and closing use the existing
+-- events.registration_opens_at / registration_closes_at.
+
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS registration_status TEXT NOT NULL DEFAULT 'confirmed';
+ALTER TABLE registrations DROP CONSTRAINT IF EXISTS registrations_registration_status_check;
+ALTER TABLE registrations ADD CONSTRAINT registrations_registration_status_check
+    CHECK (registration_status IN ('confirmed', 'waitlisted'));
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS waitlisted_at TIMESTAMPTZ;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMPTZ;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS place_held_until TIMESTAMPTZ;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS payment_review_reason TEXT;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS review_payment_id TEXT;
+
+-- Registrations already awaiting payment get a fresh hold.
+UPDATE registrations SET place_held_until = NOW() + INTERVAL '30 minutes'
+WHERE payment_status = 'pending_payment' AND place_held_until IS NULL;
+
+-- Promotion reads an event's waitlist in order.
+CREATE INDEX IF NOT EXISTS registrations_waitlist_idx ON registrations (event_id, waitlisted_at)
+    WHERE registration_status = 'waitlisted';
+
+-- Organizers list the payments awaiting review.
+CREATE INDEX IF NOT EXISTS registrations_payment_review_idx ON registrations (event_id)
+    WHERE payment_review_reason IS NOT NULL;
@@ -0,0 +1,24 @@
+-- /db/migrations/018_registration_cancellation.sql
+-- Cancelled registrations. Nothing is deleted: a registration cancelled by an
+-- admin (duplicates, spam) or by its verified visitor keeps its row, and is
+-- left out of stats, searches, exports, passes and check-in until restored.
+--
+-- registration_status gains:
+-- - cancelled: cancelled_at / cancelled_by / cancellation_reason say when,
+--              by whom (an admin's username, or 'visitor') and why
+--
+-- Restoring clears the three columns and re-applies the capacity rules of
+-- migration 017: the registration is confirmed if its days have a place (one
+-- still to pay gets a fresh place_held_until), and joins the end of the
+-- waitlist otherwise.
+--
+-- A payment captured for a cancelled registration leaves it cancelled, flagged
+-- unexpected_payment (payment_review_reason, migration 017) for an organizer
+-- to refund.
+
+ALTER TABLE registrations DROP CONSTRAINT IF EXISTS registrations_registration_status_check;
+ALTER TABLE registrations ADD CONSTRAINT registrations_registration_status_check
+    CHECK (registration_status IN ('confirmed', 'waitlisted', 'cancelled'));
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS cancelled_by TEXT;
+ALTER TABLE registrations ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
@@ -1,34 +1,79 @@
 // /netlify/functions/admin-login.js
 
-exports.handler = async (event) => {
-    if (event.httpMethod !== 'POST') {
-        return { statusCode: 405, body: 'Method Not Allowed' };
-    }
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { verifyPassword, signAdminToken } = require("./lib/auth");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const {
+    LOGIN_LOCKOUT, getLoginLockoutKey, checkRateLimit, clearRateLimit, tooManyRequestsResponse,
+} = require("./lib/rate-limit");
+
+const CREDENTIALS_REQUIRED = 'Username and password are required.';
+
+/**
+ * Authenticates an admin user against the `admin_users` table and issues a
+ * short-lived signed session token recording who is logged in and their role.
+ * After LOGIN_LOCKOUT.limit failed attempts within its window, the username is
+ * locked out from that IP address (429 with `Retry-After`) without its
+ * password being checked.
+ */
+exports.handler = createHandler({
+    name: 'admin-login',
+    methods: ['POST'],
+    body: {
+        username: { type: 'string', required: true, message: CREDENTIALS_REQUIRED },
+        password: { type: 'string', required: true, message: CREDENTIALS_REQUIRED },
+    },
+}, async (event, { body }) => {
+    const normalizedUsername = body.username.trim().toLowerCase();
+    const lockoutKey = getLoginLockoutKey(event, normalizedUsername);
 
+    let dbClient;
     try {
-        const { password } = JSON.parse(event.body);
-
-        // Use the same key for login password and API authentication
-        const secretKey = process.env.EXPORT_SECRET_KEY;
-
-        // Check if the provided password matches your secret key
-        if (password && password === secretKey) {
-            // If correct, return the secret key to be used by the admin panel
-            return {
-                statusCode: 200,
-                body: JSON.stringify({ secretKey: secretKey }),
-            };
-        } else {
-            // If incorrect, return an unauthorized error
-            return {
-                statusCode: 401,
-                body: JSON.stringify({ error: 'Invalid password.' }),
-            };
+        dbClient = await pool.connect();
+
+        const lockout = await checkRateLimit(LOGIN_LOCKOUT.bucket, lockoutKey, LOGIN_LOCKOUT, { consume: false });
+        if (!lockout.allowed) {
+            await recordAuditEvent(dbClient, event, { username: normalizedUsername }, { action: AUDIT_ACTIONS.LOGIN_FAILED, details: { lockedOut: true } });
+            return tooManyRequestsResponse(lockout.retryAfterSeconds, "Too many failed login attempts for this account.");
+        }
+
+        const { rows } = await dbClient.query(
+            'SELECT id, username, display_name, password_hash, role FROM admin_users WHERE username = $1 AND is_active = true',
+            [normalizedUsername]
+        );
+        const adminUser = rows[0];
+
+        // Use the same error for unknown users and wrong passwords to avoid leaking valid usernames.
+        if (!adminUser || !(await verifyPassword(body.password, adminUser.password_hash))) {
+            const { remaining } = await checkRateLimit(LOGIN_LOCKOUT.bucket, lockoutKey, LOGIN_LOCKOUT);
+            await recordAuditEvent(dbClient, event, { username: normalizedUsername }, {
+                action: AUDIT_ACTIONS.LOGIN_FAILED,
+                details: remaining === 0 ? { lockedOut: true } : null,
+            });
+            return { statusCode: 401, body: JSON.stringify({ error: 'Invalid username or password.' }) };
         }
-    } catch (error) {
+
+        await dbClient.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [adminUser.id]);
+        await clearRateLimit(LOGIN_LOCKOUT.bucket, lockoutKey);
+        await recordAuditEvent(dbClient, event, adminUser, { action: AUDIT_ACTIONS.LOGIN });
+        const { token, expiresAt } = signAdminToken(adminUser);
+
         return {
-            statusCode: 500,
-            body: JSON.stringify({ error: 'An internal error occurred.' }),
+            statusCode: 200,
+            body: JSON.stringify({
+                token,
+                expiresAt,
+                admin: {
+                    username: adminUser.username,
+                    displayName: adminUser.display_name || adminUser.username,
+                    role: adminUser.role,
+                },
+            }),
         };
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
     }
-};
\ No newline at end of file
+});
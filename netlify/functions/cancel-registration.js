@@ -0,0 +1,81 @@
+// /netlify/functions/cancel-registration.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { AUDIT_ACTIONS, recordAuditEvent } = require("./lib/audit");
+const { formatVisitorRegistration } = require("./lib/registrations");
+const { notifyPromotedVisitors } = require("./lib/capacity");
+const { CANCELLED_BY_VISITOR, MAX_CANCELLATION_REASON_LENGTH, cancelRegistration } = require("./lib/cancellation");
+
+// Audit log actor for cancellations made by visitors themselves.
+const VISITOR_ACTOR = { username: CANCELLED_BY_VISITOR };
+
+/**
+ * Lets a verified visitor (see verify-otp) cancel their own registration,
+ * with an optional `{ "reason" }`. Their pass stops working, and the places
+ * they held go to the waitlist. A registration that has already been used to
+ * check in cannot be cancelled (409). Only an admin can restore it afterwards
+ * (see update-registration-status).
+ */
+exports.handler = createHandler({
+    name: 'cancel-registration',
+    methods: ['POST'],
+    auth: 'visitor',
+    event: true,
+    body: {
+        reason: { type: 'string', maxLength: MAX_CANCELLATION_REASON_LENGTH, message: `The reason must be at most ${MAX_CANCELLATION_REASON_LENGTH} characters.` },
+    },
+}, async (event, { registrationId, expo, body }) => {
+    const reason = (body.reason || '').trim();
+
+    let dbClient;
+    try {
+        dbClient = await pool.connect();
+        await dbClient.query('BEGIN');
+
+        // 1. Cancel, offering the freed places to the waitlist.
+        const { outcome, before, registration, promoted } = await cancelRegistration(dbClient, expo, registrationId, {
+            cancelledBy: CANCELLED_BY_VISITOR,
+            reason,
+        });
+        if (outcome !== 'cancelled') {
+            await dbClient.query('ROLLBACK');
+            if (outcome === 'not_found') {
+                return { statusCode: 404, body: JSON.stringify({ error: "No registration was found." }) };
+            }
+            const error = outcome === 'checked_in'
+                ? "This registration has already been used to check in, so it cannot be cancelled."
+                : "This registration is already cancelled.";
+            return { statusCode: 409, body: JSON.stringify({ status: outcome, error }) };
+        }
+
+        // 2. Audit: visitors' cancellations are recorded alongside admins'.
+        await recordAuditEvent(dbClient, event, VISITOR_ACTOR, {
+            action: AUDIT_ACTIONS.CANCEL_REGISTRATION,
+            registrationId,
+            before: { registrationStatus: before.registration_status },
+            after: { registrationStatus: registration.registration_status, reason: registration.cancellation_reason },
+            details: { promoted: promoted.map(row => row.registration_id) },
+        });
+        await dbClient.query('COMMIT');
+        await notifyPromotedVisitors(expo, promoted);
+
+        // 3. Success Response
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                status: "cancelled",
+                message: `Your registration ${registrationId} for ${expo.name} has been cancelled.`,
+                ...formatVisitorRegistration(registration),
+            }),
+        };
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
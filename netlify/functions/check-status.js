@@ -1,6 +1,8 @@
 // /netlify/functions/check-status.js
 
-const { pool, getGoogleSheetsClient } = require("./utils");
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { getSheetsClient } = require("./lib/sheets");
 const cloudinary = require("cloudinary").v2;
 
 // --- Cloudinary Configuration ---
@@ -16,19 +18,12 @@ cloudinary.config({
  * Checks the operational status of all critical external services:
  * - Neon Database (via pg.Pool)
  * - Cloudinary API
- * - Google Sheets API
- * This function is protected and intended for admin use only.
+ * - Google Sheets API (the event's Sheet)
+ * It also reports the event's last Google Sheets sync run and how many of its registrations await the next one.
+ * This function is protected: any logged-in admin may view system status.
  */
-exports.handler = async (event) => {
-    // 1. Security Check
-    const providedKey = event.headers['x-admin-key'];
-    const secretKey = process.env.EXPORT_SECRET_KEY;
-
-    if (!providedKey || providedKey !== secretKey) {
-        return { statusCode: 401, body: JSON.stringify({ error: "Unauthorized" }) };
-    }
-
-    // 2. Database Status Check
+exports.handler = createHandler({ name: 'check-status', methods: ['GET'], auth: 'admin', event: true }, async (event, { expo }) => {
+    // 1. Database Status Check
     const checkDatabase = async () => {
         let dbClient;
         try {
@@ -43,7 +38,7 @@ exports.handler = async (event) => {
         }
     };
 
-    // 3. Cloudinary Status Check
+    // 2. Cloudinary Status Check
     const checkCloudinary = () => {
         return new Promise((resolve) => {
             cloudinary.api.ping((error, result) => {
@@ -59,15 +54,13 @@ exports.handler = async (event) => {
         });
     };
 
-    // 4. Google Sheets Status Check
+    // 3. Google Sheets Status Check
     const checkGoogleSheets = async () => {
         try {
-            const sheets = await getGoogleSheetsClient();
-            // A simple metadata read is a lightweight way to check auth and connectivity.
-            await sheets.spreadsheets.get({
-                spreadsheetId: process.env.GOOGLE_SHEET_ID,
-                fields: 'spreadsheetId' // Request minimal data
-            });
+            // The same client the sync uses, so SHEETS_PROVIDER applies here too.
+            const sheets = await getSheetsClient(expo);
+            // Reading a single cell is a lightweight way to check auth and connectivity.
+            await sheets.getValues(`${expo.sheetName}!A1`);
             return { status: 'ok', message: 'Connected' };
         } catch (error) {
             console.error("Google Sheets check failed:", error.message);
@@ -75,23 +68,35 @@ exports.handler = async (event) => {
         }
     };
 
+    // 4. Sheet Sync Progress: the latest run (see sheet_sync_runs) and the pending backlog.
+    const checkSheetSync = async () => {
+        let dbClient;
+        try {
+            dbClient = await pool.connect();
+            const { rows: [lastRun] } = await dbClient.query(`
+                SELECT id, mode, status, chunks_done, chunks_total, rows_synced, error, started_at, finished_at
+                FROM sheet_sync_runs WHERE event_id = $1 ORDER BY id DESC LIMIT 1
+            `, [expo.id]);
+            const { rows: [{ pending }] } = await dbClient.query('SELECT COUNT(*)::int AS pending FROM registrations WHERE event_id = $1 AND needs_sync', [expo.id]);
+            return { pending, lastRun: lastRun || null };
+        } catch (error) {
+            console.error("Sheet sync check failed:", error.message);
+            return null;
+        } finally {
+            if (dbClient) dbClient.release();
+        }
+    };
+
     // 5. Run all checks in parallel and return results
-    try {
-        const [database, cloudinary, googleSheets] = await Promise.all([
-            checkDatabase(),
-            checkCloudinary(),
-            checkGoogleSheets()
-        ]);
+    const [database, cloudinaryStatus, googleSheets, sheetSync] = await Promise.all([
+        checkDatabase(),
+        checkCloudinary(),
+        checkGoogleSheets(),
+        checkSheetSync()
+    ]);
 
-        return {
-            statusCode: 200,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ database, cloudinary, googleSheets }),
-        };
-    } catch (error) {
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ error: 'An unexpected error occurred during status checks.' })
-        };
-    }
-};
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ database, cloudinary: cloudinaryStatus, googleSheets, sheetSync }),
+    };
+});
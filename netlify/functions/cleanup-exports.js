@@ -0,0 +1,21 @@
+// /netlify/functions/cleanup-exports.js
+
+const { createHandler } = require("./utils");
+const { getEvents } = require("./lib/events");
+const { getExportStorage, EXPORT_RETENTION_HOURS } = require("./lib/export-storage");
+
+/**
+ * Scheduled function (see netlify.toml) that deletes export files older than
+ * EXPORT_RETENTION_HOURS (default 24) from every event's export folder,
+ * including events that are no longer active.
+ */
+exports.handler = createHandler({ name: 'cleanup-exports' }, async () => {
+    const cutoff = new Date(Date.now() - EXPORT_RETENTION_HOURS * 60 * 60 * 1000);
+    const storage = getExportStorage();
+    let removed = 0;
+    for (const folder of new Set((await getEvents()).map(expo => expo.exportFolder))) {
+        removed += await storage.removeOlderThan(folder, cutoff);
+    }
+    console.log(`[EXPORT CLEANUP] Deleted ${removed} export file(s) created before ${cutoff.toISOString()}.`);
+    return { statusCode: 200, body: JSON.stringify({ message: "Export cleanup finished.", removed }) };
+});
@@ -0,0 +1,18 @@
+// /netlify/functions/cleanup-rate-limits.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { RATE_LIMIT_MAX_WINDOW_SECONDS } = require("./lib/rate-limit");
+
+/**
+ * Scheduled function (see netlify.toml) that deletes rate limiter hits older
+ * than the longest rate limit window; no limit counts them any more.
+ */
+exports.handler = createHandler({ name: 'cleanup-rate-limits' }, async () => {
+    const { rowCount } = await pool.query(
+        'DELETE FROM rate_limit_hits WHERE hit_at < NOW() - make_interval(secs => $1)',
+        [RATE_LIMIT_MAX_WINDOW_SECONDS]
+    );
+    console.log(`[RATE LIMIT CLEANUP] Deleted ${rowCount} expired rate limit hit(s).`);
+    return { statusCode: 200, body: JSON.stringify({ message: "Rate limit cleanup finished.", removed: rowCount }) };
+});
@@ -0,0 +1,93 @@
+// /netlify/functions/confirm-payment.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { REGISTRATION_STATUSES, hasValidTicket, describeInvalidTicket, formatRegistrationData } = require("./lib/registrations");
+const { verifyHmacSignature } = require("./lib/payments");
+const { recordCapturedPayment } = require("./lib/capacity");
+
+const PAYMENT_DETAILS_REQUIRED = "Registration ID and payment details are required.";
+
+/**
+ * Public function called by the registration page once Razorpay Checkout
+ * reports a successful payment. The registration is only confirmed after the
+ * checkout signature (HMAC-SHA256 of "<order_id>|<payment_id>" with the key
+ * secret) has been verified. The razorpay-webhook function confirms the same
+ * payment independently, so whichever arrives first wins (see recordCapturedPayment).
+ * A payment that arrives once the registration's places have gone to others
+ * leaves it on the waitlist (409, status "waitlisted") until it is promoted or refunded.
+ * Any other registration without a valid ticket gets 409 too, e.g. one cancelled
+ * while the visitor was paying, whose payment is flagged for review.
+ */
+exports.handler = createHandler({
+    name: 'confirm-payment',
+    methods: ['POST'],
+    event: true,
+    body: {
+        registrationId: { type: 'string', required: true, message: PAYMENT_DETAILS_REQUIRED },
+        razorpay_order_id: { type: 'string', required: true, message: PAYMENT_DETAILS_REQUIRED },
+        razorpay_payment_id: { type: 'string', required: true, message: PAYMENT_DETAILS_REQUIRED },
+        razorpay_signature: { type: 'string', required: true, message: PAYMENT_DETAILS_REQUIRED },
+    },
+}, async (event, { expo, body }) => {
+    const {
+        registrationId,
+        razorpay_order_id: orderId,
+        razorpay_payment_id: paymentId,
+        razorpay_signature: signature,
+    } = body;
+
+    // 1. Signature Verification
+    if (!verifyHmacSignature(`${orderId}|${paymentId}`, signature, process.env.RAZORPAY_KEY_SECRET)) {
+        console.warn(`[PAYMENT] Invalid checkout signature for registration ${registrationId}.`);
+        return { statusCode: 400, body: JSON.stringify({ error: "Payment verification failed." }) };
+    }
+
+    let dbClient;
+    try {
+        dbClient = await pool.connect();
+        const { rows } = await dbClient.query(
+            'SELECT 1 FROM registrations WHERE registration_id = $1 AND razorpay_order_id = $2 AND event_id = $3',
+            [registrationId, orderId, expo.id]
+        );
+        if (rows.length === 0) {
+            return { statusCode: 404, body: JSON.stringify({ error: "No registration was found for this payment." }) };
+        }
+
+        // 2. Database Update: Record the payment against the registration that owns this order.
+        // A registration already marked paid (e.g. by the webhook) is returned unchanged.
+        await dbClient.query('BEGIN');
+        const { registration } = await recordCapturedPayment(dbClient, orderId, paymentId);
+        await dbClient.query('COMMIT');
+
+        if (registration.registration_status === REGISTRATION_STATUSES.WAITLISTED) {
+            const { passToken, ...registrationData } = formatRegistrationData(registration);
+            return {
+                statusCode: 409,
+                body: JSON.stringify({
+                    status: "waitlisted",
+                    error: `Your payment was received, but a day you chose filled up before it arrived, so your registration is on the waitlist (position ${registration.waitlist_position}). We will send you an SMS if a place opens up, or refund your payment.`,
+                    waitlistPosition: registration.waitlist_position,
+                    registrationData,
+                }),
+            };
+        }
+        if (!hasValidTicket(registration)) {
+            return { statusCode: 409, body: JSON.stringify({ error: `Your payment was received, but no pass can be issued: ${describeInvalidTicket(registration)}. Please contact the help desk.` }) };
+        }
+
+        // 3. Success Response
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ status: "success", registrationData: formatRegistrationData(registration) }),
+        };
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -0,0 +1,44 @@
+// /netlify/functions/download-export.js
+
+const { createHandler } = require("./utils");
+const { EXPORT_FORMATS } = require("./lib/exports");
+const { verifyExportDownloadToken, getExportStorage } = require("./lib/export-storage");
+
+/**
+ * Serves an export file from the local export storage backend through the
+ * signed, expiring link that export-data returned (`?token=...`).
+ * The Cloudinary backend hands out Cloudinary's own signed links instead.
+ */
+exports.handler = createHandler({ name: 'download-export', methods: ['GET'] }, async (event) => {
+    // 1. Link Verification
+    const { token } = event.queryStringParameters || {};
+    const claims = token ? verifyExportDownloadToken(token) : null;
+    if (!claims) {
+        return { statusCode: 403, body: JSON.stringify({ error: "This download link is invalid or has expired." }) };
+    }
+
+    const storage = getExportStorage();
+    if (!storage.read) {
+        return { statusCode: 404, body: JSON.stringify({ error: "Export files are not served from this storage." }) };
+    }
+
+    // 2. Read the file; it may have been removed by cleanup-exports.
+    const file = await storage.read(claims.sub).catch(error => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    });
+    if (!file) {
+        return { statusCode: 404, body: JSON.stringify({ error: "This export file no longer exists." }) };
+    }
+
+    const format = EXPORT_FORMATS[claims.fileName.split('.').pop()];
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': format ? format.contentType : 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${claims.fileName}"`,
+        },
+        body: file.toString('base64'),
+        isBase64Encoded: true,
+    };
+});
@@ -0,0 +1,101 @@
+// /netlify/functions/export-data-background.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { ADMIN_ROLES } = require("./lib/auth");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const { getEventById } = require("./lib/events");
+const {
+    EXPORT_FORMATS, parseExportOptions, streamExport, countExportRows, getExportFileName,
+} = require("./lib/exports");
+const { createExportKey, getExportStorage } = require("./lib/export-storage");
+
+/**
+ * Netlify background function (the `-background` suffix gives it up to 15
+ * minutes and an immediate 202 response) that runs one export job queued by
+ * export-data: `{ "jobId": "..." }`, called with the requesting admin's token.
+ *
+ * The file goes to export storage and the job row in `export_jobs` records
+ * progress (`rows_processed` of `rows_total`) and the outcome for get-export-job.
+ * It requires the same roles as export-data.
+ */
+exports.handler = createHandler({
+    name: 'export-data-background',
+    methods: ['POST'],
+    auth: 'admin',
+    roles: [ADMIN_ROLES.ORGANIZER, ADMIN_ROLES.SUPERADMIN],
+    body: {
+        jobId: { type: 'string', required: true, pattern: /^[0-9a-f-]{36}$/i, message: "A valid export job ID is required." },
+    },
+}, async (event, { body }) => {
+    const { jobId } = body;
+
+    let dbClient;
+    try {
+        // 1. Claim the job, so a repeated call cannot run it twice.
+        const { rows: [job] } = await pool.query(`
+            UPDATE export_jobs SET status = 'running', started_at = NOW()
+            WHERE id = $1 AND status = 'queued'
+            RETURNING *
+        `, [jobId]);
+        if (!job) {
+            console.warn(`[EXPORT JOB] Job ${jobId} is unknown or already started.`);
+            return { statusCode: 409, body: JSON.stringify({ error: "Export job not found or already started." }) };
+        }
+
+        const expo = await getEventById(pool, job.event_id);
+        const { options, error: optionsError } = parseExportOptions(expo, job.params);
+        if (optionsError) throw new Error(optionsError);
+
+        // 2. Stream the rows into storage. The export query holds `dbClient` until it
+        // finishes, so progress is written through the pool.
+        dbClient = await pool.connect();
+        const rowsTotal = await countExportRows(dbClient, expo, options);
+        await pool.query('UPDATE export_jobs SET rows_total = $2 WHERE id = $1', [jobId, rowsTotal]);
+        console.log(`[EXPORT JOB] Job ${jobId} started: ${rowsTotal} rows.`);
+
+        const fileName = getExportFileName(expo, options);
+        const storage = getExportStorage();
+        const key = createExportKey(expo, fileName);
+        const { stream, saved } = storage.save(key, EXPORT_FORMATS[options.format].contentType);
+        let rowCount;
+        try {
+            rowCount = await streamExport(dbClient, expo, options, stream, {
+                onProgress: (rowsProcessed) => pool.query('UPDATE export_jobs SET rows_processed = $2 WHERE id = $1', [jobId, rowsProcessed]),
+            });
+        } catch (error) {
+            saved.catch(() => {});
+            stream.end();
+            throw error;
+        }
+        await saved;
+
+        // 3. Record the outcome, and who exported what, for the audit log.
+        await pool.query(`
+            UPDATE export_jobs
+            SET status = 'succeeded', rows_processed = $2, storage_key = $3, file_name = $4, finished_at = NOW()
+            WHERE id = $1
+        `, [jobId, rowCount, key, fileName]);
+        await recordAuditEvent(pool, { headers: { 'x-nf-client-connection-ip': job.client_ip } }, {
+            id: job.admin_id, username: job.admin_username, role: job.admin_role,
+        }, {
+            action: AUDIT_ACTIONS.EXPORT,
+            details: { event: expo.slug, ...job.params, delivery: 'link', jobId, rowCount, storageKey: key },
+        });
+
+        console.log(`[EXPORT JOB] Job ${jobId} finished: ${rowCount} rows stored as ${key}.`);
+        return { statusCode: 200, body: JSON.stringify({ message: "Export job finished." }) };
+
+    } catch (error) {
+        console.error(`[EXPORT JOB] Job ${jobId} failed.`);
+        await pool.query(
+            "UPDATE export_jobs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1",
+            [jobId, error.message]
+        ).catch(() => {});
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -1,132 +1,159 @@
 // /netlify/functions/export-data.js
 
-const { pool } = require("./utils");
-const ExcelJS = require("exceljs");
-const QueryStream = require("pg-query-stream");
-const cloudinary = require("cloudinary").v2;
+const crypto = require("crypto");
+const { Writable } = require("stream");
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { ADMIN_ROLES } = require("./lib/auth");
+const { recordAuditEvent, AUDIT_ACTIONS, getClientIp } = require("./lib/audit");
+const {
+    EXPORT_FORMATS, parseExportOptions, streamExport, toExportParams, getExportFileName,
+} = require("./lib/exports");
 
-// --- Cloudinary Configuration ---
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-    secure: true,
-});
+// A function response is limited to 6 MB, so direct downloads (base64-encoded) must stay below this.
+const DIRECT_DOWNLOAD_MAX_BYTES = 4 * 1024 * 1024;
+const DELIVERY_MODES = ['link', 'download'];
 
-exports.handler = async (event) => {
-    const providedKey = event.headers["x-admin-key"];
-    const secretKey = process.env.EXPORT_SECRET_KEY;
+const EXPORT_TOO_LARGE = 'EXPORT_TOO_LARGE';
 
-    if (!providedKey || providedKey !== secretKey) {
-        return {
-            statusCode: 401,
-            body: JSON.stringify({ error: "Unauthorized." }),
-        };
+/**
+ * A stream that collects a direct download in memory. It fails with an
+ * EXPORT_TOO_LARGE error as soon as the file passes `maxBytes`, which stops
+ * the export (see streamExport) instead of building the whole file first.
+ * `contents` resolves with the file once the stream ends.
+ */
+const createDownloadBuffer = (maxBytes) => {
+    const chunks = [];
+    let size = 0;
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxBytes) {
+                const error = new Error(`The export is larger than ${maxBytes} bytes.`);
+                error.code = EXPORT_TOO_LARGE;
+                return callback(error);
+            }
+            chunks.push(chunk);
+            callback();
+        },
+    });
+    const contents = new Promise((resolve, reject) => {
+        output.on('finish', () => resolve(Buffer.concat(chunks)));
+        output.on('error', reject);
+    });
+    return { output, contents };
+};
+
+// Hands a queued job to export-data-background, which answers 202 straight away.
+const startBackgroundExport = async (event, jobId) => {
+    const response = await fetch(`${process.env.URL}/.netlify/functions/export-data-background`, {
+        method: 'POST',
+        headers: { 'Authorization': event.headers['authorization'] || event.headers['Authorization'], 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jobId }),
+    });
+    if (response.status !== 202) {
+        throw new Error(`The background export could not be started (status ${response.status}).`);
+    }
+};
+
+/**
+ * Exports an event's registrations, either straight back in the response or as a
+ * background job that stores the file in private export storage (see
+ * getExportStorage) for an expiring signed link.
+ *
+ * Optional query parameters:
+ * - delivery:  link (default): queue a background job and return 202 `{ jobId }`;
+ *              poll get-export-job for progress and the download link
+ *              download: return the file itself (up to about 4 MB)
+ * - format:    xlsx (default) | csv | json
+ * - columns:   comma-separated column keys, in output order (default: all)
+ * - day:       only visitors attending this event day (e.g. "Day 2")
+ * - state:     only visitors from this state, case-insensitive
+ * - checkedIn: true / false, for `day` when given, otherwise for any day
+ * - includeCancelled: true to include cancelled registrations (left out by default)
+ *
+ * Exporting the full attendee database is limited to organizers and superadmins.
+ */
+exports.handler = createHandler({
+    name: 'export-data',
+    methods: ['GET'],
+    auth: 'admin',
+    roles: [ADMIN_ROLES.ORGANIZER, ADMIN_ROLES.SUPERADMIN],
+    event: true,
+}, async (event, { admin, expo }) => {
+    const params = event.queryStringParameters || {};
+    const delivery = params.delivery || 'link';
+    if (!DELIVERY_MODES.includes(delivery)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Unknown delivery '${delivery}'. Use one of: ${DELIVERY_MODES.join(', ')}.` }) };
+    }
+    const { options, error: optionsError } = parseExportOptions(expo, params);
+    if (optionsError) {
+        return { statusCode: 400, body: JSON.stringify({ error: optionsError }) };
     }
 
     let dbClient;
     try {
-        const uploadResult = await new Promise(async (resolve, reject) => {
-            dbClient = await pool.connect();
-            console.log("Export started: Acquired database client.");
+        dbClient = await pool.connect();
+        console.log("Export started: Acquired database client.");
 
-            // --- FINAL, CORRECTED SQL QUERY ---
-            // Explicitly selects all columns, including the new 'checked_in_at' field.
-            const sql = `
-                SELECT 
-                    registration_id, name, company, phone, address, 
-                    city, state, day, payment_id, timestamp, image_url,
-                    checked_in_at
-                FROM registrations ORDER BY timestamp ASC
-            `;
-            const query = new QueryStream(sql);
-            // -----------------------------------------
-
-            const dbStream = dbClient.query(query);
-            const fileName = `expo-registrations-${new Date().toISOString().split("T")[0]}.xlsx`;
-
-            const cloudinaryStream = cloudinary.uploader.upload_stream({
-                public_id: fileName,
-                folder: 'expo-exports-2025',
-                resource_type: 'raw',
-                use_filename: true,
-                unique_filename: false,
-                overwrite: true,
-            }, (error, result) => {
-                if (error) return reject(new Error(`Cloudinary upload failed: ${error.message}`));
-                console.log("Cloudinary upload successful.");
-                resolve(result);
-            });
+        // Direct download: the file is built in memory and returned without being stored anywhere.
+        if (delivery === 'download') {
+            const fileName = getExportFileName(expo, options);
+            const { output, contents } = createDownloadBuffer(DIRECT_DOWNLOAD_MAX_BYTES);
+            const exported = streamExport(dbClient, expo, options, output);
+            let rowCount;
+            let file;
+            try {
+                [rowCount, file] = await Promise.all([exported, contents]);
+            } catch (error) {
+                // The export stops at the next row; wait for it before the client is released.
+                await exported.catch(() => {});
+                if (error.code !== EXPORT_TOO_LARGE) throw error;
+                return { statusCode: 413, body: JSON.stringify({ error: "This export is too large to download directly. Use a download link instead, or narrow the filters." }) };
+            }
 
-            const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
-                stream: cloudinaryStream,
-                useStyles: true,
+            // Record who exported the attendee list, what was included and how many rows.
+            await recordAuditEvent(dbClient, event, admin, {
+                action: AUDIT_ACTIONS.EXPORT,
+                details: { event: expo.slug, ...toExportParams(options), delivery, rowCount },
             });
-            const worksheet = workbook.addWorksheet("Registrations");
 
-            // This column list now includes the new 'checked_in_at' field.
-            worksheet.columns = [
-                { header: "Registration ID", key: "registration_id", width: 22 },
-                { header: "Name", key: "name", width: 30 },
-                { header: "Company Name", key: "company", width: 35 },
-                { header: "Phone Number", key: "phone", width: 18 },
-                { header: "Full Address", key: "address", width: 45 },
-                { header: "District / City", key: "city", width: 25 },
-                { header: "State", key: "state", width: 25 },
-                { header: "Attending Days", key: "day", width: 25 },
-                { header: "Payment ID", key: "payment_id", width: 30 },
-                { header: "Registered On", key: "timestamp", width: 25, style: { numFmt: "dd-mmm-yyyy hh:mm:ss" } },
-                { header: "Profile Image URL", key: "image_url", width: 50 },
-                { header: "Checked-In At", key: "checked_in_at", width: 25, style: { numFmt: "dd-mmm-yyyy hh:mm:ss" } },
-            ];
-            worksheet.getRow(1).font = { bold: true, size: 12 };
-
-            dbStream.on('data', (row) => {
-                worksheet.addRow(row).commit();
-            });
-
-            dbStream.on('error', (err) => {
-                console.error("Error from database stream:", err);
-                cloudinaryStream.end();
-                reject(err);
-            });
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': EXPORT_FORMATS[options.format].contentType,
+                    'Content-Disposition': `attachment; filename="${fileName}"`,
+                    'Cache-Control': 'no-store',
+                    'X-Row-Count': String(rowCount),
+                },
+                body: file.toString('base64'),
+                isBase64Encoded: true,
+            };
+        }
 
-            dbStream.on('end', () => {
-                console.log("Database stream finished. Committing workbook to finalize.");
-                workbook.commit()
-                    .then(() => {
-                        console.log("Workbook commit successful.");
-                    })
-                    .catch((err) => {
-                        console.error("Error committing workbook:", err);
-                        reject(err);
-                    });
-            });
-        });
+        // Link: queue a background job; get-export-job reports its progress and result.
+        const jobId = crypto.randomUUID();
+        await dbClient.query(`
+            INSERT INTO export_jobs (id, params, admin_id, admin_username, admin_role, client_ip, event_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [jobId, JSON.stringify(toExportParams(options)), admin.id || null, admin.username, admin.role, getClientIp(event), expo.id]);
+        try {
+            await startBackgroundExport(event, jobId);
+        } catch (error) {
+            await dbClient.query("UPDATE export_jobs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1", [jobId, error.message]);
+            throw error;
+        }
+        console.log(`Export job ${jobId} queued.`);
 
         return {
-            statusCode: 200,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                message: "Export file created successfully.",
-                downloadUrl: uploadResult.secure_url
-            }),
+            statusCode: 202,
+            body: JSON.stringify({ message: "Export started.", jobId, format: options.format }),
         };
 
-    } catch (error) {
-        console.error("A critical error occurred during the export process:", error);
-        return {
-            statusCode: 500,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                error: "Failed to export data due to a server error.",
-                details: error.message,
-            }),
-        };
     } finally {
         if (dbClient) {
             dbClient.release();
             console.log("Export finished: Database client released.");
         }
     }
-};
+});
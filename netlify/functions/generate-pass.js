@@ -0,0 +1,96 @@
+// /netlify/functions/generate-pass.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { authenticateAdmin } = require("./lib/auth");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const { verifyPassToken } = require("./lib/pass-tokens");
+const { PASS_FORMATS, renderPass, getPassFileName } = require("./lib/passes");
+const { REGISTRATION_STATUSES, hasValidTicket } = require("./lib/registrations");
+const { authenticateVisitor } = require("./lib/otp");
+
+const PASS_COLUMNS = 'registration_id, name, company, attendance_days, image_url, image_status, payment_status, registration_status';
+
+/**
+ * Renders a visitor pass on the server, as a PDF (default) or PNG file
+ * (`?format=pdf|png`). The pass is chosen by whoever is asking:
+ * - an admin (any role, e.g. at the help desk): `?registrationId=...` with the admin's Bearer token;
+ *   every reprint is recorded in the audit log
+ * - a verified visitor (see verify-otp): their own pass, with the visitor's Bearer token
+ * - a visitor who has just registered: `?passToken=...`, the signed token from the pass's QR code
+ *
+ * Passes are only issued for free or paid tickets. As the caller decides how
+ * to authenticate, authentication is done here rather than by the pipeline.
+ */
+exports.handler = createHandler({ name: 'generate-pass', methods: ['GET'], event: true }, async (event, { expo }) => {
+    const params = event.queryStringParameters || {};
+    const format = params.format || 'pdf';
+    if (!PASS_FORMATS[format]) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Unknown format '${format}'. Use one of: ${Object.keys(PASS_FORMATS).join(', ')}.` }) };
+    }
+
+    // 1. Security Check: work out which registration the caller may see.
+    let admin;
+    let registrationId;
+    if (params.registrationId) {
+        const auth = await authenticateAdmin(event);
+        if (auth.errorResponse) return auth.errorResponse;
+        admin = auth.admin;
+        registrationId = params.registrationId.trim().toUpperCase();
+    } else if (params.passToken) {
+        registrationId = verifyPassToken(params.passToken);
+        if (!registrationId) {
+            return { statusCode: 403, body: JSON.stringify({ error: "This pass link is invalid." }) };
+        }
+    } else {
+        const auth = authenticateVisitor(event);
+        if (auth.errorResponse) return auth.errorResponse;
+        registrationId = auth.registrationId;
+    }
+
+    let dbClient;
+    try {
+        dbClient = await pool.connect();
+        const { rows: [registration] } = await dbClient.query(
+            `SELECT ${PASS_COLUMNS} FROM registrations WHERE registration_id = $1 AND event_id = $2`,
+            [registrationId, expo.id]
+        );
+        if (!registration) {
+            return { statusCode: 404, body: JSON.stringify({ error: "No registration was found." }) };
+        }
+        if (registration.registration_status === REGISTRATION_STATUSES.WAITLISTED) {
+            return { statusCode: 409, body: JSON.stringify({ error: "This registration is on the waitlist, so no pass can be issued yet." }) };
+        }
+        if (registration.registration_status === REGISTRATION_STATUSES.CANCELLED) {
+            return { statusCode: 409, body: JSON.stringify({ error: "This registration was cancelled, so no pass can be issued." }) };
+        }
+        if (!hasValidTicket(registration)) {
+            return { statusCode: 402, body: JSON.stringify({ error: "The payment for this registration has not been completed, so no pass can be issued." }) };
+        }
+
+        // 2. Render the pass.
+        const file = await renderPass(expo, registration, format);
+        if (admin) {
+            await recordAuditEvent(dbClient, event, admin, {
+                action: AUDIT_ACTIONS.PRINT_PASS,
+                registrationId,
+                details: { format },
+            });
+        }
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': PASS_FORMATS[format].contentType,
+                'Content-Disposition': `attachment; filename="${getPassFileName(registration, format)}"`,
+            },
+            body: file.toString('base64'),
+            isBase64Encoded: true,
+        };
+
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -0,0 +1,100 @@
+// /netlify/functions/get-audit-log.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { ADMIN_ROLES } = require("./lib/auth");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Lists entries from the append-only admin audit log, newest first.
+ * Used to settle gate disputes and explain data exports after the event.
+ *
+ * Optional query parameters:
+ * - actor:          admin username
+ * - action:         one of AUDIT_ACTIONS (e.g. check_in, undo_check_in, export)
+ * - registrationId: the affected registration
+ * - from, to:       ISO timestamps bounding `occurred_at`
+ * - limit, offset:  pagination (limit max 500)
+ *
+ * This function is restricted to organizers and superadmins.
+ */
+exports.handler = createHandler({
+    name: 'get-audit-log',
+    methods: ['GET'],
+    auth: 'admin',
+    roles: [ADMIN_ROLES.ORGANIZER, ADMIN_ROLES.SUPERADMIN],
+}, async (event, { admin }) => {
+    // 1. Input Validation & Filter Building
+    const { actor, action, registrationId, from, to, limit, offset } = event.queryStringParameters || {};
+    const conditions = [];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (actor) {
+        conditions.push(`admin_username = $${paramIndex++}`);
+        queryParams.push(actor.trim().toLowerCase());
+    }
+    if (action) {
+        if (!Object.values(AUDIT_ACTIONS).includes(action)) {
+            return { statusCode: 400, body: JSON.stringify({ error: `Unknown action '${action}'.` }) };
+        }
+        conditions.push(`action = $${paramIndex++}`);
+        queryParams.push(action);
+    }
+    if (registrationId) {
+        conditions.push(`registration_id = $${paramIndex++}`);
+        queryParams.push(registrationId.trim().toUpperCase());
+    }
+    for (const [value, operator] of [[from, '>='], [to, '<=']]) {
+        if (!value) continue;
+        if (Number.isNaN(Date.parse(value))) {
+            return { statusCode: 400, body: JSON.stringify({ error: `Invalid date '${value}'.` }) };
+        }
+        conditions.push(`occurred_at ${operator} $${paramIndex++}`);
+        queryParams.push(new Date(value));
+    }
+
+    const pageLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const pageOffset = Math.max(parseInt(offset, 10) || 0, 0);
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    let dbClient;
+    try {
+        dbClient = await pool.connect();
+
+        const { rows } = await dbClient.query(`
+            SELECT
+                id, occurred_at, admin_username, admin_role, action, registration_id,
+                client_ip, before_value, after_value, details,
+                COUNT(*) OVER() AS total_count
+            FROM admin_audit_log
+            ${whereClause}
+            ORDER BY occurred_at DESC, id DESC
+            LIMIT $${paramIndex++} OFFSET $${paramIndex++};
+        `, [...queryParams, pageLimit, pageOffset]);
+
+        await recordAuditEvent(dbClient, event, admin, {
+            action: AUDIT_ACTIONS.VIEW_AUDIT_LOG,
+            details: { filters: { actor, action, registrationId, from, to }, resultCount: rows.length },
+        });
+
+        const total = rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0;
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                total,
+                limit: pageLimit,
+                offset: pageOffset,
+                entries: rows.map(({ total_count, ...entry }) => entry),
+            }),
+        };
+
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
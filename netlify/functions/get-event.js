@@ -0,0 +1,38 @@
+// /netlify/functions/get-event.js
+
+const { HttpError, resolveEvent, createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { getEvents, formatPublicEvent } = require("./lib/events");
+const { getRegistrationWindowState, countTakenPlaces, getDayAvailability } = require("./lib/capacity");
+
+/**
+ * Public function the registration and admin pages call on load to show the
+ * event's name, venue and days. Returns the event chosen by `?event=<slug>`
+ * (see resolveEvent) and the list of active events. When no event was named
+ * and several are active, `event` is null so the page can offer the list.
+ *
+ * `registration` tells the registration page whether it is open ('not_open',
+ * 'open' or 'closed') and how many places are left on each capped day.
+ */
+exports.handler = createHandler({ name: 'get-event', methods: ['GET'] }, async (event) => {
+    let expo = null;
+    try {
+        expo = await resolveEvent(pool, event);
+    } catch (error) {
+        if (!(error instanceof HttpError) || error.statusCode !== 400) throw error;
+    }
+
+    const events = (await getEvents(pool))
+        .filter(e => e.isActive)
+        .map(e => ({ slug: e.slug, name: e.name }));
+
+    const registration = expo && {
+        state: getRegistrationWindowState(expo),
+        days: getDayAvailability(expo, await countTakenPlaces(pool, expo)),
+    };
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ event: expo && formatPublicEvent(expo), registration, events }),
+    };
+});
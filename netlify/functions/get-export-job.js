@@ -0,0 +1,76 @@
+// /netlify/functions/get-export-job.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { ADMIN_ROLES } = require("./lib/auth");
+const { getExportStorage, EXPORT_RETENTION_HOURS } = require("./lib/export-storage");
+
+// Background functions stop after 15 minutes; a job still unfinished after this has died.
+const JOB_TIMEOUT_MINUTES = 16;
+
+/**
+ * Reports the progress and result of a background export job (`?id=<jobId>`),
+ * for the admin who started it (or a superadmin):
+ * `{ jobId, status, format, rowsProcessed, rowsTotal, createdAt, startedAt, finishedAt, error }`,
+ * plus a freshly signed `downloadUrl` and its `expiresAt` once the job has succeeded.
+ */
+exports.handler = createHandler({
+    name: 'get-export-job',
+    methods: ['GET'],
+    auth: 'admin',
+    roles: [ADMIN_ROLES.ORGANIZER, ADMIN_ROLES.SUPERADMIN],
+}, async (event, { admin }) => {
+    const { id } = event.queryStringParameters || {};
+    if (!id || !/^[0-9a-f-]{36}$/i.test(id)) {
+        return { statusCode: 400, body: JSON.stringify({ error: "A valid export job ID is required." }) };
+    }
+
+    let dbClient;
+    try {
+        dbClient = await pool.connect();
+
+        // 1. A job cut off by the function timeout never records its failure; do it here.
+        await dbClient.query(`
+            UPDATE export_jobs SET status = 'failed', error = 'The export timed out.', finished_at = NOW()
+            WHERE id = $1 AND status IN ('queued', 'running') AND created_at < NOW() - make_interval(mins => $2)
+        `, [id, JOB_TIMEOUT_MINUTES]);
+
+        const { rows: [job] } = await dbClient.query('SELECT * FROM export_jobs WHERE id = $1', [id]);
+        if (!job || (job.admin_username !== admin.username && admin.role !== ADMIN_ROLES.SUPERADMIN)) {
+            return { statusCode: 404, body: JSON.stringify({ error: "Export job not found." }) };
+        }
+
+        const result = {
+            jobId: job.id,
+            status: job.status,
+            format: job.params.format,
+            rowsProcessed: job.rows_processed,
+            rowsTotal: job.rows_total,
+            createdAt: job.created_at,
+            startedAt: job.started_at,
+            finishedAt: job.finished_at,
+            error: job.status === 'failed' ? "The export failed. Please try again." : null,
+        };
+
+        // 2. Links expire quickly, so each poll signs a new one while the file is kept.
+        if (job.status === 'succeeded') {
+            const fileExpired = Date.now() - new Date(job.finished_at).getTime() > EXPORT_RETENTION_HOURS * 60 * 60 * 1000;
+            if (fileExpired) {
+                result.error = "This export file has been deleted. Please export again.";
+            } else {
+                const { url, expiresAt } = await getExportStorage().getDownloadUrl(job.storage_key, job.file_name);
+                Object.assign(result, { fileName: job.file_name, downloadUrl: url, expiresAt });
+            }
+        }
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify(result),
+        };
+
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
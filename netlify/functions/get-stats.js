@@ -1,32 +1,55 @@
 // /netlify/functions/get-stats.js
 
-const { pool } = require("./utils");
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { getCurrentEventDay } = require("./lib/event-days");
+const { REGISTRATION_STATUSES } = require("./lib/registrations");
+const { countTakenPlaces, getDayAvailability } = require("./lib/capacity");
 
 // --- Caching ---
-// This simple in-memory cache will store the stats for a short period.
-// The cache is reset every time the serverless function instance restarts.
-let cachedStats = null;
-let cacheTimestamp = 0;
+// This simple in-memory cache will store the stats for a short period, one entry per
+// event and breakdown day. The cache is reset every time the serverless function instance restarts.
+const statsCache = new Map();
 const CACHE_DURATION_MS = 5 * 60 * 1000; // 5 minutes
+const CITY_BREAKDOWN_LIMIT = 50;
 
-exports.handler = async (event) => {
-    // 1. Security Check
-    const providedKey = event.headers['x-admin-key'];
-    const secretKey = process.env.EXPORT_SECRET_KEY;
-    if (!providedKey || providedKey !== secretKey) {
-        return { statusCode: 401, body: JSON.stringify({ error: "Unauthorized" }) };
+/**
+ * Admin dashboard statistics for one event:
+ * - headline totals and, for each event day, registered / waitlisted / checked-in / walk-in counts
+ *   (a walk-in is a visitor who registered on the same day they checked in) and, for a
+ *   capped day, its capacity and places left (`registered` includes the waitlist)
+ * - cancelled registrations are left out of every figure, and only counted in `totalCancelled`
+ * - registered vs. checked-in visitors by state and by city
+ * - hourly registration and check-in counts for one date
+ *
+ * Query parameters:
+ * - `day`: event day label for the state/city breakdowns and hourly curves, or `all`.
+ *   Defaults to today's event day, or `all` outside the event.
+ * - `refresh=true`: live mode. Skips the 5-minute cache and refreshes it.
+ *
+ * Any logged-in admin may view the stats.
+ */
+exports.handler = createHandler({ name: 'get-stats', methods: ['GET'], auth: 'admin', event: true }, async (event, { expo }) => {
+    const { day, refresh } = event.queryStringParameters || {};
+    const currentEventDay = getCurrentEventDay(expo);
+    const requestedDay = day || currentEventDay || 'all';
+    const selectedDay = requestedDay === 'all' ? null : expo.days.find(d => d.label.toLowerCase() === requestedDay.toLowerCase());
+    if (requestedDay !== 'all' && !selectedDay) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Unknown event day '${day}'.` }) };
     }
+    const cacheKey = `${expo.slug}:${selectedDay ? selectedDay.label : 'all'}`;
+    const liveMode = refresh === 'true' || refresh === '1';
 
-    // --- IMPROVEMENT: Check the cache first ---
-    if (cachedStats && (Date.now() - cacheTimestamp < CACHE_DURATION_MS)) {
-        console.log("[CACHE HIT] Serving stats from cache.");
+    // --- IMPROVEMENT: Check the cache first (unless live mode was requested) ---
+    const cachedEntry = statsCache.get(cacheKey);
+    if (!liveMode && cachedEntry && (Date.now() - cachedEntry.timestamp < CACHE_DURATION_MS)) {
+        console.log(`[CACHE HIT] Serving stats for '${cacheKey}' from cache.`);
         return {
             statusCode: 200,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(cachedStats),
+            body: JSON.stringify({ ...cachedEntry.stats, cached: true }),
         };
     }
-    console.log("[CACHE MISS] Fetching fresh stats from the database.");
+    console.log(`[${liveMode ? 'LIVE' : 'CACHE MISS'}] Fetching fresh stats for '${cacheKey}' from the database.`);
     // --- End Cache Check ---
 
     let dbClient;
@@ -34,32 +57,158 @@ exports.handler = async (event) => {
         dbClient = await pool.connect();
         const statsQuery = `
             SELECT
-                (SELECT COUNT(*) FROM registrations) AS total_registrations,
-                (SELECT MAX(timestamp) FROM registrations) AS last_registration_time;
+                (SELECT COUNT(*) FROM registrations WHERE event_id = $1 AND registration_status <> $3) AS total_registrations,
+                (SELECT MAX(timestamp) FROM registrations WHERE event_id = $1 AND registration_status <> $3) AS last_registration_time,
+                (SELECT COUNT(*) FROM registrations WHERE event_id = $1 AND registration_status = $2) AS total_waitlisted,
+                (SELECT COUNT(*) FROM registrations WHERE event_id = $1 AND registration_status = $3) AS total_cancelled,
+                (SELECT COUNT(*) FROM registrations WHERE event_id = $1 AND payment_review_reason IS NOT NULL) AS payment_reviews,
+                (
+                    SELECT COUNT(DISTINCT c.registration_id) FROM check_ins c
+                    JOIN registrations r ON r.registration_id = c.registration_id
+                    WHERE r.event_id = $1 AND r.registration_status <> $3
+                ) AS total_checked_in;
         `;
-        const { rows } = await dbClient.query(statsQuery);
+        const { rows } = await dbClient.query(statsQuery, [expo.id, REGISTRATION_STATUSES.WAITLISTED, REGISTRATION_STATUSES.CANCELLED]);
+
+        // Registered vs. checked-in visitors, and walk-ins, for each event day.
+        const dayStatsQuery = `
+            SELECT
+                d.label AS day,
+                (
+                    SELECT COUNT(*) FROM registrations r
+                    WHERE r.event_id = $4 AND d.label = ANY(r.attendance_days) AND r.registration_status <> $6
+                ) AS registered,
+                (
+                    SELECT COUNT(*) FROM registrations r
+                    WHERE r.event_id = $4 AND d.label = ANY(r.attendance_days) AND r.registration_status = $5
+                ) AS waitlisted,
+                (
+                    SELECT COUNT(*) FROM check_ins c
+                    JOIN registrations r ON r.registration_id = c.registration_id
+                    WHERE r.event_id = $4 AND c.event_day = d.label AND r.registration_status <> $6
+                ) AS checked_in,
+                (
+                    SELECT COUNT(*) FROM check_ins c
+                    JOIN registrations r ON r.registration_id = c.registration_id
+                    WHERE r.event_id = $4 AND c.event_day = d.label AND r.registration_status <> $6
+                      AND (r.timestamp AT TIME ZONE $3)::date = d.event_date
+                ) AS walk_ins
+            FROM unnest($1::text[], $2::date[]) WITH ORDINALITY AS d(label, event_date, position)
+            ORDER BY d.position;
+        `;
+        const { rows: dayRows } = await dbClient.query(dayStatsQuery, [
+            expo.days.map(d => d.label),
+            expo.days.map(d => d.date),
+            expo.timeZone,
+            expo.id,
+            REGISTRATION_STATUSES.WAITLISTED,
+            REGISTRATION_STATUSES.CANCELLED,
+        ]);
+        const availability = getDayAvailability(expo, await countTakenPlaces(dbClient, expo));
+
+        // State and city breakdowns. With a selected day, only visitors attending that
+        // day count as registered, and only that day's check-ins count as checked in.
+        const breakdownQuery = (groupColumns, limit) => `
+            WITH visitors AS (
+                SELECT
+                    COALESCE(NULLIF(INITCAP(TRIM(r.state)), ''), 'Unknown') AS state,
+                    COALESCE(NULLIF(INITCAP(TRIM(r.city)), ''), 'Unknown') AS city,
+                    EXISTS (
+                        SELECT 1 FROM check_ins c
+                        WHERE c.registration_id = r.registration_id AND ($1::text IS NULL OR c.event_day = $1)
+                    ) AS checked_in
+                FROM registrations r
+                WHERE r.event_id = $2 AND r.registration_status <> $3 AND ($1::text IS NULL OR $1 = ANY(r.attendance_days))
+            )
+            SELECT ${groupColumns}, COUNT(*) AS registered, COUNT(*) FILTER (WHERE checked_in) AS checked_in
+            FROM visitors
+            GROUP BY ${groupColumns}
+            ORDER BY registered DESC, ${groupColumns}
+            ${limit ? `LIMIT ${limit}` : ''};
+        `;
+        const selectedLabel = selectedDay ? selectedDay.label : null;
+        const { rows: stateRows } = await dbClient.query(breakdownQuery('state'), [selectedLabel, expo.id, REGISTRATION_STATUSES.CANCELLED]);
+        const { rows: cityRows } = await dbClient.query(breakdownQuery('city, state', CITY_BREAKDOWN_LIMIT), [selectedLabel, expo.id, REGISTRATION_STATUSES.CANCELLED]);
+
+        // Hourly curves (event time zone) for the selected day's date, or today.
+        const hourlyDate = selectedDay ? selectedDay.date : new Date().toLocaleDateString('en-CA', { timeZone: expo.timeZone });
+        const hourlyQuery = `
+            WITH regs AS (
+                SELECT EXTRACT(HOUR FROM r.timestamp AT TIME ZONE $2)::int AS hour, COUNT(*) AS n
+                FROM registrations r
+                WHERE r.event_id = $3 AND r.registration_status <> $4 AND (r.timestamp AT TIME ZONE $2)::date = $1::date GROUP BY 1
+            ), checks AS (
+                SELECT EXTRACT(HOUR FROM c.checked_in_at AT TIME ZONE $2)::int AS hour, COUNT(*) AS n
+                FROM check_ins c JOIN registrations r ON r.registration_id = c.registration_id
+                WHERE r.event_id = $3 AND r.registration_status <> $4 AND (c.checked_in_at AT TIME ZONE $2)::date = $1::date GROUP BY 1
+            )
+            SELECT h.hour, COALESCE(regs.n, 0) AS registrations, COALESCE(checks.n, 0) AS check_ins
+            FROM generate_series(0, 23) AS h(hour)
+            LEFT JOIN regs USING (hour)
+            LEFT JOIN checks USING (hour)
+            ORDER BY h.hour;
+        `;
+        const { rows: hourlyRows } = await dbClient.query(hourlyQuery, [hourlyDate, expo.timeZone, expo.id, REGISTRATION_STATUSES.CANCELLED]);
+
+        const eventDays = dayRows.map((row, index) => ({
+            day: row.day,
+            date: expo.days[index].date,
+            registered: parseInt(row.registered, 10),
+            waitlisted: parseInt(row.waitlisted, 10),
+            checkedIn: parseInt(row.checked_in, 10),
+            walkIns: parseInt(row.walk_ins, 10),
+            capacity: availability[index].capacity,
+            remaining: availability[index].remaining,
+        }));
+        const today = eventDays.find(d => d.day === currentEventDay);
+
         const stats = {
+            event: expo.slug,
             totalRegistrations: parseInt(rows[0].total_registrations, 10),
-            lastRegistrationTime: rows[0].last_registration_time
+            totalWaitlisted: parseInt(rows[0].total_waitlisted, 10),
+            totalCancelled: parseInt(rows[0].total_cancelled, 10),
+            paymentReviews: parseInt(rows[0].payment_reviews, 10),
+            totalCheckedIn: parseInt(rows[0].total_checked_in, 10),
+            lastRegistrationTime: rows[0].last_registration_time,
+            currentEventDay,
+            walkInsToday: today ? today.walkIns : 0,
+            eventDays,
+            breakdownDay: selectedLabel || 'all',
+            byState: stateRows.map(row => ({
+                state: row.state,
+                registered: parseInt(row.registered, 10),
+                checkedIn: parseInt(row.checked_in, 10),
+            })),
+            byCity: cityRows.map(row => ({
+                city: row.city,
+                state: row.state,
+                registered: parseInt(row.registered, 10),
+                checkedIn: parseInt(row.checked_in, 10),
+            })),
+            hourly: {
+                date: hourlyDate,
+                timeZone: expo.timeZone,
+                hours: hourlyRows.map(row => ({
+                    hour: row.hour,
+                    registrations: parseInt(row.registrations, 10),
+                    checkIns: parseInt(row.check_ins, 10),
+                })),
+            },
+            generatedAt: new Date().toISOString(),
         };
 
         // --- IMPROVEMENT: Update the cache ---
-        cachedStats = stats;
-        cacheTimestamp = Date.now();
+        statsCache.set(cacheKey, { stats, timestamp: Date.now() });
         // --- End Cache Update ---
 
         return {
             statusCode: 200,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(stats),
+            body: JSON.stringify({ ...stats, cached: false }),
         };
 
-    } catch (error) {
-        console.error("Error in get-stats function:", error);
-        return { statusCode: 500, body: JSON.stringify({ error: "An internal server error occurred." }) };
     } finally {
         if (dbClient) {
             dbClient.release();
         }
     }
-};
\ No newline at end of file
+});
@@ -0,0 +1,298 @@
+// /netlify/functions/import-registrations.js
+
+const ExcelJS = require("exceljs");
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { ADMIN_ROLES } = require("./lib/auth");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const { validateAttendanceDays } = require("./lib/event-days");
+const { generateRegistrationId } = require("./lib/registrations");
+const { parseMultipartForm, validateRegistrationFields } = require("./lib/forms");
+const { PAYMENT_STATUSES } = require("./lib/payments");
+const { lockEventCapacity, countTakenPlaces, takePlaces } = require("./lib/capacity");
+
+// --- Configuration ---
+const MAX_IMPORT_ROWS = 5000;
+const INSERT_CHUNK_SIZE = 500;
+// Browsers on Windows with Excel installed report .csv files as application/vnd.ms-excel.
+const IMPORT_FILE_TYPES = {
+    mimeTypes: [
+        'text/csv', 'application/csv', 'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ],
+    description: 'CSV and XLSX files',
+};
+
+// Registration form fields and the column headers accepted for them (case-insensitive).
+const IMPORT_COLUMNS = {
+    name: ['name', 'full name'],
+    phone: ['phone', 'phone number', 'mobile', 'mobile number'],
+    firmName: ['firm name', 'firm', 'company', 'company name'],
+    address: ['address', 'full address'],
+    district: ['district', 'city', 'district / city'],
+    state: ['state'],
+    attendance: ['attending days', 'attendance', 'days'],
+};
+
+// Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line ends) into rows of cells.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Reads the uploaded file into `[{ rowNumber, cells }]`, row numbers as shown in a spreadsheet app.
+const readRows = async (file) => {
+    const extension = (file.filename || '').split('.').pop().toLowerCase();
+    if (extension === 'csv') {
+        return parseCsv(file.content.toString('utf8')).map((cells, index) => ({ rowNumber: index + 1, cells }));
+    }
+    if (extension === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(file.content);
+        const worksheet = workbook.worksheets[0];
+        const rows = [];
+        worksheet?.eachRow((row, rowNumber) => {
+            const cells = [];
+            for (let column = 1; column <= row.cellCount; column++) cells.push(row.getCell(column).text);
+            rows.push({ rowNumber, cells });
+        });
+        return rows;
+    }
+    return null;
+};
+
+// Maps each form field to its column index from the header row. Returns `{ columnIndex, missing }`.
+const mapHeaders = (headerCells) => {
+    const headers = headerCells.map(cell => String(cell).trim().toLowerCase());
+    const columnIndex = {};
+    const missing = [];
+    for (const [field, aliases] of Object.entries(IMPORT_COLUMNS)) {
+        const index = headers.findIndex(header => aliases.includes(header));
+        if (index === -1) missing.push(aliases[0]);
+        else columnIndex[field] = index;
+    }
+    return { columnIndex, missing };
+};
+
+/**
+ * Validates every row with the same rules as the registration form, checks
+ * phone numbers against each other and the event's registrations, and checks
+ * the places left on capped days (see rejectOverCapacity).
+ * Returns the rows with `fields`, `attendanceDays` and `errors`.
+ */
+const validateRows = async (dbClient, expo, dataRows, columnIndex) => {
+    const rows = dataRows.map(({ rowNumber, cells }) => {
+        const fields = Object.fromEntries(Object.entries(columnIndex).map(([field, index]) => [field, String(cells[index] ?? '').trim()]));
+        const { days, errors: attendanceErrors } = validateAttendanceDays(expo, fields.attendance);
+        return { rowNumber, fields, attendanceDays: days, errors: [...validateRegistrationFields(fields), ...attendanceErrors] };
+    });
+
+    // Duplicate phones: later rows repeating an earlier one, and numbers already registered.
+    const firstRowByPhone = new Map();
+    for (const row of rows) {
+        const firstRow = firstRowByPhone.get(row.fields.phone);
+        if (firstRow) row.errors.push(`Phone number ${row.fields.phone} is also on row ${firstRow}.`);
+        else if (row.fields.phone) firstRowByPhone.set(row.fields.phone, row.rowNumber);
+    }
+    const { rows: existing } = await dbClient.query(
+        'SELECT phone, registration_id FROM registrations WHERE event_id = $1 AND phone = ANY($2::text[])',
+        [expo.id, [...firstRowByPhone.keys()]]
+    );
+    const registeredPhones = new Map(existing.map(record => [record.phone, record.registration_id]));
+    for (const row of rows) {
+        if (registeredPhones.has(row.fields.phone)) {
+            row.errors.push(`Phone number ${row.fields.phone} is already registered (${registeredPhones.get(row.fields.phone)}).`);
+        }
+    }
+    rejectOverCapacity(expo, await countTakenPlaces(dbClient, expo), rows.filter(row => row.errors.length === 0));
+    return rows;
+};
+
+// Valid rows take places in file order, given the counts from countTakenPlaces. A row that
+// would take a capped day past its capacity gets an error instead. Returns those rows.
+const rejectOverCapacity = (expo, taken, rows) => rows.filter(row => {
+    const fullDays = takePlaces(expo, taken, row.attendanceDays);
+    if (fullDays.length > 0) row.errors.push(`${fullDays.join(' and ')} ${fullDays.length === 1 ? 'is' : 'are'} full.`);
+    return fullDays.length > 0;
+});
+
+// Inserts valid rows as free registrations for the event. Returns `{ imported, conflicts }`; a phone
+// registered since validation is returned as a conflict instead of inserted.
+const insertRows = async (dbClient, expo, rows, source) => {
+    const imported = [];
+    const conflicts = [];
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+        const chunk = rows.slice(i, i + INSERT_CHUNK_SIZE).map(row => ({ ...row, registrationId: generateRegistrationId(expo) }));
+        const { rows: inserted } = await dbClient.query(`
+            INSERT INTO registrations (registration_id, name, company, phone, address, city, state, attendance_days, payment_status, source, event_id)
+            SELECT t.registration_id, t.name, t.company, t.phone, t.address, t.city, t.state, string_to_array(t.days, ','), $9, $10, $11
+            FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::text[])
+                AS t(registration_id, name, company, phone, address, city, state, days)
+            ON CONFLICT (event_id, phone) DO NOTHING
+            RETURNING registration_id, phone
+        `, [
+            chunk.map(row => row.registrationId),
+            chunk.map(row => row.fields.name),
+            chunk.map(row => row.fields.firmName),
+            chunk.map(row => row.fields.phone),
+            chunk.map(row => row.fields.address),
+            chunk.map(row => row.fields.district),
+            chunk.map(row => row.fields.state),
+            chunk.map(row => row.attendanceDays.join(',')),
+            PAYMENT_STATUSES.FREE,
+            source,
+            expo.id,
+        ]);
+        const insertedPhones = new Set(inserted.map(record => record.phone));
+        for (const row of chunk) {
+            if (insertedPhones.has(row.fields.phone)) imported.push({ row: row.rowNumber, registrationId: row.registrationId, name: row.fields.name });
+            else conflicts.push({ row: row.rowNumber, errors: [`Phone number ${row.fields.phone} was registered during the import.`] });
+        }
+    }
+    return { imported, conflicts };
+};
+
+/**
+ * Admin function to bulk-import an event's registrations (paper forms, partner lists) from
+ * a CSV or XLSX file, sent as multipart form data:
+ * - file:        the CSV or XLSX file; the first row holds the column headers
+ *                (name, phone, firm name, address, district, state, attending days)
+ * - dryRun:      'true' (default) only validates; 'false' imports
+ * - skipInvalid: 'true' imports the valid rows even if others have errors;
+ *                by default nothing is imported unless every row is valid
+ * - source:      where the registrations came from (default 'import')
+ *
+ * Rows get the same validation as the registration form, and phone numbers
+ * that repeat in the file or are already registered are rejected, as are rows
+ * for which a capped day has no place left. Imported registrations are free,
+ * confirmed tickets with no photo; the registration window only applies to the
+ * public form.
+ * Returns `{ dryRun, totalRows, validRows, errors: [{ row, errors }], imported: [{ row, registrationId, name }] }`.
+ */
+exports.handler = createHandler({
+    name: 'import-registrations',
+    methods: ['POST'],
+    auth: 'admin',
+    // Creating registrations is limited to organizers and superadmins.
+    roles: [ADMIN_ROLES.ORGANIZER, ADMIN_ROLES.SUPERADMIN],
+    event: true,
+}, async (event, { admin, expo }) => {
+    let dbClient;
+    try {
+        const { fields, files } = await parseMultipartForm(event, { fileTypes: IMPORT_FILE_TYPES });
+        const dryRun = fields.dryRun !== 'false';
+        const skipInvalid = fields.skipInvalid === 'true';
+        const source = (fields.source || '').trim().slice(0, 100) || 'import';
+
+        // 1. Read the file and its header row.
+        if (!files.file) {
+            return { statusCode: 400, body: JSON.stringify({ error: "A CSV or XLSX file is required." }) };
+        }
+        const sheetRows = await readRows(files.file);
+        if (!sheetRows) {
+            return { statusCode: 400, body: JSON.stringify({ error: "The file must be a .csv or .xlsx file." }) };
+        }
+        const [headerRow, ...dataRows] = sheetRows.filter(({ cells }) => cells.some(cell => String(cell).trim() !== ''));
+        if (!headerRow) {
+            return { statusCode: 400, body: JSON.stringify({ error: "The file is empty." }) };
+        }
+        const { columnIndex, missing } = mapHeaders(headerRow.cells);
+        if (missing.length > 0) {
+            return { statusCode: 400, body: JSON.stringify({ error: `Missing column(s): ${missing.join(', ')}.` }) };
+        }
+        if (dataRows.length === 0) {
+            return { statusCode: 400, body: JSON.stringify({ error: "The file has no registrations below the header row." }) };
+        }
+        if (dataRows.length > MAX_IMPORT_ROWS) {
+            return { statusCode: 400, body: JSON.stringify({ error: `A file may hold at most ${MAX_IMPORT_ROWS} registrations.` }) };
+        }
+
+        // 2. Validate every row.
+        dbClient = await pool.connect();
+        const rows = await validateRows(dbClient, expo, dataRows, columnIndex);
+        const validRows = rows.filter(row => row.errors.length === 0);
+        const errors = rows.filter(row => row.errors.length > 0).map(row => ({ row: row.rowNumber, errors: row.errors }));
+        const report = { dryRun, totalRows: rows.length, validRows: validRows.length, errors, imported: [] };
+
+        if (dryRun || validRows.length === 0 || (errors.length > 0 && !skipInvalid)) {
+            const statusCode = dryRun || errors.length === 0 ? 200 : 422;
+            const message = dryRun ? "Dry run finished. Nothing was imported." : "Nothing was imported. Fix the errors or import with skipInvalid.";
+            return { statusCode, body: JSON.stringify({ message, ...report }) };
+        }
+
+        // 3. Import: all rows in one transaction, so a failure leaves nothing half-imported.
+        // Places are counted again under the event's capacity lock: some may have gone since validation.
+        await dbClient.query('BEGIN');
+        await lockEventCapacity(dbClient, expo);
+        const overCapacity = rejectOverCapacity(expo, await countTakenPlaces(dbClient, expo), validRows);
+        const { imported, conflicts: phoneConflicts } = await insertRows(dbClient, expo, validRows.filter(row => !overCapacity.includes(row)), source);
+        const conflicts = [...overCapacity.map(row => ({ row: row.rowNumber, errors: row.errors })), ...phoneConflicts];
+        if (conflicts.length > 0 && !skipInvalid) {
+            await dbClient.query('ROLLBACK');
+            return {
+                statusCode: 409,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ message: "Nothing was imported.", ...report, validRows: validRows.length - conflicts.length, errors: [...errors, ...conflicts] }),
+            };
+        }
+        await recordAuditEvent(dbClient, event, admin, {
+            action: AUDIT_ACTIONS.BULK_IMPORT,
+            details: { event: expo.slug, fileName: files.file.filename, source, totalRows: rows.length, imported: imported.length, skipped: errors.length + conflicts.length },
+        });
+        await dbClient.query('COMMIT');
+        console.log(`[IMPORT] ${admin.username} imported ${imported.length} registration(s) into ${expo.slug} from '${files.file.filename}' (source: ${source}).`);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: `Imported ${imported.length} registration(s).`,
+                ...report,
+                errors: [...errors, ...conflicts],
+                imported,
+            }),
+        };
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -0,0 +1,60 @@
+// /netlify/functions/lib/audit.js
+
+/**
+ * --- ADMIN AUDIT LOG ---
+ *
+ * Every admin action is appended to `admin_audit_log` (see db/migrations/003_admin_audit_log.sql)
+ * with the actor, the affected registration, the client IP and before/after values.
+ */
+const AUDIT_ACTIONS = Object.freeze({
+    LOGIN: 'login',
+    LOGIN_FAILED: 'login_failed',
+    SEARCH: 'search',
+    CHECK_IN: 'check_in',
+    UNDO_CHECK_IN: 'undo_check_in',
+    SCAN_REJECTED: 'scan_rejected',
+    EXPORT: 'export',
+    VIEW_AUDIT_LOG: 'view_audit_log',
+    SHEET_IMPORT: 'sheet_import',
+    SHEET_RECONCILE: 'sheet_reconcile',
+    SHEET_REBUILD: 'sheet_rebuild',
+    BULK_IMPORT: 'bulk_import',
+    IMAGE_APPROVE: 'image_approve',
+    IMAGE_REJECT: 'image_reject',
+    PRINT_PASS: 'print_pass',
+    PRINT_BADGES: 'print_badges',
+    CANCEL_REGISTRATION: 'cancel_registration',
+    RESTORE_REGISTRATION: 'restore_registration',
+});
+
+// Netlify sets this header to the connecting IP. X-Forwarded-For is not used: the client can set it.
+const getClientIp = (event) => event.headers['x-nf-client-connection-ip'] || 'unknown';
+
+/**
+ * Appends an entry to the audit log. `db` may be the pool or a client that is
+ * inside a transaction, so the entry commits or rolls back with the change it describes.
+ * `admin` is the object returned by `authenticateAdmin` (or `{ username }` for failed logins).
+ */
+const recordAuditEvent = async (db, event, admin, { action, registrationId = null, before = null, after = null, details = null }) => {
+    await db.query(`
+        INSERT INTO admin_audit_log
+            (admin_id, admin_username, admin_role, action, registration_id, client_ip, before_value, after_value, details)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+        admin.id || null,
+        admin.username,
+        admin.role || null,
+        action,
+        registrationId,
+        getClientIp(event),
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        details ? JSON.stringify(details) : null,
+    ]);
+};
+
+module.exports = {
+    AUDIT_ACTIONS,
+    getClientIp,
+    recordAuditEvent,
+};
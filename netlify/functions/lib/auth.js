@@ -0,0 +1,93 @@
+// /netlify/functions/lib/auth.js
+
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { getRequiredSecret, signToken, verifyToken, getBearerToken } = require('./tokens');
+
+/**
+ * --- ADMIN ACCOUNTS & ROLES ---
+ *
+ * Admin users live in the `admin_users` table (see db/migrations/002_admin_users.sql).
+ * Roles are ordered from least to most privileged; each admin function
+ * declares the roles that may call it.
+ */
+const ADMIN_ROLES = Object.freeze({
+    GATE_STAFF: 'gate-staff',
+    ORGANIZER: 'organizer',
+    SUPERADMIN: 'superadmin',
+});
+const ALL_ADMIN_ROLES = Object.freeze(Object.values(ADMIN_ROLES));
+
+const PASSWORD_KEY_LENGTH = 64;
+const ADMIN_TOKEN_TTL_SECONDS = 4 * 60 * 60; // 4 hours, roughly one gate shift
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * The result is stored as `scrypt$<salt>$<hash>` (both hex encoded).
+ */
+const hashPassword = (password) => new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, (err, derivedKey) => {
+        if (err) return reject(err);
+        resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+});
+
+/**
+ * Verifies a password against a hash produced by `hashPassword`,
+ * using a constant-time comparison.
+ */
+const verifyPassword = (password, storedHash) => new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, (err, derivedKey) => {
+        if (err) return reject(err);
+        const expected = Buffer.from(hash, 'hex');
+        resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+});
+
+// Admin session tokens (see tokens.js) record who is logged in and their role.
+const signAdminToken = (admin) => signToken(
+    { sub: String(admin.id), username: admin.username, role: admin.role },
+    getRequiredSecret('ADMIN_TOKEN_SECRET'),
+    ADMIN_TOKEN_TTL_SECONDS
+);
+
+const verifyAdminToken = (token) => {
+    const claims = verifyToken(token, getRequiredSecret('ADMIN_TOKEN_SECRET'));
+    return claims && ALL_ADMIN_ROLES.includes(claims.role) ? claims : null;
+};
+
+/**
+ * Authenticates an admin request from its `Authorization: Bearer <token>` header.
+ * The account is looked up on every request, so a deactivated admin is locked
+ * out at once and a changed role applies straight away.
+ * Returns `{ admin }` on success, or `{ errorResponse }` (401/403) that the
+ * handler should return as-is.
+ */
+const authenticateAdmin = async (event, allowedRoles = ALL_ADMIN_ROLES) => {
+    const token = getBearerToken(event);
+    const claims = token ? verifyAdminToken(token) : null;
+    const { rows: [account] } = claims
+        ? await pool.query('SELECT id, username, role FROM admin_users WHERE id = $1 AND is_active = true', [Number(claims.sub)])
+        : { rows: [] };
+
+    if (!account) {
+        return { errorResponse: { statusCode: 401, body: JSON.stringify({ error: "Unauthorized: Missing, invalid or expired session." }) } };
+    }
+    if (!allowedRoles.includes(account.role)) {
+        return { errorResponse: { statusCode: 403, body: JSON.stringify({ error: "Forbidden: Your role does not allow this action." }) } };
+    }
+    return { admin: { id: account.id, username: account.username, role: account.role } };
+};
+
+module.exports = {
+    ADMIN_ROLES,
+    ALL_ADMIN_ROLES,
+    hashPassword,
+    verifyPassword,
+    signAdminToken,
+    verifyAdminToken,
+    authenticateAdmin,
+};
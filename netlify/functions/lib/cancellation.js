@@ -0,0 +1,97 @@
+// /netlify/functions/lib/cancellation.js
+
+const { PAYMENT_STATUSES } = require('./payments');
+const { REGISTRATION_STATUSES } = require('./registrations');
+const { PAYMENT_HOLD_MINUTES, lockEventCapacity, countTakenPlaces, findFullDays, promoteWaitlisted } = require('./capacity');
+
+/**
+ * --- CANCELLATION ---
+ *
+ * A registration is never deleted. Admins cancel duplicates and spam, and a
+ * verified visitor may cancel their own; either way it keeps its row with the
+ * 'cancelled' status, who cancelled it and why (see
+ * db/migrations/018_registration_cancellation.sql). A cancelled registration
+ * has no ticket, holds no place and is left out of stats, advanced searches and
+ * exports by default. Both helpers run inside the caller's transaction and take
+ * the event's capacity lock.
+ */
+const CANCELLED_BY_VISITOR = 'visitor';
+const MAX_CANCELLATION_REASON_LENGTH = 200;
+
+/**
+ * Cancels one of the event's registrations and offers its places to the
+ * waitlist. `cancelledBy` is an admin's username or CANCELLED_BY_VISITOR; a
+ * registration already checked in is only cancelled with `allowCheckedIn`.
+ * Returns `{ outcome, before, registration, promoted }`, where outcome is
+ * 'cancelled', 'not_found', 'already_cancelled' or 'checked_in'. Send
+ * notifyPromotedVisitors `promoted` once committed.
+ */
+const cancelRegistration = async (dbClient, expo, registrationId, { cancelledBy, reason = null, allowCheckedIn = false }) => {
+    await lockEventCapacity(dbClient, expo);
+    const { rows: [before] } = await dbClient.query(
+        'SELECT * FROM registrations WHERE registration_id = $1 AND event_id = $2 FOR UPDATE',
+        [registrationId, expo.id]
+    );
+    if (!before) return { outcome: 'not_found' };
+    if (before.registration_status === REGISTRATION_STATUSES.CANCELLED) return { outcome: 'already_cancelled', before, registration: before };
+    if (before.checked_in_at && !allowCheckedIn) return { outcome: 'checked_in', before, registration: before };
+
+    const { rows: [registration] } = await dbClient.query(`
+        UPDATE registrations
+        SET registration_status = $2, cancelled_at = NOW(), cancelled_by = $3, cancellation_reason = $4,
+            place_held_until = NULL, needs_sync = true, updated_at = NOW()
+        WHERE registration_id = $1
+        RETURNING *
+    `, [registrationId, REGISTRATION_STATUSES.CANCELLED, cancelledBy, reason || null]);
+    const promoted = await promoteWaitlisted(dbClient, expo);
+    return { outcome: 'cancelled', before, registration, promoted };
+};
+
+/**
+ * Restores a cancelled registration under the capacity rules: it is confirmed
+ * if every day it chose has a place, and otherwise joins the end of the waitlist.
+ * A confirmed one that still has to pay (including one whose payment failed)
+ * holds its places for PAYMENT_HOLD_MINUTES, as a promoted one does.
+ * Returns `{ outcome, before, registration, fullDays }`, where outcome is
+ * 'restored', 'not_found' or 'not_cancelled'.
+ */
+const restoreRegistration = async (dbClient, expo, registrationId) => {
+    await lockEventCapacity(dbClient, expo);
+    const { rows: [before] } = await dbClient.query(
+        'SELECT * FROM registrations WHERE registration_id = $1 AND event_id = $2 FOR UPDATE',
+        [registrationId, expo.id]
+    );
+    if (!before) return { outcome: 'not_found' };
+    if (before.registration_status !== REGISTRATION_STATUSES.CANCELLED) return { outcome: 'not_cancelled', before, registration: before };
+
+    const fullDays = findFullDays(expo, await countTakenPlaces(dbClient, expo), before.attendance_days);
+    const confirmed = fullDays.length === 0;
+    const { rows: [registration] } = await dbClient.query(`
+        UPDATE registrations
+        SET
+            registration_status = $2,
+            cancelled_at = NULL, cancelled_by = NULL, cancellation_reason = NULL,
+            waitlisted_at = CASE WHEN $3 THEN waitlisted_at ELSE NOW() END,
+            payment_status = CASE WHEN $3 AND payment_status = $4 THEN $5 ELSE payment_status END,
+            place_held_until = CASE WHEN $3 AND payment_status IN ($4, $5) THEN NOW() + make_interval(mins => $6) END,
+            needs_sync = true,
+            updated_at = NOW()
+        WHERE registration_id = $1
+        RETURNING *
+    `, [
+        registrationId,
+        confirmed ? REGISTRATION_STATUSES.CONFIRMED : REGISTRATION_STATUSES.WAITLISTED,
+        confirmed,
+        PAYMENT_STATUSES.FAILED,
+        PAYMENT_STATUSES.PENDING,
+        PAYMENT_HOLD_MINUTES,
+    ]);
+    return { outcome: 'restored', before, registration, fullDays };
+};
+
+module.exports = {
+    CANCELLED_BY_VISITOR,
+    MAX_CANCELLATION_REASON_LENGTH,
+    cancelRegistration,
+    restoreRegistration,
+};
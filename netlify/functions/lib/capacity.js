@@ -0,0 +1,282 @@
+// /netlify/functions/lib/capacity.js
+
+const { getEventById } = require('./events');
+const { PAYMENT_STATUSES } = require('./payments');
+const { REGISTRATION_STATUSES } = require('./registrations');
+const { getSmsProvider } = require('./sms');
+
+/**
+ * --- REGISTRATION WINDOW, CAPACITY & WAITLIST ---
+ *
+ * Registrations are accepted between the event's `registrationOpensAt` and
+ * `registrationClosesAt` (either may be unset). A day with a `capacity` takes
+ * that many confirmed registrations that are free or paid for; one awaiting
+ * payment holds its places for PAYMENT_HOLD_MINUTES, and a failed payment holds
+ * none. A registration choosing any full day joins the event's waitlist instead
+ * (see db/migrations/017_capacity_waitlist.sql), and promoteWaitlisted confirms
+ * waitlisted registrations whenever places are freed.
+ *
+ * Every capacity decision runs in a transaction holding the event's row lock
+ * (lockEventCapacity), so two registrations cannot take the last place.
+ */
+const PAYMENT_HOLD_MINUTES = parseInt(process.env.PAYMENT_HOLD_MINUTES, 10) || 30;
+
+// 'not_open', 'open' or 'closed'.
+const getRegistrationWindowState = (expo, now = new Date()) => {
+    if (expo.registrationOpensAt && now < new Date(expo.registrationOpensAt)) return 'not_open';
+    if (expo.registrationClosesAt && now >= new Date(expo.registrationClosesAt)) return 'closed';
+    return 'open';
+};
+
+// A registration's 1-based place on its event's waitlist, as a `waitlist_position` column.
+const WAITLIST_POSITION_SQL = `(
+    SELECT COUNT(*)::int FROM registrations w
+    WHERE w.event_id = registrations.event_id AND w.registration_status = 'waitlisted'
+      AND (w.waitlisted_at, w.registration_id) <= (registrations.waitlisted_at, registrations.registration_id)
+) AS waitlist_position`;
+
+// Serializes the event's capacity decisions until the transaction ends.
+const lockEventCapacity = (dbClient, expo) => dbClient.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [expo.id]);
+
+// Places taken on each day (by label): confirmed registrations that are free, paid
+// for, or awaiting a payment whose hold has not lapsed.
+const countTakenPlaces = async (db, expo) => {
+    const { rows } = await db.query(`
+        SELECT day, COUNT(*)::int AS taken
+        FROM registrations, unnest(attendance_days) AS day
+        WHERE event_id = $1 AND registration_status = $2
+          AND (payment_status = ANY($3::text[]) OR (payment_status = $4 AND place_held_until > NOW()))
+        GROUP BY day
+    `, [expo.id, REGISTRATION_STATUSES.CONFIRMED, [PAYMENT_STATUSES.FREE, PAYMENT_STATUSES.PAID], PAYMENT_STATUSES.PENDING]);
+    return new Map(rows.map(row => [row.day, row.taken]));
+};
+
+// The labels among `days` with no place left, given the counts from countTakenPlaces.
+const findFullDays = (expo, taken, days) => expo.days
+    .filter(d => d.capacity !== null && days.includes(d.label) && (taken.get(d.label) || 0) >= d.capacity)
+    .map(d => d.label);
+
+// Takes a place on each of `days` in `taken` when none of them is full. Returns the full days otherwise.
+const takePlaces = (expo, taken, days) => {
+    const fullDays = findFullDays(expo, taken, days);
+    if (fullDays.length === 0) days.forEach(day => taken.set(day, (taken.get(day) || 0) + 1));
+    return fullDays;
+};
+
+// Each day's cap and places left (null when unlimited), given the counts from countTakenPlaces.
+const getDayAvailability = (expo, taken) => expo.days.map(d => ({
+    label: d.label,
+    date: d.date,
+    capacity: d.capacity,
+    remaining: d.capacity === null ? null : Math.max(d.capacity - (taken.get(d.label) || 0), 0),
+}));
+
+/**
+ * Confirms waitlisted registrations, in the order they joined, while every day
+ * each one chose has a place. One that does not fit is skipped, so later ones
+ * wanting other days can still be promoted; a refunded one is never promoted.
+ * A promoted registration that still has to pay holds its places for
+ * PAYMENT_HOLD_MINUTES. Call inside a transaction after lockEventCapacity;
+ * send notifyPromotedVisitors the result once committed.
+ * Returns the promoted registrations.
+ */
+const promoteWaitlisted = async (dbClient, expo) => {
+    const { rows: waitlist } = await dbClient.query(`
+        SELECT registration_id, attendance_days FROM registrations
+        WHERE event_id = $1 AND registration_status = $2 AND payment_status <> $3
+        ORDER BY waitlisted_at ASC, registration_id ASC
+    `, [expo.id, REGISTRATION_STATUSES.WAITLISTED, PAYMENT_STATUSES.REFUNDED]);
+    if (waitlist.length === 0) return [];
+
+    const taken = await countTakenPlaces(dbClient, expo);
+    const promotedIds = waitlist
+        .filter(registration => takePlaces(expo, taken, registration.attendance_days).length === 0)
+        .map(registration => registration.registration_id);
+    if (promotedIds.length === 0) return [];
+
+    // A payment taken on the waitlist no longer needs review once it buys a place.
+    const { rows: promoted } = await dbClient.query(`
+        UPDATE registrations
+        SET
+            registration_status = $2,
+            promoted_at = NOW(),
+            payment_status = CASE WHEN payment_status = $3 THEN $4 ELSE payment_status END,
+            place_held_until = CASE WHEN payment_status IN ($3, $4) THEN NOW() + make_interval(mins => $5) END,
+            payment_review_reason = CASE WHEN payment_review_reason = $6 THEN NULL ELSE payment_review_reason END,
+            review_payment_id = CASE WHEN payment_review_reason = $6 THEN NULL ELSE review_payment_id END,
+            needs_sync = true,
+            updated_at = NOW()
+        WHERE registration_id = ANY($1::text[])
+        RETURNING *
+    `, [
+        promotedIds,
+        REGISTRATION_STATUSES.CONFIRMED,
+        PAYMENT_STATUSES.FAILED,
+        PAYMENT_STATUSES.PENDING,
+        PAYMENT_HOLD_MINUTES,
+        PAYMENT_REVIEW_REASONS.PAID_WHILE_WAITLISTED,
+    ]);
+    console.log(`[WAITLIST] Promoted ${promoted.length} registration(s) for ${expo.slug}.`);
+    return promoted;
+};
+
+// Tells promoted visitors by SMS. Failures are logged: the promotion itself stands.
+const notifyPromotedVisitors = async (expo, promoted) => {
+    for (const registration of promoted) {
+        const nextStep = registration.payment_status === PAYMENT_STATUSES.PENDING
+            ? `Submit the registration form again with this phone number within ${PAYMENT_HOLD_MINUTES} minutes to pay and get your pass.`
+            : 'Verify your phone number on the registration page to get your pass.';
+        try {
+            await getSmsProvider().sendSms(registration.phone, `A place has opened up: your ${expo.name} registration ${registration.registration_id} is confirmed. ${nextStep}`);
+        } catch (error) {
+            console.error(`[WAITLIST] Could not notify ${registration.registration_id} of their promotion:`, error.message);
+        }
+    }
+};
+
+/**
+ * Renews the hold of a confirmed registration whose visitor has come back to
+ * pay, marking the payment pending again. A registration whose hold lapsed (or
+ * whose payment failed) claims its places again, and joins the end of the
+ * waitlist if a day it chose has filled up since. Call inside a transaction.
+ * Returns `{ registration, fullDays }`, the registration read with its waitlist position.
+ */
+const holdPlacesForPayment = async (dbClient, expo, registrationId) => {
+    await lockEventCapacity(dbClient, expo);
+    const { rows: [current] } = await dbClient.query(
+        'SELECT attendance_days, payment_status, place_held_until FROM registrations WHERE registration_id = $1 FOR UPDATE',
+        [registrationId]
+    );
+    const isHeld = current.payment_status === PAYMENT_STATUSES.PENDING && current.place_held_until > new Date();
+    const fullDays = isHeld ? [] : findFullDays(expo, await countTakenPlaces(dbClient, expo), current.attendance_days);
+
+    if (fullDays.length > 0) {
+        await dbClient.query(
+            'UPDATE registrations SET registration_status = $2, waitlisted_at = NOW(), place_held_until = NULL, needs_sync = true, updated_at = NOW() WHERE registration_id = $1',
+            [registrationId, REGISTRATION_STATUSES.WAITLISTED]
+        );
+    } else {
+        await dbClient.query(
+            'UPDATE registrations SET payment_status = $2, place_held_until = NOW() + make_interval(mins => $3), needs_sync = true, updated_at = NOW() WHERE registration_id = $1',
+            [registrationId, PAYMENT_STATUSES.PENDING, PAYMENT_HOLD_MINUTES]
+        );
+    }
+    const { rows: [registration] } = await dbClient.query(
+        `SELECT *, ${WAITLIST_POSITION_SQL} FROM registrations WHERE registration_id = $1`,
+        [registrationId]
+    );
+    return { registration, fullDays };
+};
+
+/**
+ * --- CAPTURED PAYMENTS ---
+ *
+ * confirm-payment and razorpay-webhook both report a captured payment, in
+ * either order, through recordCapturedPayment. A payment that cannot simply
+ * confirm its registration is still recorded, and flagged in
+ * `payment_review_reason` with the payment in `review_payment_id` (see
+ * db/migrations/017_capacity_waitlist.sql) so an organizer can refund it from
+ * the admin search.
+ */
+const PAYMENT_REVIEW_REASONS = Object.freeze({
+    PAID_WHILE_WAITLISTED: 'paid_while_waitlisted',
+    DUPLICATE_PAYMENT: 'duplicate_payment',
+    UNEXPECTED_PAYMENT: 'unexpected_payment',
+});
+
+const flagPaymentForReview = async (dbClient, registration, reason, paymentId) => {
+    console.warn(`[PAYMENT] Payment ${paymentId} for registration ${registration.registration_id} needs review (${reason}): refund it or settle it by hand.`);
+    await dbClient.query(
+        'UPDATE registrations SET payment_review_reason = $2, review_payment_id = $3, updated_at = NOW() WHERE registration_id = $1',
+        [registration.registration_id, reason, paymentId]
+    );
+};
+
+/**
+ * Applies a captured payment to the registration owning `orderId`:
+ * - awaiting payment with its places held, or with room on every day it chose: paid ('paid')
+ * - waitlisted, or its hold lapsed and a chosen day filled up since: paid, kept on
+ *   (or moved to the end of) the waitlist and flagged paid_while_waitlisted ('waitlisted')
+ * - already paid by this payment: unchanged ('already_paid')
+ * - already paid by another payment: flagged duplicate_payment ('duplicate')
+ * - refunded or cancelled: flagged unexpected_payment ('review')
+ * Call inside a transaction. Returns `{ outcome, registration }` (outcome
+ * 'not_found' without one), the registration read with its waitlist position.
+ */
+const recordCapturedPayment = async (dbClient, orderId, paymentId) => {
+    // The event is locked before the registration, in the same order as every other capacity decision.
+    const { rows: [order] } = await dbClient.query('SELECT event_id FROM registrations WHERE razorpay_order_id = $1', [orderId]);
+    if (!order) {
+        return { outcome: 'not_found' };
+    }
+    const expo = await getEventById(dbClient, order.event_id);
+    await lockEventCapacity(dbClient, expo);
+    const { rows: [current] } = await dbClient.query('SELECT * FROM registrations WHERE razorpay_order_id = $1 FOR UPDATE', [orderId]);
+
+    let outcome;
+    if (current.payment_status === PAYMENT_STATUSES.PAID) {
+        outcome = current.payment_id === paymentId ? 'already_paid' : 'duplicate';
+        if (outcome === 'duplicate') await flagPaymentForReview(dbClient, current, PAYMENT_REVIEW_REASONS.DUPLICATE_PAYMENT, paymentId);
+    } else if (current.registration_status === REGISTRATION_STATUSES.CANCELLED ||
+        ![PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.FAILED].includes(current.payment_status)) {
+        outcome = 'review';
+        await flagPaymentForReview(dbClient, current, PAYMENT_REVIEW_REASONS.UNEXPECTED_PAYMENT, paymentId);
+    } else {
+        // Places that were not held any more are only kept if they are still free.
+        const isConfirmed = current.registration_status === REGISTRATION_STATUSES.CONFIRMED;
+        const isHeld = current.payment_status === PAYMENT_STATUSES.PENDING && current.place_held_until > new Date();
+        const fullDays = isConfirmed && !isHeld
+            ? findFullDays(expo, await countTakenPlaces(dbClient, expo), current.attendance_days)
+            : [];
+        const waitlisted = !isConfirmed || fullDays.length > 0;
+        outcome = waitlisted ? 'waitlisted' : 'paid';
+        if (waitlisted) {
+            console.warn(`[PAYMENT] Payment ${paymentId} for registration ${current.registration_id} arrived while it ${isConfirmed ? `could not keep its places (${fullDays.join(', ')} full)` : 'was on the waitlist'}: refund it or wait for a place.`);
+        }
+
+        await dbClient.query(`
+            UPDATE registrations
+            SET
+                payment_status = $2,
+                payment_id = $3,
+                paid_at = NOW(),
+                place_held_until = NULL,
+                registration_status = $4,
+                waitlisted_at = CASE WHEN registration_status = $4 THEN waitlisted_at ELSE NOW() END,
+                payment_review_reason = $5,
+                review_payment_id = $6,
+                needs_sync = true,
+                updated_at = NOW()
+            WHERE registration_id = $1
+        `, [
+            current.registration_id,
+            PAYMENT_STATUSES.PAID,
+            paymentId,
+            waitlisted ? REGISTRATION_STATUSES.WAITLISTED : REGISTRATION_STATUSES.CONFIRMED,
+            waitlisted ? PAYMENT_REVIEW_REASONS.PAID_WHILE_WAITLISTED : null,
+            waitlisted ? paymentId : null,
+        ]);
+    }
+
+    const { rows: [registration] } = await dbClient.query(
+        `SELECT *, ${WAITLIST_POSITION_SQL} FROM registrations WHERE registration_id = $1`,
+        [current.registration_id]
+    );
+    return { outcome, registration };
+};
+
+module.exports = {
+    PAYMENT_HOLD_MINUTES,
+    getRegistrationWindowState,
+    WAITLIST_POSITION_SQL,
+    lockEventCapacity,
+    countTakenPlaces,
+    findFullDays,
+    takePlaces,
+    getDayAvailability,
+    promoteWaitlisted,
+    notifyPromotedVisitors,
+    holdPlacesForPayment,
+    PAYMENT_REVIEW_REASONS,
+    recordCapturedPayment,
+};
@@ -0,0 +1,115 @@
+// /netlify/functions/lib/check-in.js
+
+const { AUDIT_ACTIONS, recordAuditEvent } = require('./audit');
+const { hasValidTicket } = require('./registrations');
+
+/**
+ * --- CHECK-IN ---
+ *
+ * Shared by mark-checked-in (manual search) and scan-check-in (QR code).
+ * Records one `check_ins` row per registration per event day, keeps
+ * `registrations.checked_in_at` as the first arrival, and writes the audit
+ * entry, all in one transaction on `dbClient`.
+ * Returns `{ outcome, registration, alreadyCheckedIn }` where outcome is one of
+ * 'checked_in', 'not_found' (also for another event's registration),
+ * 'invalid_ticket' or 'day_not_registered'.
+ */
+const checkInRegistration = async (dbClient, expo, event, admin, registrationId, eventDay, auditDetails = null) => {
+    await dbClient.query('BEGIN');
+    try {
+        // Lock the registration so concurrent scans of the same pass are serialized.
+        const { rows: existingRows } = await dbClient.query(
+            'SELECT registration_id, name, attendance_days, checked_in_at, payment_status, registration_status FROM registrations WHERE registration_id = $1 AND event_id = $2 FOR UPDATE',
+            [registrationId, expo.id]
+        );
+        if (existingRows.length === 0) {
+            await dbClient.query('ROLLBACK');
+            return { outcome: 'not_found' };
+        }
+        const existing = existingRows[0];
+
+        // Waitlisted, unpaid, failed or refunded registrations are not entitled to entry.
+        if (!hasValidTicket(existing)) {
+            await dbClient.query('ROLLBACK');
+            return { outcome: 'invalid_ticket', registration: existing };
+        }
+
+        // Visitors may only enter on the days they registered for.
+        if (!(existing.attendance_days || []).includes(eventDay)) {
+            await dbClient.query('ROLLBACK');
+            return { outcome: 'day_not_registered', registration: existing };
+        }
+
+        const { rows: dayRows } = await dbClient.query(
+            'SELECT checked_in_at FROM check_ins WHERE registration_id = $1 AND event_day = $2',
+            [registrationId, eventDay]
+        );
+        const previousDayCheckIn = dayRows.length > 0 ? dayRows[0].checked_in_at : null;
+
+        if (!previousDayCheckIn) {
+            await dbClient.query(
+                'INSERT INTO check_ins (registration_id, event_day, checked_in_by) VALUES ($1, $2, $3)',
+                [registrationId, eventDay, admin.id || null]
+            );
+        }
+
+        // checked_in_at keeps the first arrival across all days.
+        const { rows } = await dbClient.query(`
+            UPDATE registrations
+            SET
+                checked_in_at = COALESCE(checked_in_at, NOW()),
+                needs_sync = true
+            WHERE registration_id = $1
+            RETURNING registration_id, name, checked_in_at;
+        `, [registrationId]);
+        const checkIns = await getCheckIns(dbClient, registrationId);
+        const dayCheckIn = checkIns.find(c => c.day === eventDay);
+
+        await recordAuditEvent(dbClient, event, admin, {
+            action: AUDIT_ACTIONS.CHECK_IN,
+            registrationId,
+            before: { day: eventDay, checked_in_at: previousDayCheckIn },
+            after: { day: eventDay, checked_in_at: dayCheckIn.checkedInAt },
+            details: auditDetails,
+        });
+        await dbClient.query('COMMIT');
+
+        return {
+            outcome: 'checked_in',
+            registration: { ...rows[0], check_ins: checkIns },
+            alreadyCheckedIn: !!previousDayCheckIn,
+        };
+    } catch (error) {
+        await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
+    }
+};
+
+// Per-day check-ins for one registration, oldest first: [{ day, checkedInAt }]
+const getCheckIns = async (db, registrationId) => {
+    const { rows } = await db.query(
+        'SELECT event_day AS day, checked_in_at AS "checkedInAt" FROM check_ins WHERE registration_id = $1 ORDER BY checked_in_at ASC',
+        [registrationId]
+    );
+    return rows;
+};
+
+// Per-day check-ins for many registrations, as Map(registration_id -> { day -> checked_in_at }).
+const getCheckInsByRegistration = async (db, registrationIds) => {
+    const { rows } = await db.query(
+        "SELECT registration_id, event_day, checked_in_at FROM check_ins WHERE registration_id = ANY($1::text[])",
+        [registrationIds]
+    );
+    const checkInMap = new Map();
+    for (const row of rows) {
+        if (!checkInMap.has(row.registration_id)) checkInMap.set(row.registration_id, {});
+        checkInMap.get(row.registration_id)[row.event_day] = row.checked_in_at;
+    }
+    return checkInMap;
+};
+
+module.exports = {
+    checkInRegistration,
+    getCheckIns,
+    getCheckInsByRegistration,
+};
@@ -0,0 +1,26 @@
+// /netlify/functions/lib/cloudinary.js
+
+/**
+ * --- CLOUDINARY ---
+ *
+ * The configured Cloudinary client, shared by the profile image and export
+ * storages. The SDK is loaded on first use.
+ */
+let cloudinaryClient = null;
+
+const getCloudinary = () => {
+    if (!cloudinaryClient) {
+        cloudinaryClient = require('cloudinary').v2;
+        cloudinaryClient.config({
+            cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+            api_key: process.env.CLOUDINARY_API_KEY,
+            api_secret: process.env.CLOUDINARY_API_SECRET,
+            secure: true,
+        });
+    }
+    return cloudinaryClient;
+};
+
+module.exports = {
+    getCloudinary,
+};
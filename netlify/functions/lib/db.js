@@ -0,0 +1,31 @@
+// /netlify/functions/lib/db.js
+
+const { Pool } = require('pg');
+
+/**
+ * --- DATABASE CONNECTION POOL ---
+ *
+ * A robust, serverless-friendly PostgreSQL connection pool.
+ * This configuration is essential for reliability in a serverless environment.
+ */
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    max: 15, // Max concurrent clients
+    // CRITICAL: Increased timeout to handle serverless cold starts without failing.
+    connectionTimeoutMillis: 15000, // 15 seconds
+    idleTimeoutMillis: 30000,       // 30 seconds
+    // This is often required by managed database providers.
+    // For production, ensure you are using a valid CA-signed certificate.
+    // Set DATABASE_SSL=false for a local database without SSL.
+    ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
+});
+
+// Optional: Add event listeners for logging and debugging pool activity
+pool.on('error', (err, client) => {
+    console.error('[DB_POOL] Unexpected error on idle client', err);
+    process.exit(-1); // A harsh but effective way to force a container restart on critical error.
+});
+
+module.exports = {
+    pool,
+};
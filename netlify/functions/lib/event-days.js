@@ -0,0 +1,64 @@
+// /netlify/functions/lib/event-days.js
+
+/**
+ * --- EVENT DAYS ---
+ *
+ * Each event runs over several days (`expo.days`, e.g. `[{"label":"Day 1","date":"2025-09-12"}, ...]`).
+ * Registrations store the chosen labels in the `registrations.attendance_days`
+ * array (see db/migrations/006_attendance_days.sql); attendance is recorded per day in the
+ * `check_ins` table (see db/migrations/005_check_ins.sql).
+ */
+
+/**
+ * Validates submitted attendance values against the event's days.
+ * Accepts an array or a comma-joined string, matches labels case-insensitively,
+ * and returns `{ days, invalid }` with `days` de-duplicated in event order.
+ */
+const normalizeAttendanceDays = (expo, values) => {
+    const submitted = (Array.isArray(values) ? values : String(values || '').split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean);
+    const invalid = submitted.filter(value => !expo.days.some(d => d.label.toLowerCase() === value.toLowerCase()));
+    const days = expo.days
+        .filter(d => submitted.some(value => value.toLowerCase() === d.label.toLowerCase()))
+        .map(d => d.label);
+    return { days, invalid };
+};
+
+// Attendance validation shared by every way of registering. Returns `{ days, errors }`.
+const validateAttendanceDays = (expo, values) => {
+    const { days, invalid } = normalizeAttendanceDays(expo, values);
+    const errors = [];
+    if (invalid.length > 0) {
+        errors.push(`Invalid attending day(s): ${invalid.join(', ')}. Valid days are ${expo.days.map(d => d.label).join(', ')}.`);
+    } else if (days.length === 0) {
+        errors.push("You must select at least one attending day.");
+    }
+    return { days, errors };
+};
+
+// Display form of a registration's days, e.g. "Day 1, Day 3".
+const formatAttendanceDays = (attendanceDays) => (attendanceDays || []).join(', ');
+
+// Returns the label of the event day that is "today" in the event's time zone, or null.
+const getCurrentEventDay = (expo, now = new Date()) => {
+    const today = now.toLocaleDateString('en-CA', { timeZone: expo.timeZone }); // YYYY-MM-DD
+    const eventDay = expo.days.find(d => d.date === today);
+    return eventDay ? eventDay.label : null;
+};
+
+// Validates a requested day label, defaulting to today's event day. Returns null if neither is valid.
+const resolveEventDay = (expo, requestedDay) => {
+    if (requestedDay) {
+        return expo.days.some(d => d.label === requestedDay) ? requestedDay : null;
+    }
+    return getCurrentEventDay(expo);
+};
+
+module.exports = {
+    normalizeAttendanceDays,
+    validateAttendanceDays,
+    formatAttendanceDays,
+    getCurrentEventDay,
+    resolveEventDay,
+};
@@ -0,0 +1,86 @@
+// /netlify/functions/lib/events.js
+
+const { pool } = require('./db');
+
+/**
+ * --- EVENTS ---
+ *
+ * The platform runs several expos, each a row in the `events` table (see
+ * db/migrations/016_events.sql) with its registration ID prefix, days, time
+ * zone, Google Sheet, storage folders and registration window. Every
+ * registration belongs to one event (`registrations.event_id`).
+ *
+ * Requests name their event with `?event=<slug>`. Without one, DEFAULT_EVENT_SLUG
+ * is used, or else the only active event. Functions built with
+ * `createHandler({ event: true })` receive it as `expo` (see toEventConfig),
+ * found by resolveEvent in utils.js. Events are cached for EVENT_CACHE_TTL_MS
+ * per function instance.
+ */
+const EVENT_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+const EVENT_CACHE_TTL_MS = 60 * 1000;
+
+// An `events` row as used by the functions.
+const toEventConfig = (row) => Object.freeze({
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    venue: row.venue,
+    idPrefix: row.id_prefix,
+    timeZone: row.time_zone,
+    // `capacity` is the day's visitor cap, or null for no cap (see db/migrations/017_capacity_waitlist.sql).
+    days: Object.freeze(row.days.map(d => Object.freeze({
+        label: d.label,
+        date: d.date,
+        capacity: Number.isInteger(d.capacity) && d.capacity >= 0 ? d.capacity : null,
+    }))),
+    // Events on GOOGLE_SHEET_ID share it, each on its own tab (see events_sheet_key in db/migrations/016_events.sql).
+    googleSheetId: row.google_sheet_id || process.env.GOOGLE_SHEET_ID || null,
+    sheetName: row.sheet_name,
+    imageFolder: row.image_folder,
+    exportFolder: row.export_folder,
+    registrationOpensAt: row.registration_opens_at,
+    registrationClosesAt: row.registration_closes_at,
+    isActive: row.is_active,
+});
+
+let eventsCache = null;
+
+// Every event, oldest first. `refresh` skips the cache.
+const getEvents = async (db = pool, { refresh = false } = {}) => {
+    if (refresh || !eventsCache || Date.now() - eventsCache.loadedAt > EVENT_CACHE_TTL_MS) {
+        const { rows } = await db.query('SELECT * FROM events ORDER BY id');
+        eventsCache = { events: rows.map(toEventConfig), loadedAt: Date.now() };
+    }
+    return eventsCache.events;
+};
+
+// The event matching `predicate`, re-reading the table once so a newly added event is found. Otherwise null.
+const findEvent = async (db, predicate) =>
+    (await getEvents(db)).find(predicate) || (await getEvents(db, { refresh: true })).find(predicate) || null;
+
+const getEventById = (db, id) => findEvent(db, expo => expo.id === id);
+
+// The event with a slug (as given in `?event=`), or null.
+const getEventBySlug = (db, slug) => {
+    const normalized = String(slug).trim().toLowerCase();
+    return EVENT_SLUG_PATTERN.test(normalized) ? findEvent(db, expo => expo.slug === normalized) : null;
+};
+
+// The event details shown publicly, e.g. by the registration page.
+const formatPublicEvent = (expo) => ({
+    slug: expo.slug,
+    name: expo.name,
+    venue: expo.venue,
+    idPrefix: expo.idPrefix,
+    timeZone: expo.timeZone,
+    days: expo.days,
+    registrationOpensAt: expo.registrationOpensAt,
+    registrationClosesAt: expo.registrationClosesAt,
+});
+
+module.exports = {
+    getEvents,
+    getEventById,
+    getEventBySlug,
+    formatPublicEvent,
+};
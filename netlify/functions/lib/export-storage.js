@@ -0,0 +1,142 @@
+// /netlify/functions/lib/export-storage.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getRequiredSecret, signToken, verifyToken } = require('./tokens');
+const { getCloudinary } = require('./cloudinary');
+
+/**
+ * --- EXPORT STORAGE ---
+ *
+ * Export files are kept in a private store, selected with EXPORT_STORAGE, and
+ * handed out only through signed links that expire after EXPORT_URL_TTL_MINUTES.
+ * Files older than EXPORT_RETENTION_HOURS are deleted by cleanup-exports.
+ * Every backend implements:
+ * - `save(key, contentType)` -> `{ stream, saved }`: write the file to `stream`; `saved` settles once stored
+ * - `getDownloadUrl(key, fileName)` -> `{ url, expiresAt }`
+ * - `removeOlderThan(folder, cutoff)` -> number of files deleted from an event's export folder
+ * Backends:
+ * - `cloudinary` (default): private (`authenticated`) raw assets
+ * - `local`: files under EXPORT_STORAGE_DIR, served by download-export (for local testing)
+ * Keys start with the event's `exportFolder`, so each event's files are kept apart.
+ */
+const EXPORT_URL_TTL_SECONDS = (parseInt(process.env.EXPORT_URL_TTL_MINUTES, 10) || 15) * 60;
+const EXPORT_RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS, 10) || 24;
+
+// Keys are "<export folder>/<random UUID>/<file name>", so stored files cannot be guessed from the date or filters.
+const EXPORT_KEY_PATTERN = /^[a-z0-9-]+\/[0-9a-f-]{36}\/[a-z0-9.-]+$/;
+const createExportKey = (expo, fileName) => `${expo.exportFolder}/${crypto.randomUUID()}/${fileName}`;
+
+const getLocalExportDir = () => process.env.EXPORT_STORAGE_DIR || path.join(os.tmpdir(), 'expo-exports');
+
+const getLocalExportPath = (key) => {
+    if (!EXPORT_KEY_PATTERN.test(key)) throw new Error(`Invalid export key '${key}'.`);
+    return path.join(getLocalExportDir(), key);
+};
+
+// Signed links for the local backend, checked by download-export.
+const signExportDownloadToken = (key, fileName) => signToken(
+    { sub: key, fileName, scope: 'export-download' },
+    getRequiredSecret('EXPORT_URL_SECRET'),
+    EXPORT_URL_TTL_SECONDS
+);
+
+const verifyExportDownloadToken = (token) => {
+    const claims = verifyToken(token, getRequiredSecret('EXPORT_URL_SECRET'));
+    return claims && claims.scope === 'export-download' && EXPORT_KEY_PATTERN.test(claims.sub) ? claims : null;
+};
+
+const exportStorages = {
+    cloudinary: {
+        save: (key) => {
+            let stream;
+            const saved = new Promise((resolve, reject) => {
+                stream = getCloudinary().uploader.upload_stream({
+                    public_id: key,
+                    resource_type: 'raw',
+                    type: 'authenticated',
+                    overwrite: false,
+                }, (error, result) => {
+                    if (error) return reject(new Error(`Cloudinary upload failed: ${error.message}`));
+                    resolve(result);
+                });
+            });
+            return { stream, saved };
+        },
+        getDownloadUrl: async (key) => {
+            const expiresAt = Math.floor(Date.now() / 1000) + EXPORT_URL_TTL_SECONDS;
+            const url = getCloudinary().utils.private_download_url(key, '', {
+                resource_type: 'raw', type: 'authenticated', expires_at: expiresAt, attachment: true,
+            });
+            return { url, expiresAt: new Date(expiresAt * 1000).toISOString() };
+        },
+        // Also removes old public exports (`upload` type) left from before exports were private.
+        removeOlderThan: async (folder, cutoff) => {
+            let removed = 0;
+            for (const type of ['authenticated', 'upload']) {
+                let nextCursor;
+                do {
+                    const page = await getCloudinary().api.resources({
+                        resource_type: 'raw', type, prefix: `${folder}/`, max_results: 500, next_cursor: nextCursor,
+                    });
+                    const expired = page.resources.filter(resource => new Date(resource.created_at) < cutoff).map(resource => resource.public_id);
+                    // delete_resources takes at most 100 IDs per call.
+                    for (let i = 0; i < expired.length; i += 100) {
+                        await getCloudinary().api.delete_resources(expired.slice(i, i + 100), { resource_type: 'raw', type });
+                    }
+                    removed += expired.length;
+                    nextCursor = page.next_cursor;
+                } while (nextCursor);
+            }
+            return removed;
+        },
+    },
+    local: {
+        save: (key) => {
+            const filePath = getLocalExportPath(key);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const stream = fs.createWriteStream(filePath);
+            const saved = new Promise((resolve, reject) => {
+                stream.on('finish', () => resolve({ key }));
+                stream.on('error', reject);
+            });
+            return { stream, saved };
+        },
+        getDownloadUrl: async (key, fileName) => {
+            const { token, expiresAt } = signExportDownloadToken(key, fileName);
+            return { url: `/.netlify/functions/download-export?token=${encodeURIComponent(token)}`, expiresAt };
+        },
+        read: (key) => fs.promises.readFile(getLocalExportPath(key)),
+        removeOlderThan: async (folder, cutoff) => {
+            const dir = path.join(getLocalExportDir(), folder);
+            if (!fs.existsSync(dir)) return 0;
+            let removed = 0;
+            for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+                const entryPath = path.join(dir, entry.name);
+                if ((await fs.promises.stat(entryPath)).mtime < cutoff) {
+                    await fs.promises.rm(entryPath, { recursive: true, force: true });
+                    removed++;
+                }
+            }
+            return removed;
+        },
+    },
+};
+
+const getExportStorage = () => {
+    const storageName = process.env.EXPORT_STORAGE || 'cloudinary';
+    const storage = exportStorages[storageName];
+    if (!storage) {
+        throw new Error(`Unknown EXPORT_STORAGE '${storageName}'.`);
+    }
+    return storage;
+};
+
+module.exports = {
+    EXPORT_RETENTION_HOURS,
+    createExportKey,
+    verifyExportDownloadToken,
+    getExportStorage,
+};
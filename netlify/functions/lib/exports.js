@@ -0,0 +1,255 @@
+// /netlify/functions/lib/exports.js
+
+const QueryStream = require('pg-query-stream');
+const { normalizeAttendanceDays } = require('./event-days');
+const { REGISTRATION_STATUSES } = require('./registrations');
+
+/**
+ * --- DATA EXPORTS ---
+ *
+ * One event's registrations are streamed from Postgres (pg-query-stream) straight
+ * into the chosen file format, so large exports never sit in memory.
+ * - Formats: `xlsx` (default), `csv`, `json`
+ * - Columns: any of `getExportColumns(expo)` by key, in the order given (default: all)
+ * - Filters: `day` (attending), `state` (case-insensitive), `checkedIn` (true /
+ *   false, for `day` when given, otherwise for any day), `includeCancelled`
+ *   (true to keep cancelled registrations, which are left out by default)
+ */
+const EXPORT_FORMATS = Object.freeze({
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json' },
+});
+
+const EXPORT_ROW_BATCH_SIZE = 500;
+
+// Every exportable column of an event. `sql` selects it from `registrations`; `isTime` columns hold timestamps.
+const getExportColumns = (expo) => [
+    { key: 'registration_id', header: 'Registration ID', width: 22, sql: 'registration_id' },
+    { key: 'name', header: 'Name', width: 30, sql: 'name' },
+    { key: 'company', header: 'Company Name', width: 35, sql: 'company' },
+    { key: 'phone', header: 'Phone Number', width: 18, sql: 'phone' },
+    { key: 'address', header: 'Full Address', width: 45, sql: 'address' },
+    { key: 'city', header: 'District / City', width: 25, sql: 'city' },
+    { key: 'state', header: 'State', width: 25, sql: 'state' },
+    { key: 'attendance_days', header: 'Attending Days', width: 25, sql: "array_to_string(attendance_days, ', ')" },
+    { key: 'payment_id', header: 'Payment ID', width: 30, sql: 'payment_id' },
+    { key: 'payment_status', header: 'Payment Status', width: 18, sql: 'payment_status' },
+    { key: 'registration_status', header: 'Registration Status', width: 20, sql: 'registration_status' },
+    { key: 'timestamp', header: 'Registered On', width: 25, sql: 'timestamp', isTime: true },
+    { key: 'image_url', header: 'Profile Image URL', width: 50, sql: 'image_url' },
+    { key: 'checked_in_at', header: 'Checked-In At', width: 25, sql: 'checked_in_at', isTime: true },
+    ...expo.days.map((eventDay, index) => ({
+        key: `checked_in_day_${index + 1}`, header: `${eventDay.label} Check-In`, width: 25, isTime: true, eventDay: eventDay.label,
+    })),
+];
+
+/**
+ * Validates export parameters (query string or JSON body values) for an event.
+ * Returns `{ options }` with `{ format, columns, filters }`, or `{ error }`.
+ */
+const parseExportOptions = (expo, params = {}) => {
+    const format = String(params.format || 'xlsx').trim().toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        return { error: `Unknown format '${format}'. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` };
+    }
+
+    const allColumns = getExportColumns(expo);
+    let columns = allColumns;
+    const requestedColumns = (Array.isArray(params.columns) ? params.columns : String(params.columns || '').split(','))
+        .map(key => String(key).trim())
+        .filter(Boolean);
+    if (requestedColumns.length > 0) {
+        const unknown = requestedColumns.filter(key => !allColumns.some(column => column.key === key));
+        if (unknown.length > 0) {
+            return { error: `Unknown column(s): ${unknown.join(', ')}. Valid columns are ${allColumns.map(column => column.key).join(', ')}.` };
+        }
+        columns = [...new Set(requestedColumns)].map(key => allColumns.find(column => column.key === key));
+    }
+
+    const filters = {};
+    if (params.day) {
+        const { days, invalid } = normalizeAttendanceDays(expo, [params.day]);
+        if (invalid.length > 0) {
+            return { error: `Unknown event day '${params.day}'. Valid days are ${expo.days.map(d => d.label).join(', ')}.` };
+        }
+        filters.day = days[0];
+    }
+    if (params.state && String(params.state).trim()) {
+        filters.state = String(params.state).trim();
+    }
+    if (params.checkedIn !== undefined && params.checkedIn !== '') {
+        if (!['true', 'false'].includes(String(params.checkedIn))) {
+            return { error: "checkedIn must be 'true' or 'false'." };
+        }
+        filters.checkedIn = String(params.checkedIn) === 'true';
+    }
+    if (params.includeCancelled !== undefined && params.includeCancelled !== '') {
+        if (!['true', 'false'].includes(String(params.includeCancelled))) {
+            return { error: "includeCancelled must be 'true' or 'false'." };
+        }
+        if (String(params.includeCancelled) === 'true') filters.includeCancelled = true;
+    }
+
+    return { options: { format, columns, filters } };
+};
+
+// Builds the export query for parsed options.
+const buildExportQuery = (expo, { columns, filters }) => {
+    const values = [];
+    const addParam = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    const selects = columns.map(column => column.eventDay
+        ? `(SELECT c.checked_in_at FROM check_ins c WHERE c.registration_id = registrations.registration_id AND c.event_day = ${addParam(column.eventDay)}) AS ${column.key}`
+        : `${column.sql} AS ${column.key}`);
+
+    const conditions = [`event_id = ${addParam(expo.id)}`];
+    if (filters.day) conditions.push(`${addParam(filters.day)} = ANY(attendance_days)`);
+    if (filters.state) conditions.push(`LOWER(TRIM(state)) = LOWER(${addParam(filters.state)})`);
+    if (filters.checkedIn !== undefined) {
+        const dayCondition = filters.day ? ` AND c.event_day = ${addParam(filters.day)}` : '';
+        const existsClause = `EXISTS (SELECT 1 FROM check_ins c WHERE c.registration_id = registrations.registration_id${dayCondition})`;
+        conditions.push(filters.checkedIn ? existsClause : `NOT ${existsClause}`);
+    }
+    if (!filters.includeCancelled) conditions.push(`registration_status <> ${addParam(REGISTRATION_STATUSES.CANCELLED)}`);
+
+    const sql = `
+        SELECT ${selects.join(',\n            ')}
+        FROM registrations
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY timestamp ASC, registration_id ASC
+    `;
+    return { sql, values };
+};
+
+// Writes to a stream, waiting for it to drain when its buffer is full.
+// Resolves once `stream` can take more data. Rejects if the stream fails or closes first.
+const writeToStream = (stream, chunk) => {
+    if (stream.destroyed) return Promise.reject(stream.errored || new Error("The export output was closed."));
+    if (stream.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const onDrain = () => { stream.off('close', onClose); resolve(); };
+        const onClose = () => { stream.off('drain', onDrain); reject(stream.errored || new Error("The export output was closed.")); };
+        stream.once('drain', onDrain);
+        stream.once('close', onClose);
+    });
+};
+
+const endStream = (stream) => new Promise(resolve => stream.end(resolve));
+
+// Spreadsheet apps run cells starting with these characters as formulas.
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+    if (value == null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One writer per format: `writeRow(row)` and `end()`, both returning promises.
+const exportWriters = {
+    xlsx: (output, columns) => {
+        // Loaded here, not at the top: CSV and JSON exports do not need it.
+        const ExcelJS = require('exceljs');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+        const worksheet = workbook.addWorksheet('Registrations');
+        worksheet.columns = columns.map(({ key, header, width, isTime }) => ({
+            key, header, width, ...(isTime ? { style: { numFmt: 'dd-mmm-yyyy hh:mm:ss' } } : {}),
+        }));
+        worksheet.getRow(1).font = { bold: true, size: 12 };
+        return {
+            writeRow: async (row) => worksheet.addRow(row).commit(),
+            end: () => workbook.commit(),
+        };
+    },
+    csv: (output, columns) => {
+        const toLine = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+        let headerWritten = false;
+        // The byte order mark makes Excel read the file as UTF-8.
+        const writeHeader = async () => {
+            if (headerWritten) return;
+            headerWritten = true;
+            await writeToStream(output, `\uFEFF${toLine(columns.map(column => column.header))}`);
+        };
+        return {
+            writeRow: async (row) => {
+                await writeHeader();
+                await writeToStream(output, toLine(columns.map(column => row[column.key])));
+            },
+            end: async () => {
+                await writeHeader();
+                await endStream(output);
+            },
+        };
+    },
+    json: (output, columns) => {
+        let rowCount = 0;
+        return {
+            writeRow: (row) => writeToStream(output, `${rowCount++ === 0 ? '[\n' : ',\n'}${JSON.stringify(Object.fromEntries(columns.map(column => [column.key, row[column.key] ?? null])))}`),
+            end: async () => {
+                await writeToStream(output, rowCount === 0 ? '[]\n' : '\n]\n');
+                await endStream(output);
+            },
+        };
+    },
+};
+
+/**
+ * Streams the event's registrations matching `options` into `output` in the
+ * chosen format, then ends `output`. `onProgress(rowCount)` is awaited after
+ * every batch of rows. Resolves with the number of rows written. Stops reading rows
+ * with the output's error as soon as `output` fails or is closed.
+ */
+const streamExport = async (db, expo, options, output, { onProgress } = {}) => {
+    const { sql, values } = buildExportQuery(expo, options);
+    const writer = exportWriters[options.format](output, options.columns);
+
+    let rowCount = 0;
+    for await (const row of db.query(new QueryStream(sql, values, { batchSize: EXPORT_ROW_BATCH_SIZE }))) {
+        await writer.writeRow(row);
+        if (output.destroyed) throw output.errored || new Error("The export output was closed.");
+        rowCount++;
+        if (onProgress && rowCount % EXPORT_ROW_BATCH_SIZE === 0) await onProgress(rowCount);
+    }
+    await writer.end();
+    return rowCount;
+};
+
+// Counts the registrations an export will include, for progress reporting.
+const countExportRows = async (db, expo, options) => {
+    const { sql, values } = buildExportQuery(expo, options);
+    const { rows } = await db.query(`SELECT COUNT(*)::int AS total FROM (${sql}) AS export_rows`, values);
+    return rows[0].total;
+};
+
+// Export options back as parameters, e.g. to store with a background export job.
+const toExportParams = ({ format, columns, filters }) => ({
+    format,
+    columns: columns.map(column => column.key),
+    ...filters,
+});
+
+// A descriptive file name, e.g. "tdexpo-up-2025-registrations-2025-09-12-day-2-checked-in.csv".
+const getExportFileName = (expo, { format, filters }, date = new Date()) => {
+    const parts = [expo.slug, 'registrations', date.toISOString().split('T')[0]];
+    if (filters.day) parts.push(filters.day);
+    if (filters.state) parts.push(filters.state);
+    if (filters.checkedIn !== undefined) parts.push(filters.checkedIn ? 'checked-in' : 'not-checked-in');
+    if (filters.includeCancelled) parts.push('with-cancelled');
+    const slug = parts.join('-').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug}.${EXPORT_FORMATS[format].extension}`;
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    getExportColumns,
+    parseExportOptions,
+    streamExport,
+    countExportRows,
+    toExportParams,
+    getExportFileName,
+};
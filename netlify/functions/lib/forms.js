@@ -0,0 +1,78 @@
+// /netlify/functions/lib/forms.js
+
+const busboy = require('busboy');
+const { HttpError } = require('../utils');
+
+/**
+ * --- REGISTRATION FORM PARSING & VALIDATION ---
+ *
+ * Shared by submit-registration and update-registration so both apply the
+ * same rules to visitor input.
+ */
+const PHONE_PATTERN = /^[6-9]\d{9}$/;
+const MAX_IMAGE_SIZE_BYTES = 5 * 1024 * 1024;
+const IMAGE_FILE_TYPES = Object.freeze({ mimeTypes: ['image/jpeg', 'image/png', 'image/jpg'], description: 'JPG and PNG' });
+
+/**
+ * Parses multipart form data. Repeated `attendance` fields are collected into an array.
+ * Files default to JPG/PNG images; pass `fileTypes: { mimeTypes, description }` to accept others.
+ * Malformed forms and rejected files fail with an HttpError (400).
+ */
+const parseMultipartForm = (event, { fileTypes = IMAGE_FILE_TYPES } = {}) => new Promise((resolve, reject) => {
+    const contentType = event.headers["content-type"] || event.headers["Content-Type"];
+    if (!contentType) return reject(new HttpError(400, "Request is missing 'Content-Type' header."));
+
+    const bb = busboy({ headers: { "content-type": contentType }, limits: { fileSize: MAX_IMAGE_SIZE_BYTES } });
+    const fields = {};
+    const files = {};
+    const attendanceDays = [];
+
+    bb.on("file", (name, file, info) => {
+        if (!fileTypes.mimeTypes.includes(info.mimeType)) {
+            return reject(new HttpError(400, `Invalid file type. Only ${fileTypes.description} are allowed.`));
+        }
+        const chunks = [];
+        file.on("data", (chunk) => chunks.push(chunk));
+        file.on("limit", () => reject(new HttpError(400, `File '${info.filename}' exceeds the 5MB limit.`)));
+        file.on("end", () => {
+            files[name] = { filename: info.filename, content: Buffer.concat(chunks), contentType: info.mimeType };
+        });
+    });
+
+    bb.on("field", (name, value) => {
+        if (name === 'attendance') { attendanceDays.push(value); } else { fields[name] = value; }
+    });
+    bb.on("close", () => {
+        if (attendanceDays.length > 0) { fields.attendance = attendanceDays; }
+        resolve({ fields, files });
+    });
+    bb.on("error", (err) => reject(new HttpError(400, `Error parsing form data: ${err.message}`)));
+    bb.end(Buffer.from(event.body, event.isBase64Encoded ? "base64" : "binary"));
+});
+
+/**
+ * Validates the visitor's text fields. With `partial: true`, only the fields
+ * that are present are checked (used for self-service updates).
+ * Returns an array of human-readable error messages.
+ */
+const validateRegistrationFields = (fields, { partial = false } = {}) => {
+    const errors = [];
+    const check = (key, isValid, message) => {
+        if (partial && fields[key] === undefined) return;
+        if (!isValid(String(fields[key] || '').trim())) errors.push(message);
+    };
+
+    check('name', v => v.length >= 3, "Full Name must be at least 3 characters.");
+    check('phone', v => PHONE_PATTERN.test(v), "A valid 10-digit Indian phone number is required.");
+    check('firmName', v => v.length >= 3, "Firm Name must be at least 3 characters.");
+    check('address', v => v.length >= 10, "Full Address must be at least 10 characters.");
+    check('district', v => v.length >= 2, "District is a required field.");
+    check('state', v => v.length >= 2, "State is a required field.");
+    return errors;
+};
+
+module.exports = {
+    PHONE_PATTERN,
+    parseMultipartForm,
+    validateRegistrationFields,
+};
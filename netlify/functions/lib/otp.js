@@ -0,0 +1,54 @@
+// /netlify/functions/lib/otp.js
+
+const crypto = require('crypto');
+const { getRequiredSecret, signToken, verifyToken, getBearerToken } = require('./tokens');
+
+/**
+ * --- VISITOR VERIFICATION (ONE-TIME CODES) ---
+ *
+ * Visitors prove they own a registered phone number with a 6-digit code sent
+ * by SMS (see db/migrations/007_visitor_otp.sql). A verified visitor receives a short-lived
+ * token, signed with VISITOR_TOKEN_SECRET, that lets them fetch their pass and
+ * update their registration.
+ */
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_MAX_SENDS_PER_WINDOW = 3;
+const OTP_SEND_WINDOW_MINUTES = 15;
+const VISITOR_TOKEN_TTL_SECONDS = 30 * 60; // 30 minutes
+
+const generateOtpCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+// Codes are stored as an HMAC bound to the phone number, never in plain text.
+const hashOtpCode = (phone, code) =>
+    crypto.createHmac('sha256', getRequiredSecret('VISITOR_TOKEN_SECRET')).update(`${phone}:${code}`).digest('hex');
+
+const signVisitorToken = (registrationId) => signToken(
+    { sub: registrationId, scope: 'visitor' },
+    getRequiredSecret('VISITOR_TOKEN_SECRET'),
+    VISITOR_TOKEN_TTL_SECONDS
+);
+
+/**
+ * Authenticates a visitor request from its `Authorization: Bearer <token>` header.
+ * Returns `{ registrationId }` on success, or `{ errorResponse }` (401).
+ */
+const authenticateVisitor = (event) => {
+    const token = getBearerToken(event);
+    const claims = token ? verifyToken(token, getRequiredSecret('VISITOR_TOKEN_SECRET')) : null;
+    if (!claims || claims.scope !== 'visitor') {
+        return { errorResponse: { statusCode: 401, body: JSON.stringify({ error: "Please verify your phone number to continue." }) } };
+    }
+    return { registrationId: claims.sub };
+};
+
+module.exports = {
+    OTP_TTL_MINUTES,
+    OTP_MAX_ATTEMPTS,
+    OTP_MAX_SENDS_PER_WINDOW,
+    OTP_SEND_WINDOW_MINUTES,
+    generateOtpCode,
+    hashOtpCode,
+    signVisitorToken,
+    authenticateVisitor,
+};
@@ -0,0 +1,36 @@
+// /netlify/functions/lib/pass-tokens.js
+
+const crypto = require('crypto');
+const { getRequiredSecret } = require('./tokens');
+
+/**
+ * --- SIGNED PASS TOKENS (QR CODES) ---
+ *
+ * Each visitor pass carries a QR code holding `<registration_id>.<signature>`,
+ * where the signature is an HMAC-SHA256 of the registration ID under
+ * PASS_SIGNING_SECRET. Altering either part invalidates the token.
+ */
+const signPassToken = (registrationId) => {
+    const signature = crypto.createHmac('sha256', getRequiredSecret('PASS_SIGNING_SECRET')).update(registrationId).digest('base64url');
+    return `${registrationId}.${signature}`;
+};
+
+/**
+ * Returns the registration ID from a valid pass token, otherwise null.
+ */
+const verifyPassToken = (token) => {
+    const separatorIndex = (token || '').lastIndexOf('.');
+    if (separatorIndex <= 0) return null;
+
+    const registrationId = token.slice(0, separatorIndex);
+    // Compare the encoded strings so that any altered character is rejected.
+    const expected = Buffer.from(signPassToken(registrationId).slice(separatorIndex + 1));
+    const provided = Buffer.from(token.slice(separatorIndex + 1));
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) return null;
+    return registrationId;
+};
+
+module.exports = {
+    signPassToken,
+    verifyPassToken,
+};
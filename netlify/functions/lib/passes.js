@@ -0,0 +1,210 @@
+// /netlify/functions/lib/passes.js
+
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const QRCode = require('qrcode');
+const { signPassToken } = require('./pass-tokens');
+const { IMAGE_STATUSES, getImageStorage } = require('./profile-images');
+
+/**
+ * --- VISITOR PASSES ---
+ *
+ * Passes are drawn once as SVG (see renderPassSvg) and converted on the server,
+ * so every pass looks the same whatever the visitor's browser or phone:
+ * PNG through sharp, PDF through PDFKit.
+ */
+const PASS_FORMATS = Object.freeze({
+    pdf: Object.freeze({ extension: 'pdf', contentType: 'application/pdf' }),
+    png: Object.freeze({ extension: 'png', contentType: 'image/png' }),
+});
+
+// The pass title and venue line are the event's `name` and `venue`.
+const PASS_BRANDING = Object.freeze({
+    subtitle: 'VISITOR PASS',
+    background: '#F4F7FA',
+    primary: '#0A2540',
+    accent: '#FDB813',
+    text: '#333333',
+    muted: '#6C757D',
+});
+
+// SVG user units; PDFs use them as points, PNGs are rendered at PASS_PNG_SCALE.
+const PASS_WIDTH = 380;
+const PASS_HEIGHT = 660;
+const PASS_PNG_SCALE = 3;
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+
+// Shortens text to roughly fit `maxWidth`, assuming an average glyph width of 0.6em.
+const fitText = (text, fontSize, maxWidth) => {
+    const maxChars = Math.floor(maxWidth / (fontSize * 0.6));
+    const value = String(text || '').trim();
+    return value.length > maxChars ? `${value.slice(0, maxChars - 1).trimEnd()}…` : value;
+};
+
+// "Attending: All Days", "Attending: Sep 12, 2025" or "Attending: Sep 12 & Sep 13".
+const formatPassAttendance = (expo, attendanceDays) => {
+    const days = expo.days.filter(day => (attendanceDays || []).includes(day.label));
+    const shortDate = (day) => new Date(`${day.date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    if (days.length === 0 || days.length === expo.days.length) return 'Attending: All Days';
+    if (days.length === 1) return `Attending: ${shortDate(days[0])}, ${days[0].date.slice(0, 4)}`;
+    return `Attending: ${days.map(shortDate).join(' & ')}`;
+};
+
+// The QR code as one SVG path of dark modules, `size` units square.
+const renderQrPath = (text, x, y, size) => {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const quietZone = 2;
+    const unit = size / (modules.size + quietZone * 2);
+    let path = '';
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) {
+                path += `M${(x + (col + quietZone) * unit).toFixed(2)} ${(y + (row + quietZone) * unit).toFixed(2)}h${unit.toFixed(2)}v${unit.toFixed(2)}h-${unit.toFixed(2)}z`;
+            }
+        }
+    }
+    return `<rect x="${x}" y="${y}" width="${size}" height="${size}" fill="#FFFFFF"/><path d="${path}" fill="#000000"/>`;
+};
+
+// The registration's photo as a small JPEG data URI, or null when there is none to show.
+const loadPassPhoto = async (row) => {
+    if (!row.image_url || row.image_status === IMAGE_STATUSES.REJECTED) return null;
+    try {
+        const photo = await sharp(await getImageStorage().load(row.image_url))
+            .resize(260, 260, { fit: 'cover' })
+            .jpeg({ quality: 85 })
+            .toBuffer();
+        return `data:image/jpeg;base64,${photo.toString('base64')}`;
+    } catch (error) {
+        // A missing photo should not stop the visitor from getting their pass.
+        console.warn(`Pass photo for ${row.registration_id} could not be loaded: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Draws one of the event's passes as an SVG document, `PASS_WIDTH` x `PASS_HEIGHT` units at (`x`, `y`).
+ * `pass` is `{ registrationId, name, firmName, attendanceDays, passToken, photo }`,
+ * where `photo` is a data URI or null.
+ */
+const renderPassSvg = (expo, pass, { x = 0, y = 0 } = {}) => {
+    const b = PASS_BRANDING;
+    const centre = PASS_WIDTH / 2;
+    const attendance = formatPassAttendance(expo, pass.attendanceDays);
+    const pillWidth = Math.min(attendance.length * 15 * 0.6 + 56, PASS_WIDTH - 40);
+    const initials = String(pass.name || '').trim().split(/\s+/).slice(0, 2).map(part => part[0] || '').join('').toUpperCase();
+    const clipId = `photo-${pass.registrationId}`.replace(/[^A-Za-z0-9-]/g, '');
+    const photo = pass.photo
+        ? `<clipPath id="${clipId}"><circle cx="${centre}" cy="175" r="65"/></clipPath>
+           <image x="${centre - 65}" y="110" width="130" height="130" href="${pass.photo}" xlink:href="${pass.photo}" preserveAspectRatio="xMidYMid slice" clip-path="url(#${clipId})"/>`
+        : `<circle cx="${centre}" cy="175" r="65" fill="#DDE3EA"/>
+           <text x="${centre}" y="190" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="44" font-weight="bold" fill="${b.muted}">${escapeXml(initials)}</text>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" x="${x}" y="${y}" width="${PASS_WIDTH}" height="${PASS_HEIGHT}" viewBox="0 0 ${PASS_WIDTH} ${PASS_HEIGHT}">
+        <rect x="0.5" y="0.5" width="${PASS_WIDTH - 1}" height="${PASS_HEIGHT - 1}" rx="16" fill="${b.background}" stroke="#E0E0E0"/>
+        <path d="M16 0.5h${PASS_WIDTH - 32}a15.5 15.5 0 0 1 15.5 15.5v154h-${PASS_WIDTH - 1}v-154a15.5 15.5 0 0 1 15.5-15.5z" fill="${b.primary}"/>
+        <text x="${centre}" y="58" text-anchor="middle" font-family="Times New Roman, serif" font-size="22" font-weight="bold" fill="${b.accent}">${escapeXml(fitText(expo.name, 22, PASS_WIDTH - 40))}</text>
+        <text x="${centre}" y="88" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="14" font-weight="bold" letter-spacing="2" fill="#FFFFFF" fill-opacity="0.8">${escapeXml(b.subtitle)}</text>
+        <circle cx="${centre}" cy="175" r="71" fill="${b.background}"/>
+        ${photo}
+        <text x="${centre}" y="282" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="27" font-weight="bold" fill="${b.primary}">${escapeXml(fitText(pass.name, 27, PASS_WIDTH - 40))}</text>
+        <text x="${centre}" y="312" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="17" fill="${b.text}">${escapeXml(fitText(pass.firmName, 17, PASS_WIDTH - 40))}</text>
+        <rect x="${centre - pillWidth / 2}" y="334" width="${pillWidth}" height="38" rx="19" fill="${b.accent}"/>
+        <text x="${centre}" y="358" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="15" font-weight="bold" fill="${b.primary}">${escapeXml(attendance)}</text>
+        <line x1="24" y1="396" x2="${PASS_WIDTH - 24}" y2="396" stroke="#CDD3D9" stroke-width="2" stroke-dasharray="6 4"/>
+        <text x="${centre}" y="422" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="12" font-weight="bold" letter-spacing="1" fill="${b.muted}">REGISTRATION NO.</text>
+        <text x="${centre}" y="452" text-anchor="middle" font-family="Courier New, Courier, monospace" font-size="26" font-weight="bold" fill="${b.primary}">${escapeXml(pass.registrationId)}</text>
+        ${renderQrPath(pass.passToken, centre - 75, 466, 150)}
+        <text x="${centre}" y="${PASS_HEIGHT - 20}" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="14" fill="${b.muted}">${escapeXml(expo.venue || '')}</text>
+    </svg>`;
+};
+
+// The fields renderPassSvg needs, from a `registrations` row (with image_url and image_status).
+const getPassData = async (row) => ({
+    registrationId: row.registration_id,
+    name: row.name,
+    firmName: row.company,
+    attendanceDays: row.attendance_days,
+    passToken: signPassToken(row.registration_id),
+    photo: await loadPassPhoto(row),
+});
+
+// Collects a PDFKit document into a buffer.
+const pdfToBuffer = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+});
+
+/**
+ * Renders the pass for one of the event's `registrations` rows as a PDF or PNG buffer.
+ * The caller must check that the ticket is valid (hasValidTicket) first.
+ */
+const renderPass = async (expo, row, format) => {
+    const svg = renderPassSvg(expo, await getPassData(row));
+    if (format === 'png') {
+        return sharp(Buffer.from(svg), { density: 72 * PASS_PNG_SCALE }).png().toBuffer();
+    }
+    const doc = new PDFDocument({ size: [PASS_WIDTH, PASS_HEIGHT], margin: 0, info: { Title: `${PASS_BRANDING.subtitle} ${row.registration_id}` } });
+    SVGtoPDF(doc, svg, 0, 0, { assumePt: true });
+    return pdfToBuffer(doc);
+};
+
+// A4 in points, laid out 2 x 2: each badge is about 80 x 140 mm, cut along the card edges.
+const BADGE_PAGE = Object.freeze({ width: 595.28, height: 841.89, margin: 24, gap: 12, columns: 2, rows: 2 });
+const BADGE_PHOTO_CONCURRENCY = 8;
+
+/**
+ * Loads the pass data, photos included, for `registrations` rows to go on a
+ * badge sheet. Photos are downloaded a few at a time rather than all at once.
+ */
+const loadBadgePasses = async (rows) => {
+    const passes = [];
+    for (let i = 0; i < rows.length; i += BADGE_PHOTO_CONCURRENCY) {
+        passes.push(...await Promise.all(rows.slice(i, i + BADGE_PHOTO_CONCURRENCY).map(getPassData)));
+    }
+    return passes;
+};
+
+/**
+ * Renders a print-ready A4 PDF of the event's badges from loadBadgePasses,
+ * BADGE_PAGE.columns x BADGE_PAGE.rows per page, in the order given.
+ */
+const renderBadgeSheet = (expo, passes) => {
+    const { width, height, margin, gap, columns, rows: perColumn } = BADGE_PAGE;
+    const scale = Math.min(
+        (width - margin * 2 - gap * (columns - 1)) / columns / PASS_WIDTH,
+        (height - margin * 2 - gap * (perColumn - 1)) / perColumn / PASS_HEIGHT
+    );
+    const badgeWidth = PASS_WIDTH * scale;
+    const badgeHeight = PASS_HEIGHT * scale;
+    // Centre the grid on the page.
+    const left = (width - (badgeWidth * columns + gap * (columns - 1))) / 2;
+    const top = (height - (badgeHeight * perColumn + gap * (perColumn - 1))) / 2;
+
+    const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false, info: { Title: `${expo.name} badges` } });
+    const perPage = columns * perColumn;
+    passes.forEach((pass, index) => {
+        const slot = index % perPage;
+        if (slot === 0) doc.addPage();
+        const x = left + (slot % columns) * (badgeWidth + gap);
+        const y = top + Math.floor(slot / columns) * (badgeHeight + gap);
+        SVGtoPDF(doc, renderPassSvg(expo, pass), x, y, { width: badgeWidth, height: badgeHeight, assumePt: true });
+    });
+    return pdfToBuffer(doc);
+};
+
+const getPassFileName = (row, format) =>
+    `Visitor-Pass_${String(row.name || '').trim().replace(/[^A-Za-z0-9]+/g, '_')}_${row.registration_id}.${PASS_FORMATS[format].extension}`;
+
+module.exports = {
+    PASS_FORMATS,
+    renderPass,
+    getPassFileName,
+    loadBadgePasses,
+    renderBadgeSheet,
+};
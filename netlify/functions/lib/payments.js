@@ -0,0 +1,58 @@
+// /netlify/functions/lib/payments.js
+
+const crypto = require('crypto');
+
+/**
+ * --- RAZORPAY PAYMENTS ---
+ *
+ * Paid tickets are enabled by setting TICKET_PRICE_PAISE. The Razorpay client
+ * is a singleton; set RAZORPAY_API_BASE_URL to point it at a local mock
+ * (see scripts/mock-razorpay.js).
+ */
+const PAYMENT_STATUSES = Object.freeze({
+    FREE: 'free',
+    PENDING: 'pending_payment',
+    PAID: 'paid',
+    FAILED: 'failed',
+    REFUNDED: 'refunded',
+});
+
+const getTicketPricePaise = () => parseInt(process.env.TICKET_PRICE_PAISE, 10) || 0;
+
+let razorpayClient = null;
+
+const getRazorpayClient = () => {
+    if (razorpayClient) {
+        return razorpayClient;
+    }
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+        throw new Error("RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET environment variables must be set.");
+    }
+    // Loaded here, not at the top: most functions only need the payment statuses.
+    const Razorpay = require('razorpay');
+    razorpayClient = new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+    if (process.env.RAZORPAY_API_BASE_URL) {
+        razorpayClient.api.rq.defaults.baseURL = process.env.RAZORPAY_API_BASE_URL;
+    }
+    return razorpayClient;
+};
+
+/**
+ * Constant-time check that `signature` is the hex HMAC-SHA256 of `message` under `secret`.
+ */
+const verifyHmacSignature = (message, signature, secret) => {
+    if (!signature || !secret) return false;
+    const expected = crypto.createHmac('sha256', secret).update(message).digest();
+    const provided = Buffer.from(String(signature), 'hex');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+module.exports = {
+    PAYMENT_STATUSES,
+    getTicketPricePaise,
+    getRazorpayClient,
+    verifyHmacSignature,
+};
@@ -0,0 +1,144 @@
+// /netlify/functions/lib/profile-images.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getCloudinary } = require('./cloudinary');
+
+/**
+ * --- PROFILE IMAGES ---
+ *
+ * Pass photos are identified by their content rather than the MIME type the
+ * browser sent, then re-encoded as a PROFILE_IMAGE_SIZE square JPEG: rotated
+ * upright, cropped around the most prominent region (usually the face), and
+ * without EXIF/GPS metadata. New photos wait in the review queue
+ * (`registrations.image_status`, see review-images).
+ *
+ * Processed images are stored in the backend selected with IMAGE_STORAGE.
+ * Every backend implements:
+ * - `save(key, buffer, { folder })` -> public URL of the image
+ * - `remove(key, { folder })`: deletes the image, e.g. when its registration was not saved
+ * - `load(url)` -> the image at a URL returned by `save` (for rendering passes)
+ * Backends:
+ * - `cloudinary` (default): images under the event's `imageFolder`
+ * - `local`: files under IMAGE_STORAGE_DIR, served by profile-image (for local testing)
+ */
+const PROFILE_IMAGE_SIZE = 512;
+// Rejects "decompression bombs": small files that decode to enormous images.
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+const IMAGE_STATUSES = Object.freeze({
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+});
+
+const IMAGE_SIGNATURES = [
+    { type: 'jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { type: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+];
+
+// Returns 'jpeg' or 'png' from the file's leading "magic" bytes, or null for anything else.
+const detectImageType = (buffer) => {
+    const match = IMAGE_SIGNATURES.find(({ bytes }) => buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte));
+    return match ? match.type : null;
+};
+
+/**
+ * Checks and normalizes an uploaded pass photo.
+ * Returns `{ image }` (a JPEG buffer) or `{ error }` with a message for the visitor.
+ */
+const prepareProfileImage = async (buffer) => {
+    if (!detectImageType(buffer)) {
+        return { error: "The photo must be a JPG or PNG image." };
+    }
+    try {
+        // Loaded here, not at the top: most functions that use this module never touch an image.
+        const sharp = require('sharp');
+        const image = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+            .rotate() // Applies the EXIF orientation before the metadata is dropped.
+            .resize(PROFILE_IMAGE_SIZE, PROFILE_IMAGE_SIZE, { fit: 'cover', position: sharp.strategy.attention })
+            .flatten({ background: '#ffffff' }) // Transparent PNG areas become white.
+            .jpeg({ quality: 85, mozjpeg: true })
+            .toBuffer();
+        return { image };
+    } catch (error) {
+        console.warn(`Profile image rejected: ${error.message}`);
+        return { error: "The photo could not be read. Please upload a different JPG or PNG image." };
+    }
+};
+
+// Keys are "<random UUID>.jpg", so photos cannot be found by guessing.
+const PROFILE_IMAGE_KEY_PATTERN = /^[0-9a-f-]{36}\.jpg$/;
+
+const getLocalImagePath = (key) => {
+    if (!PROFILE_IMAGE_KEY_PATTERN.test(key)) throw new Error(`Invalid image key '${key}'.`);
+    return path.join(process.env.IMAGE_STORAGE_DIR || path.join(os.tmpdir(), 'expo-profile-images'), key);
+};
+
+const imageStorages = {
+    cloudinary: {
+        save: (key, buffer, { folder }) => new Promise((resolve, reject) => {
+            const uploadStream = getCloudinary().uploader.upload_stream({
+                folder,
+                public_id: key.replace(/\.jpg$/, ''),
+                resource_type: 'image',
+                overwrite: false,
+            }, (err, result) => {
+                if (err) return reject(new Error(`Cloudinary upload failed: ${err.message}`));
+                if (!result) return reject(new Error("Cloudinary returned an empty result."));
+                resolve(result.secure_url);
+            });
+            uploadStream.end(buffer);
+        }),
+        remove: (key, { folder }) => getCloudinary().uploader.destroy(`${folder}/${key.replace(/\.jpg$/, '')}`, { resource_type: 'image' }),
+        load: async (url) => {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Image download failed with status ${response.status}.`);
+            return Buffer.from(await response.arrayBuffer());
+        },
+    },
+    local: {
+        save: async (key, buffer) => {
+            const filePath = getLocalImagePath(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+            return `/.netlify/functions/profile-image?key=${encodeURIComponent(key)}`;
+        },
+        read: (key) => fs.promises.readFile(getLocalImagePath(key)),
+        remove: (key) => fs.promises.rm(getLocalImagePath(key), { force: true }),
+        load: (url) => fs.promises.readFile(getLocalImagePath(new URL(url, 'http://localhost').searchParams.get('key') || '')),
+    },
+};
+
+const getImageStorage = () => {
+    const storageName = process.env.IMAGE_STORAGE || 'cloudinary';
+    const storage = imageStorages[storageName];
+    if (!storage) {
+        throw new Error(`Unknown IMAGE_STORAGE '${storageName}'.`);
+    }
+    return storage;
+};
+
+// Stores a photo returned by prepareProfileImage in the event's image folder. Returns `{ key, folder, url }`.
+const storeProfileImage = async (expo, image) => {
+    const key = `${crypto.randomUUID()}.jpg`;
+    const folder = expo.imageFolder;
+    return { key, folder, url: await getImageStorage().save(key, image, { folder }) };
+};
+
+// Deletes a photo stored by storeProfileImage that no registration uses. Failures are only logged.
+const deleteProfileImage = ({ key, folder }) => Promise.resolve()
+    .then(() => getImageStorage().remove(key, { folder }))
+    .catch((error) => console.error(`Could not delete the orphaned photo ${key}:`, error.message));
+
+module.exports = {
+    IMAGE_STATUSES,
+    PROFILE_IMAGE_KEY_PATTERN,
+    detectImageType,
+    prepareProfileImage,
+    getImageStorage,
+    storeProfileImage,
+    deleteProfileImage,
+};
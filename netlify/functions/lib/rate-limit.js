@@ -0,0 +1,128 @@
+// /netlify/functions/lib/rate-limit.js
+
+const { pool } = require('./db');
+const { getClientIp } = require('./audit');
+
+/**
+ * --- RATE LIMITING ---
+ *
+ * Sliding-window limits counted in Postgres (`rate_limit_hits`, see
+ * db/migrations/015_rate_limits.sql), so every function instance sees the same
+ * counts. createHandler applies RATE_LIMITS[name] per client IP to every
+ * request; a client over the limit gets 429. Every response of a limited route
+ * carries `Retry-After`: 0 while requests remain, otherwise the seconds until
+ * the next request would be allowed. Routes marked `failClosed` answer 503
+ * when the limit cannot be checked, instead of letting the request through.
+ *
+ * A route's limit can be changed with RATE_LIMIT_<NAME>=<requests>/<seconds>,
+ * e.g. RATE_LIMIT_SUBMIT_REGISTRATION=60/600 for 60 requests per 10 minutes.
+ * Visitors at the venue may share one IP address, so the limits are generous.
+ */
+const DEFAULT_RATE_LIMITS = {
+    'admin-login': { limit: 20, windowSeconds: 5 * 60, failClosed: true },
+    'submit-registration': { limit: 60, windowSeconds: 10 * 60 },
+    'confirm-payment': { limit: 30, windowSeconds: 10 * 60 },
+    'request-otp': { limit: 20, windowSeconds: 15 * 60 },
+    'verify-otp': { limit: 40, windowSeconds: 15 * 60, failClosed: true },
+    'find-pass': { limit: 30, windowSeconds: 60 },
+    'update-registration': { limit: 30, windowSeconds: 10 * 60 },
+    'cancel-registration': { limit: 10, windowSeconds: 10 * 60 },
+    'generate-pass': { limit: 60, windowSeconds: 60 },
+};
+
+const parseRateLimit = (name, fallback) => {
+    const envName = `RATE_LIMIT_${name.toUpperCase().replace(/-/g, '_')}`;
+    const value = process.env[envName];
+    if (!value) return fallback;
+    const match = /^(\d+)\/(\d+)$/.exec(value.trim());
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+        console.warn(`[RATE LIMIT] Ignoring invalid ${envName} '${value}'; expected <requests>/<seconds>.`);
+        return fallback;
+    }
+    return { ...fallback, limit: Number(match[1]), windowSeconds: Number(match[2]) };
+};
+
+const RATE_LIMITS = Object.freeze(Object.fromEntries(
+    Object.entries(DEFAULT_RATE_LIMITS).map(([name, rule]) => [name, Object.freeze(parseRateLimit(name, rule))])
+));
+
+// Admin password lockout: this many wrong passwords for one username from one IP
+// address within the window lock them out until the oldest failure leaves the window.
+// Keyed on the IP address too, so guessing from elsewhere cannot lock an admin out.
+// Applies to logins and to the password re-entry of unmark-checked-in.
+const LOGIN_LOCKOUT = Object.freeze({ bucket: 'admin-login-failures', limit: 5, windowSeconds: 15 * 60 });
+
+const getLoginLockoutKey = (event, username) => `${String(username).trim().toLowerCase()}@${getClientIp(event)}`;
+
+// Hits older than this are no longer counted by any limit (see cleanup-rate-limits).
+const RATE_LIMIT_MAX_WINDOW_SECONDS = Math.max(LOGIN_LOCKOUT.windowSeconds, ...Object.values(RATE_LIMITS).map(rule => rule.windowSeconds));
+
+/**
+ * Checks `clientKey` against a sliding-window limit for `bucket` and, with
+ * `consume` (the default), counts this request if it is allowed.
+ * Returns `{ allowed, remaining, retryAfterSeconds }`, counted after this
+ * request; retryAfterSeconds is how long until another request would be
+ * allowed (0 while requests remain).
+ */
+const checkRateLimit = async (bucket, clientKey, { limit, windowSeconds }, { consume = true } = {}) => {
+    // Only the newest `limit` hits matter: the oldest of them is the next to leave the window.
+    const countHits = async (client) => (await client.query(`
+        SELECT
+            COUNT(*)::int AS hits,
+            CEIL(EXTRACT(EPOCH FROM (MIN(hit_at) + make_interval(secs => $3) - NOW())))::int AS seconds_until_oldest_expires
+        FROM (
+            SELECT hit_at FROM rate_limit_hits
+            WHERE bucket = $1 AND client_key = $2 AND hit_at > NOW() - make_interval(secs => $3)
+            ORDER BY hit_at DESC
+            LIMIT $4
+        ) AS recent;
+    `, [bucket, clientKey, windowSeconds, limit])).rows[0];
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Concurrent requests from one client wait here, so they cannot all be counted under the limit.
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1), hashtext($2))', [bucket, clientKey]);
+        let state = await countHits(client);
+        const allowed = state.hits < limit;
+        if (allowed && consume) {
+            await client.query('INSERT INTO rate_limit_hits (bucket, client_key) VALUES ($1, $2)', [bucket, clientKey]);
+            state = await countHits(client);
+        }
+        await client.query('COMMIT');
+
+        const remaining = Math.max(limit - state.hits, 0);
+        return { allowed, remaining, retryAfterSeconds: remaining > 0 ? 0 : Math.max(state.seconds_until_oldest_expires || 0, 1) };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Forgets every counted request for `clientKey` in `bucket` (e.g. failed logins after a successful one).
+const clearRateLimit = (bucket, clientKey) =>
+    pool.query('DELETE FROM rate_limit_hits WHERE bucket = $1 AND client_key = $2', [bucket, clientKey]);
+
+// "45 seconds" / "3 minutes", for messages that accompany Retry-After.
+const formatRetryAfter = (seconds) => seconds < 60
+    ? `${seconds} second${seconds === 1 ? '' : 's'}`
+    : `${Math.ceil(seconds / 60)} minute${Math.ceil(seconds / 60) === 1 ? '' : 's'}`;
+
+// A 429 response with the `Retry-After` header every throttled response carries.
+const tooManyRequestsResponse = (retryAfterSeconds, message = "Too many requests.") => ({
+    statusCode: 429,
+    headers: { 'Retry-After': String(retryAfterSeconds) },
+    body: JSON.stringify({ error: `${message} Please try again in ${formatRetryAfter(retryAfterSeconds)}.`, retryAfterSeconds }),
+});
+
+module.exports = {
+    RATE_LIMITS,
+    LOGIN_LOCKOUT,
+    getLoginLockoutKey,
+    RATE_LIMIT_MAX_WINDOW_SECONDS,
+    checkRateLimit,
+    clearRateLimit,
+    tooManyRequestsResponse,
+};
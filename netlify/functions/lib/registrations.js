@@ -0,0 +1,85 @@
+// /netlify/functions/lib/registrations.js
+
+const crypto = require('crypto');
+const { formatAttendanceDays } = require('./event-days');
+const { IMAGE_STATUSES } = require('./profile-images');
+const { signPassToken } = require('./pass-tokens');
+const { PAYMENT_STATUSES } = require('./payments');
+
+/**
+ * --- PUBLIC REGISTRATION DATA ---
+ *
+ * New registration IDs, whether a registration holds a valid ticket, and the
+ * subset of a `registrations` row returned to visitors for their pass.
+ */
+// A registration's place (see db/migrations/017_capacity_waitlist.sql and lib/capacity.js),
+// or its cancellation (db/migrations/018_registration_cancellation.sql and lib/cancellation.js).
+const REGISTRATION_STATUSES = Object.freeze({
+    CONFIRMED: 'confirmed',
+    WAITLISTED: 'waitlisted',
+    CANCELLED: 'cancelled',
+});
+
+// Only a confirmed registration that is free or paid for entitles a visitor to a pass and entry.
+const hasValidTicket = (registration) =>
+    registration.registration_status === REGISTRATION_STATUSES.CONFIRMED &&
+    (registration.payment_status === PAYMENT_STATUSES.FREE || registration.payment_status === PAYMENT_STATUSES.PAID);
+
+// Why a registration has no valid ticket, for check-in errors, e.g. "payment status is 'failed'".
+const describeInvalidTicket = (registration) => {
+    if (registration.registration_status === REGISTRATION_STATUSES.WAITLISTED) return 'the registration is on the waitlist';
+    if (registration.registration_status === REGISTRATION_STATUSES.CANCELLED) return 'the registration was cancelled';
+    return `payment status is '${registration.payment_status}'`;
+};
+
+// New registration IDs for an event, as printed on passes.
+const generateRegistrationId = (expo) => `${expo.idPrefix}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+const formatRegistrationData = (row) => ({
+    registrationId: row.registration_id,
+    name: row.name,
+    phone: row.phone,
+    firmName: row.company,
+    attendance: formatAttendanceDays(row.attendance_days),
+    // A photo rejected in review is left off the pass until the visitor uploads a new one.
+    profileImageUrl: row.image_status === IMAGE_STATUSES.REJECTED ? null : row.image_url,
+    passToken: signPassToken(row.registration_id),
+});
+
+/**
+ * The response for a verified visitor (verify-otp, find-pass, update-registration):
+ * the pass, withholding its signed token until the ticket is valid (see
+ * hasValidTicket), the registration's status and waitlist position, the review
+ * status of the photo, and the current values of the fields the visitor may edit.
+ * `waitlistPosition` is only known when the row was read with it (see WAITLIST_POSITION_SQL).
+ */
+const VISITOR_REGISTRATION_COLUMNS = 'registration_id, name, phone, company, address, city, state, attendance_days, image_url, image_status, image_rejection_reason, payment_status, registration_status';
+
+const formatVisitorRegistration = (row) => {
+    const { passToken, ...registrationData } = formatRegistrationData(row);
+    const ticketValid = hasValidTicket(row);
+    return {
+        ticketValid,
+        registrationStatus: row.registration_status,
+        waitlistPosition: row.waitlist_position || null,
+        registrationData: ticketValid ? { ...registrationData, passToken } : registrationData,
+        photoReview: { status: row.image_status, rejectionReason: row.image_rejection_reason },
+        editableFields: {
+            firmName: row.company,
+            address: row.address,
+            district: row.city,
+            state: row.state,
+            attendanceDays: row.attendance_days,
+        },
+    };
+};
+
+module.exports = {
+    REGISTRATION_STATUSES,
+    hasValidTicket,
+    describeInvalidTicket,
+    generateRegistrationId,
+    formatRegistrationData,
+    VISITOR_REGISTRATION_COLUMNS,
+    formatVisitorRegistration,
+};
@@ -0,0 +1,283 @@
+// /netlify/functions/lib/sheets.js
+
+const fs = require('fs');
+const { formatAttendanceDays } = require('./event-days');
+const { REGISTRATION_STATUSES } = require('./registrations');
+
+/**
+ * --- GOOGLE SHEETS API CLIENT ---
+ *
+ * A singleton container for the Google Sheets API client to ensure we only
+ * authenticate once per container instance, improving performance.
+ */
+let sheetsClient = null;
+
+const getGoogleSheetsClient = async () => {
+    if (sheetsClient) {
+        return sheetsClient; // Return existing client
+    }
+    try {
+        if (!process.env.GOOGLE_CREDENTIALS) {
+            throw new Error("GOOGLE_CREDENTIALS environment variable is not set.");
+        }
+        const credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS);
+        // Loaded here, not at the top: googleapis is large and most callers only need the Sheet layout.
+        const { google } = require('googleapis');
+        const auth = new google.auth.GoogleAuth({
+            credentials,
+            scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+        });
+        const authClient = await auth.getClient();
+        sheetsClient = google.sheets({ version: 'v4', auth: authClient });
+        console.log("[G_SHEETS] Google Sheets client authenticated successfully.");
+        return sheetsClient;
+    } catch (error) {
+        console.error("[G_SHEETS_AUTH_ERROR] Failed to authenticate:", error.message);
+        throw new Error("Could not create Google Sheets client. Please check credentials.");
+    }
+};
+
+/**
+ * --- GENERIC RETRY UTILITY ---
+ *
+ * A robust retry utility with exponential backoff for making network requests
+ * to external APIs more reliable.
+ */
+const retryWithBackoff = async (fn, operationName, retries = 3, delay = 1000) => {
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt === retries) {
+                console.error(`[RETRY_FAILED] Operation '${operationName}' failed after ${retries} attempts. Last error:`, err.message);
+                throw err;
+            }
+            const waitTime = delay * 2 ** (attempt - 1);
+            console.warn(
+                `[RETRYING] Operation '${operationName}' failed on attempt ${attempt}. Retrying in ${waitTime}ms... Error: ${err.message}`
+            );
+            await new Promise(res => setTimeout(res, waitTime));
+        }
+    }
+};
+
+/**
+ * --- GOOGLE SHEETS SYNC: SHEET LAYOUT & CLIENT INTERFACE ---
+ *
+ * The sync functions talk to the Sheet through a small SheetsClient interface
+ * instead of the googleapis client directly, so they can run against a fake:
+ *
+ *   getValues(range)           -> rows (arrays of cell strings), trailing blanks omitted
+ *   batchUpdate([{ range, values }])
+ *   append(range, values)
+ *   clear(range)
+ *
+ * Selected with SHEETS_PROVIDER:
+ * - `google` (default): the event's Sheet (`events.google_sheet_id`, or GOOGLE_SHEET_ID).
+ * - `fake`: an in-memory Sheet for local runs and tests, shared by every event (events
+ *   are told apart by their sheet names). With SHEETS_FAKE_FILE set, it is loaded from
+ *   and saved to that JSON file so it survives between invocations.
+ *
+ * Each event's registrations go to the tab named by its `sheetName`.
+ */
+
+// Sheet columns in order. `column` is the `registrations` column behind the cell,
+// for the cells organizers may edit in the Sheet and have imported back.
+// `isTime` marks times, which Sheets may re-format when it parses them.
+const SHEET_COLUMNS = [
+    { header: 'Registration ID' },
+    { header: 'Name', column: 'name', field: 'name' },
+    { header: 'Firm Name', column: 'company', field: 'firmName' },
+    { header: 'Phone' },
+    { header: 'Address', column: 'address', field: 'address' },
+    { header: 'District', column: 'city', field: 'district' },
+    { header: 'State', column: 'state', field: 'state' },
+    { header: 'Attending Days' },
+    { header: 'Payment ID' },
+    { header: 'Registered At', isTime: true },
+    { header: 'Photo URL' },
+    { header: 'First Check-In', isTime: true },
+    { header: 'Payment Status' },
+    { header: 'Registration Status' },
+];
+const SHEET_EDITABLE_COLUMNS = SHEET_COLUMNS
+    .map((definition, index) => ({ ...definition, index }))
+    .filter(definition => definition.column);
+
+const formatSheetTime = (value, timeZone) => value ? new Date(value).toLocaleString("en-IN", { timeZone }) : 'N/A';
+
+// A cancelled registration's status cell carries the reason, e.g. "cancelled: duplicate of EXPO-1A2B3C4D".
+const formatSheetRegistrationStatus = (record) =>
+    record.registration_status === REGISTRATION_STATUSES.CANCELLED && record.cancellation_reason
+        ? `${record.registration_status}: ${record.cancellation_reason}`
+        : record.registration_status;
+
+// An event's Sheet headers, including one check-in column per event day.
+const getSheetHeaders = (expo) => [...SHEET_COLUMNS.map(c => c.header), ...expo.days.map(d => `Check-In ${d.label}`)];
+
+// True for the columns holding times (the fixed ones marked `isTime` and every per-day check-in column).
+const isSheetTimeColumn = (index) => index >= SHEET_COLUMNS.length || Boolean(SHEET_COLUMNS[index].isTime);
+
+/**
+ * Builds the Sheet row for one of the event's registrations. `checkIns` maps
+ * event day labels to check-in times for this registration.
+ */
+const buildSheetRow = (expo, record, checkIns = {}) => [
+    record.registration_id, record.name, record.company, record.phone,
+    record.address, record.city, record.state, formatAttendanceDays(record.attendance_days),
+    record.payment_id || 'N/A',
+    formatSheetTime(record.timestamp, expo.timeZone),
+    record.image_url,
+    formatSheetTime(record.checked_in_at, expo.timeZone),
+    record.payment_status,
+    formatSheetRegistrationStatus(record),
+    ...expo.days.map(({ label }) => formatSheetTime(checkIns[label], expo.timeZone)),
+];
+
+// The editable values of a registration as written to the Sheet, keyed by column.
+const getSheetEditableValues = (record) => Object.fromEntries(
+    SHEET_EDITABLE_COLUMNS.map(({ column }) => [column, record[column] == null ? '' : String(record[column])])
+);
+
+// Column letters <-> zero-based indexes, e.g. "A" <-> 0, "AA" <-> 26.
+const columnToIndex = (letters) => [...letters.toUpperCase()].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+const indexToColumn = (index) => {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+};
+
+const createGoogleSheetsClient = async (spreadsheetId) => {
+    const sheets = await getGoogleSheetsClient();
+    return {
+        getValues: async (range) => {
+            const response = await retryWithBackoff(() => sheets.spreadsheets.values.get({ spreadsheetId, range }), `Google Sheets Get ${range}`);
+            return response.data.values || [];
+        },
+        batchUpdate: (data) => retryWithBackoff(() => sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            resource: { valueInputOption: 'USER_ENTERED', data },
+        }), 'Google Sheets Batch Update'),
+        append: (range, values) => retryWithBackoff(() => sheets.spreadsheets.values.append({
+            spreadsheetId, range, valueInputOption: "USER_ENTERED",
+            resource: { values },
+        }), 'Google Sheets Append'),
+        clear: (range) => retryWithBackoff(() => sheets.spreadsheets.values.clear({ spreadsheetId, range }), `Google Sheets Clear ${range}`),
+    };
+};
+
+/**
+ * An in-memory SheetsClient. `initialSheets` maps sheet names to rows.
+ * Supports A1 ranges of the forms "Sheet", "Sheet!A:M", "Sheet!A2", "Sheet!A2:M" and "Sheet!A2:M10".
+ */
+const createFakeSheetsClient = (initialSheets = {}, { onChange } = {}) => {
+    const sheets = new Map(Object.entries(initialSheets).map(([name, rows]) => [name, rows.map(row => row.map(String))]));
+
+    const parseRange = (range) => {
+        const [name, cells = ''] = range.split('!');
+        const match = /^(?:([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?)?$/i.exec(cells);
+        if (!match) throw new Error(`Unsupported range '${range}'.`);
+        const [, startCol, startRow, endCol, endRow] = match;
+        return {
+            name,
+            startCol: startCol ? columnToIndex(startCol) : 0,
+            startRow: startRow ? parseInt(startRow, 10) - 1 : 0,
+            endCol: endCol ? columnToIndex(endCol) : (startRow || !startCol ? Infinity : columnToIndex(startCol)),
+            endRow: endRow ? parseInt(endRow, 10) - 1 : Infinity,
+        };
+    };
+    const getSheet = (name) => {
+        if (!sheets.has(name)) sheets.set(name, []);
+        return sheets.get(name);
+    };
+    const trimTrailing = (cells) => {
+        const copy = [...cells];
+        while (copy.length > 0 && (copy[copy.length - 1] === '' || copy[copy.length - 1] == null)) copy.pop();
+        return copy;
+    };
+    const writeRows = (rows, startRow, startCol, values) => {
+        values.forEach((valueRow, r) => {
+            const row = rows[startRow + r] || (rows[startRow + r] = []);
+            valueRow.forEach((value, c) => { row[startCol + c] = value == null ? '' : String(value); });
+            for (let i = 0; i < row.length; i++) if (row[i] === undefined) row[i] = '';
+        });
+        for (let i = 0; i < rows.length; i++) if (!rows[i]) rows[i] = [];
+    };
+    const changed = async () => { if (onChange) await onChange(Object.fromEntries(sheets)); };
+
+    return {
+        getValues: async (range) => {
+            const { name, startRow, endRow, startCol, endCol } = parseRange(range);
+            const rows = getSheet(name)
+                .slice(startRow, endRow === Infinity ? undefined : endRow + 1)
+                .map(row => trimTrailing(row.slice(startCol, endCol === Infinity ? undefined : endCol + 1)));
+            while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+            return rows;
+        },
+        batchUpdate: async (data) => {
+            for (const { range, values } of data) {
+                const { name, startRow, startCol } = parseRange(range);
+                writeRows(getSheet(name), startRow, startCol, values);
+            }
+            await changed();
+        },
+        append: async (range, values) => {
+            const { name, startCol } = parseRange(range);
+            const rows = getSheet(name);
+            let lastRow = rows.length - 1;
+            while (lastRow >= 0 && trimTrailing(rows[lastRow]).length === 0) lastRow--;
+            writeRows(rows, lastRow + 1, startCol, values);
+            await changed();
+        },
+        clear: async (range) => {
+            const { name, startRow, endRow, startCol, endCol } = parseRange(range);
+            getSheet(name).forEach((row, r) => {
+                if (r < startRow || r > endRow) return;
+                for (let c = startCol; c < row.length && c <= endCol; c++) row[c] = '';
+            });
+            await changed();
+        },
+        // Test helper: the full contents of every sheet.
+        dump: () => Object.fromEntries([...sheets].map(([name, rows]) => [name, rows.map(row => trimTrailing(row))])),
+    };
+};
+
+let fakeSheetsClient = null;
+
+// The SheetsClient for an event's Sheet.
+const getSheetsClient = async (expo) => {
+    const provider = process.env.SHEETS_PROVIDER || 'google';
+    if (provider === 'fake') {
+        if (!fakeSheetsClient) {
+            const file = process.env.SHEETS_FAKE_FILE;
+            const initialSheets = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+            fakeSheetsClient = createFakeSheetsClient(initialSheets, {
+                onChange: file ? (contents) => fs.promises.writeFile(file, JSON.stringify(contents, null, 2)) : undefined,
+            });
+        }
+        return fakeSheetsClient;
+    }
+    if (provider !== 'google') {
+        throw new Error(`Unknown SHEETS_PROVIDER '${provider}'.`);
+    }
+    if (!expo.googleSheetId) {
+        throw new Error(`No Google Sheet is set for event '${expo.slug}', and GOOGLE_SHEET_ID is not set.`);
+    }
+    return createGoogleSheetsClient(expo.googleSheetId);
+};
+
+module.exports = {
+    getGoogleSheetsClient,
+    retryWithBackoff,
+    SHEET_COLUMNS,
+    SHEET_EDITABLE_COLUMNS,
+    getSheetHeaders,
+    isSheetTimeColumn,
+    buildSheetRow,
+    getSheetEditableValues,
+    indexToColumn,
+    createFakeSheetsClient,
+    getSheetsClient,
+};
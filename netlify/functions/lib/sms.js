@@ -0,0 +1,49 @@
+// /netlify/functions/lib/sms.js
+
+const { getRequiredSecret } = require('./tokens');
+
+/**
+ * --- SMS PROVIDERS ---
+ *
+ * Selected with SMS_PROVIDER. Every provider implements `sendSms(phone, message)`
+ * for a 10-digit Indian number.
+ * - `console` (default): a local stub that logs the message instead of sending it.
+ * - `twilio`: uses TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER.
+ */
+const smsProviders = {
+    console: {
+        sendSms: async (phone, message) => {
+            console.log(`[SMS_STUB] To ${phone}: ${message}`);
+        },
+    },
+    twilio: {
+        sendSms: async (phone, message) => {
+            const accountSid = getRequiredSecret('TWILIO_ACCOUNT_SID');
+            const authToken = getRequiredSecret('TWILIO_AUTH_TOKEN');
+            const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body: new URLSearchParams({ To: `+91${phone}`, From: getRequiredSecret('TWILIO_FROM_NUMBER'), Body: message }),
+            });
+            if (!response.ok) {
+                throw new Error(`Twilio responded with status ${response.status}.`);
+            }
+        },
+    },
+};
+
+const getSmsProvider = () => {
+    const providerName = process.env.SMS_PROVIDER || 'console';
+    const provider = smsProviders[providerName];
+    if (!provider) {
+        throw new Error(`Unknown SMS_PROVIDER '${providerName}'.`);
+    }
+    return provider;
+};
+
+module.exports = {
+    getSmsProvider,
+};
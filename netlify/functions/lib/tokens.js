@@ -0,0 +1,63 @@
+// /netlify/functions/lib/tokens.js
+
+const crypto = require('crypto');
+
+/**
+ * --- SIGNED SESSION TOKENS ---
+ *
+ * Compact HS256 JSON Web Tokens. Admin tokens are signed with ADMIN_TOKEN_SECRET
+ * and record who is logged in (`sub`, `username`) and their `role`. Visitor
+ * tokens (issued after OTP verification) are signed with VISITOR_TOKEN_SECRET
+ * and record the verified `registration_id` as `sub`.
+ */
+const base64UrlJson = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const getRequiredSecret = (name) => {
+    const secret = process.env[name];
+    if (!secret) {
+        throw new Error(`${name} environment variable is not set.`);
+    }
+    return secret;
+};
+
+const signToken = (claims, secret, ttlSeconds) => {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iat: issuedAt, exp: issuedAt + ttlSeconds };
+    const unsigned = `${base64UrlJson({ alg: 'HS256', typ: 'JWT' })}.${base64UrlJson(payload)}`;
+    const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+    return { token: `${unsigned}.${signature}`, expiresAt: new Date(payload.exp * 1000).toISOString() };
+};
+
+/**
+ * Returns the token payload if the signature is valid and the token has not
+ * expired, otherwise null.
+ */
+const verifyToken = (token, secret) => {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url'));
+    const provided = Buffer.from(signature);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+        return claims;
+    } catch (error) {
+        return null;
+    }
+};
+
+const getBearerToken = (event) => {
+    const header = event.headers['authorization'] || event.headers['Authorization'] || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+module.exports = {
+    getRequiredSecret,
+    signToken,
+    verifyToken,
+    getBearerToken,
+};
@@ -1,67 +1,63 @@
 // /netlify/functions/mark-checked-in.js
 
-const { pool } = require("./utils");
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { resolveEventDay, formatAttendanceDays } = require("./lib/event-days");
+const { describeInvalidTicket } = require("./lib/registrations");
+const { checkInRegistration } = require("./lib/check-in");
 
 /**
  * A secure, admin-only serverless function to mark a registered user as "checked in"
- * by setting a timestamp in the database.
+ * for one event day. The day defaults to today's event day when not provided.
+ * Any logged-in admin, including gate staff, may check visitors in.
  */
-exports.handler = async (event) => {
-    // 1. Security: This function must be called with the POST method.
-    if (event.httpMethod !== "POST") {
-        return { statusCode: 405, body: JSON.stringify({ error: "Method Not Allowed" }) };
-    }
-
-    // 2. Security: Check for the admin secret key in the headers.
-    const providedKey = event.headers['x-admin-key'];
-    const secretKey = process.env.EXPORT_SECRET_KEY;
-    if (!providedKey || providedKey !== secretKey) {
-        return { statusCode: 401, body: JSON.stringify({ error: "Unauthorized" }) };
+exports.handler = createHandler({
+    name: 'mark-checked-in',
+    methods: ['POST'],
+    auth: 'admin',
+    event: true,
+    body: {
+        registrationId: { type: 'string', required: true, message: "Registration ID is required." },
+        day: { type: 'string' },
+    },
+}, async (event, { admin, expo, body }) => {
+    const { registrationId, day } = body;
+
+    // 1. Validation: Ensure a valid event day was provided.
+    const eventDay = resolveEventDay(expo, day);
+    if (!eventDay) {
+        return { statusCode: 400, body: JSON.stringify({ error: "Please choose a valid event day to check in for." }) };
     }
 
     let dbClient;
     try {
-        const { registrationId } = JSON.parse(event.body);
-
-        // 3. Validation: Ensure a registration ID was provided in the request body.
-        if (!registrationId) {
-            return { statusCode: 400, body: JSON.stringify({ error: "Registration ID is required." }) };
-        }
-
         dbClient = await pool.connect();
 
-        // 4. Database Update: Set the check-in time and flag the record for sync.
-        // We use COALESCE to prevent accidentally overwriting an existing check-in time.
-        // This query updates the record and returns the new data in a single operation.
-        const updateQuery = `
-            UPDATE registrations
-            SET
-                checked_in_at = COALESCE(checked_in_at, NOW()),
-                needs_sync = true
-            WHERE registration_id = $1
-            RETURNING registration_id, name, checked_in_at;
-        `;
-        const { rows } = await dbClient.query(updateQuery, [registrationId]);
+        // 2. Check-in: Record the day's check-in, flag the record for sync and audit it in one transaction.
+        const { outcome, registration } = await checkInRegistration(dbClient, expo, event, admin, registrationId, eventDay, { method: 'manual' });
 
-        if (rows.length === 0) {
+        if (outcome === 'not_found') {
             return { statusCode: 404, body: JSON.stringify({ error: "User not found." }) };
         }
+        if (outcome === 'invalid_ticket') {
+            return { statusCode: 409, body: JSON.stringify({ error: `Cannot check in: ${describeInvalidTicket(registration)}.` }) };
+        }
+        if (outcome === 'day_not_registered') {
+            return { statusCode: 409, body: JSON.stringify({ error: `${registration.name} is not registered for ${eventDay} (registered: ${formatAttendanceDays(registration.attendance_days)}).` }) };
+        }
 
-        // 5. Success Response: Return a confirmation message and the updated data.
+        // 3. Success Response: Return a confirmation message and the updated data.
         return {
             statusCode: 200,
             body: JSON.stringify({
-                message: `Successfully checked in ${rows[0].name}.`,
-                data: rows[0]
+                message: `Successfully checked in ${registration.name} for ${eventDay}.`,
+                data: registration
             }),
         };
 
-    } catch (error) {
-        console.error("Error in mark-checked-in function:", error);
-        return { statusCode: 500, body: JSON.stringify({ error: "An internal server error occurred." }) };
     } finally {
         if (dbClient) {
             dbClient.release();
         }
     }
-};
+});
@@ -0,0 +1,170 @@
+// /netlify/functions/print-badges.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { ADMIN_ROLES } = require("./lib/auth");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const { normalizeAttendanceDays } = require("./lib/event-days");
+const { loadBadgePasses, renderBadgeSheet } = require("./lib/passes");
+const { REGISTRATION_STATUSES } = require("./lib/registrations");
+const { PAYMENT_STATUSES } = require("./lib/payments");
+
+// A batch must download its photos and render within the 10 s function timeout, and the
+// base64 PDF must stay under the 6 MB response limit (about 30 KB per badge with its photo).
+const DEFAULT_LIMIT = 40;
+const MAX_LIMIT = 40;
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * Prints badges in bulk: returns a print-ready A4 PDF of passes, four to a
+ * page, for the event's registrations matching the filters, oldest first. Each
+ * included registration gets `badge_printed_at`, so the next batch carries on
+ * where this one stopped. Two admins printing at once never get the same badges.
+ * The batch is claimed in a short transaction and rendered after it commits,
+ * so photo downloads never hold row locks; a failed render un-marks the batch.
+ *
+ * POST body (all optional):
+ * - day:             only visitors attending this event day (e.g. "Day 2")
+ * - state:           only visitors from this state, case-insensitive
+ * - registeredAfter: a date (YYYY-MM-DD, from the start of that day in the event time zone)
+ *                    or an ISO timestamp (strictly after)
+ * - notPrinted:      only badges not printed yet (default true); false reprints
+ * - limit:           badges in this batch (default and max 40)
+ * - markPrinted:     record `badge_printed_at` (default true); false for a test print
+ *
+ * Only free and paid tickets get a badge. The `X-Badge-Count` response header
+ * holds the number of badges in the file, `X-Badges-Remaining` the number still matching.
+ */
+exports.handler = createHandler({
+    name: 'print-badges',
+    methods: ['POST'],
+    auth: 'admin',
+    roles: [ADMIN_ROLES.ORGANIZER, ADMIN_ROLES.SUPERADMIN],
+    event: true,
+    body: {
+        day: { type: 'string' },
+        state: { type: 'string', maxLength: 100 },
+        registeredAfter: { type: 'string' },
+        notPrinted: { type: 'boolean' },
+        limit: { type: 'number' },
+        markPrinted: { type: 'boolean' },
+    },
+}, async (event, { admin, expo, body }) => {
+    const { day, state, registeredAfter, notPrinted = true, limit, markPrinted = true } = body;
+
+    let dbClient;
+    try {
+        // 1. Input Validation & Filter Building
+        // Only valid tickets get a badge (see hasValidTicket).
+        const conditions = ['event_id = $1', 'payment_status = ANY($2)', 'registration_status = $3'];
+        const queryParams = [expo.id, [PAYMENT_STATUSES.FREE, PAYMENT_STATUSES.PAID], REGISTRATION_STATUSES.CONFIRMED];
+        const addParam = (value) => {
+            queryParams.push(value);
+            return `$${queryParams.length}`;
+        };
+
+        if (day) {
+            const { days, invalid } = normalizeAttendanceDays(expo, [day]);
+            if (invalid.length > 0) {
+                return { statusCode: 400, body: JSON.stringify({ error: `Unknown event day '${day}'. Valid days are ${expo.days.map(d => d.label).join(', ')}.` }) };
+            }
+            conditions.push(`${addParam(days[0])} = ANY(attendance_days)`);
+        }
+        if (state) {
+            conditions.push(`LOWER(TRIM(state)) = LOWER(${addParam(String(state).trim())})`);
+        }
+        if (registeredAfter) {
+            if (isIsoDate(registeredAfter)) {
+                conditions.push(`timestamp >= (${addParam(registeredAfter)}::date::timestamp AT TIME ZONE ${addParam(expo.timeZone)})`);
+            } else if (!Number.isNaN(Date.parse(registeredAfter))) {
+                conditions.push(`timestamp > ${addParam(new Date(registeredAfter))}`);
+            } else {
+                return { statusCode: 400, body: JSON.stringify({ error: `Invalid date '${registeredAfter}'. Use YYYY-MM-DD or an ISO timestamp.` }) };
+            }
+        }
+        if (notPrinted !== false) {
+            conditions.push('badge_printed_at IS NULL');
+        }
+        const batchLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const whereClause = conditions.join(' AND ');
+
+        dbClient = await pool.connect();
+        await dbClient.query('BEGIN');
+
+        // 2. Claim the batch. Rows another admin is printing right now are skipped.
+        const { rows } = await dbClient.query(`
+            SELECT registration_id, name, company, attendance_days, image_url, image_status, badge_printed_at
+            FROM registrations
+            WHERE ${whereClause}
+            ORDER BY timestamp ASC, id ASC
+            LIMIT ${addParam(batchLimit)}
+            FOR UPDATE SKIP LOCKED;
+        `, queryParams);
+
+        if (rows.length === 0) {
+            await dbClient.query('ROLLBACK');
+            return { statusCode: 404, body: JSON.stringify({ error: "No badges match these filters." }) };
+        }
+
+        // 3. Record what is being printed.
+        const registrationIds = rows.map(row => row.registration_id);
+        let printedAt = null;
+        if (markPrinted !== false) {
+            ({ rows: [{ printedAt }] } = await dbClient.query(
+                'UPDATE registrations SET badge_printed_at = NOW() WHERE registration_id = ANY($1) RETURNING NOW() AS "printedAt"',
+                [registrationIds]
+            ));
+        }
+        await recordAuditEvent(dbClient, event, admin, {
+            action: AUDIT_ACTIONS.PRINT_BADGES,
+            details: { event: expo.slug, day, state, registeredAfter, notPrinted: notPrinted !== false, markPrinted: markPrinted !== false, count: rows.length, registrationIds },
+        });
+        // Counted after the update, so badges just marked as printed no longer match `notPrinted`.
+        const { rows: [{ remaining }] } = await dbClient.query(
+            `SELECT COUNT(*)::int AS remaining FROM registrations WHERE ${whereClause}`,
+            queryParams.slice(0, -1)
+        );
+        await dbClient.query('COMMIT');
+        dbClient.release();
+        dbClient = null;
+
+        // 4. Render the sheet outside the transaction. If that fails, the batch goes back to
+        // its previous state, unless someone has printed these badges again since.
+        let file;
+        try {
+            file = await renderBadgeSheet(expo, await loadBadgePasses(rows));
+        } catch (error) {
+            if (printedAt) {
+                await pool.query(`
+                    UPDATE registrations r SET badge_printed_at = previous.badge_printed_at
+                    FROM UNNEST($1::text[], $2::timestamptz[]) AS previous(registration_id, badge_printed_at)
+                    WHERE r.registration_id = previous.registration_id AND r.badge_printed_at = $3;
+                `, [registrationIds, rows.map(row => row.badge_printed_at), printedAt]).catch(restoreError =>
+                    console.error("Could not un-mark badges after a failed render:", restoreError));
+            }
+            throw error;
+        }
+
+        console.log(`[BADGES] ${admin.username} printed ${rows.length} badge(s); ${remaining} still match.`);
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="${expo.slug}-badges-${new Date().toISOString().slice(0, 10)}.pdf"`,
+                'X-Badge-Count': String(rows.length),
+                'X-Badges-Remaining': String(remaining),
+            },
+            body: file.toString('base64'),
+            isBase64Encoded: true,
+        };
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
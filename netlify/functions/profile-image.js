@@ -0,0 +1,35 @@
+// /netlify/functions/profile-image.js
+
+const { createHandler } = require("./utils");
+const { getImageStorage, PROFILE_IMAGE_KEY_PATTERN } = require("./lib/profile-images");
+
+/**
+ * Serves a pass photo from the local image storage backend (`?key=<uuid>.jpg`).
+ * Photos stored in Cloudinary are served by Cloudinary directly.
+ */
+exports.handler = createHandler({ name: 'profile-image', methods: ['GET'] }, async (event) => {
+    const { key } = event.queryStringParameters || {};
+    if (!key || !PROFILE_IMAGE_KEY_PATTERN.test(key)) {
+        return { statusCode: 400, body: JSON.stringify({ error: "A valid image key is required." }) };
+    }
+
+    const storage = getImageStorage();
+    if (!storage.read) {
+        return { statusCode: 404, body: JSON.stringify({ error: "Images are not served from this storage." }) };
+    }
+
+    const image = await storage.read(key).catch(error => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    });
+    if (!image) {
+        return { statusCode: 404, body: JSON.stringify({ error: "Image not found." }) };
+    }
+
+    return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'image/jpeg', 'Cache-Control': 'public, max-age=86400, immutable' },
+        body: image.toString('base64'),
+        isBase64Encoded: true,
+    };
+});
@@ -0,0 +1,175 @@
+// /netlify/functions/razorpay-webhook.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { getEventById } = require("./lib/events");
+const { PAYMENT_STATUSES, verifyHmacSignature } = require("./lib/payments");
+const { lockEventCapacity, promoteWaitlisted, notifyPromotedVisitors, recordCapturedPayment } = require("./lib/capacity");
+
+/**
+ * Receives Razorpay webhooks and keeps `registrations.payment_status` in step
+ * with the payment:
+ * - payment.captured / order.paid -> paid (see recordCapturedPayment, which flags a
+ *                                    late or second payment for review)
+ * - payment.failed                -> failed (only while still pending)
+ * - refund.processed              -> adds to refunded_amount_paise, refunded once fully refunded;
+ *                                    a refund of a payment under review clears the review
+ * The places held by a failed or fully refunded ticket go to the waitlist (see promoteWaitlisted).
+ *
+ * Every delivery is verified against RAZORPAY_WEBHOOK_SECRET using the raw
+ * request body, and recorded in `payment_events` so redelivered events are
+ * applied only once.
+ */
+
+// Each handler receives the webhook payload and returns the affected registration ID, if any.
+// Work that must wait for the commit (e.g. SMS) is pushed onto `afterCommit`.
+const eventHandlers = {
+    'payment.captured': (dbClient, payload) => markPaid(dbClient, payload.payment.entity),
+    'order.paid': (dbClient, payload) => markPaid(dbClient, payload.payment.entity),
+    'payment.failed': async (dbClient, payload, afterCommit) => {
+        const payment = payload.payment.entity;
+        const expo = await lockRegistrationEvent(dbClient, 'razorpay_order_id = $1', payment.order_id);
+        const { rows } = await dbClient.query(`
+            UPDATE registrations
+            SET payment_status = $2, place_held_until = NULL, needs_sync = true, updated_at = NOW()
+            WHERE razorpay_order_id = $1 AND payment_status = $3
+            RETURNING registration_id;
+        `, [payment.order_id, PAYMENT_STATUSES.FAILED, PAYMENT_STATUSES.PENDING]);
+
+        const failed = rows[0];
+        if (failed) await releasePlaces(dbClient, expo, afterCommit);
+        return failed?.registration_id;
+    },
+    'refund.processed': async (dbClient, payload, afterCommit) => {
+        const refund = payload.refund.entity;
+        const expo = await lockRegistrationEvent(dbClient, 'payment_id = $1 OR review_payment_id = $1', refund.payment_id);
+        const { rows } = await dbClient.query(`
+            UPDATE registrations
+            SET
+                refunded_amount_paise = refunded_amount_paise + $2,
+                payment_status = CASE
+                    WHEN refunded_amount_paise + $2 >= COALESCE(amount_paise, 0) THEN $3
+                    ELSE payment_status
+                END,
+                payment_review_reason = CASE
+                    WHEN review_payment_id = $1 AND refunded_amount_paise + $2 >= COALESCE(amount_paise, 0) THEN NULL
+                    ELSE payment_review_reason
+                END,
+                review_payment_id = CASE
+                    WHEN review_payment_id = $1 AND refunded_amount_paise + $2 >= COALESCE(amount_paise, 0) THEN NULL
+                    ELSE review_payment_id
+                END,
+                needs_sync = true,
+                updated_at = NOW()
+            WHERE payment_id = $1
+            RETURNING registration_id, payment_status;
+        `, [refund.payment_id, refund.amount, PAYMENT_STATUSES.REFUNDED]);
+
+        const refunded = rows[0];
+        if (!refunded) {
+            // A second or late payment that never became the registration's payment.
+            const { rows: [settled] } = await dbClient.query(`
+                UPDATE registrations
+                SET payment_review_reason = NULL, review_payment_id = NULL, updated_at = NOW()
+                WHERE review_payment_id = $1
+                RETURNING registration_id;
+            `, [refund.payment_id]);
+            return settled?.registration_id;
+        }
+        if (refunded.payment_status === PAYMENT_STATUSES.REFUNDED) {
+            await releasePlaces(dbClient, expo, afterCommit);
+        }
+        return refunded.registration_id;
+    },
+};
+
+// Locks the capacity of the event owning the registration that matches `condition`,
+// before that registration is changed: the same order as every other capacity decision.
+// Returns the event, or null when no registration matches.
+const lockRegistrationEvent = async (dbClient, condition, value) => {
+    const { rows: [registration] } = await dbClient.query(`SELECT event_id FROM registrations WHERE ${condition} LIMIT 1`, [value]);
+    if (!registration) return null;
+    const expo = await getEventById(dbClient, registration.event_id);
+    await lockEventCapacity(dbClient, expo);
+    return expo;
+};
+
+// Offers the places a ticket no longer holds to its event's waitlist. Call after lockRegistrationEvent.
+const releasePlaces = async (dbClient, expo, afterCommit) => {
+    const promoted = await promoteWaitlisted(dbClient, expo);
+    afterCommit.push(() => notifyPromotedVisitors(expo, promoted));
+};
+
+const markPaid = async (dbClient, payment) => {
+    const { registration } = await recordCapturedPayment(dbClient, payment.order_id, payment.id);
+    return registration?.registration_id;
+};
+
+// Razorpay sends every delivery with an x-razorpay-event-id. Without one, the
+// event is keyed on the entity it is about (e.g. "payment.captured:pay_123"),
+// so two different events never share a key.
+const getEventId = (event, webhook) => {
+    if (event.headers['x-razorpay-event-id']) return event.headers['x-razorpay-event-id'];
+    const { refund, payment, order } = webhook.payload || {};
+    const entity = (refund || payment || order)?.entity;
+    return entity?.id ? `${webhook.event}:${entity.id}` : null;
+};
+
+// The body is not validated by the pipeline: the signature covers its raw bytes.
+exports.handler = createHandler({ name: 'razorpay-webhook', methods: ['POST'] }, async (event) => {
+    // 1. Signature Verification: must use the exact bytes Razorpay signed.
+    const rawBody = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8').toString('utf8');
+    const signature = event.headers['x-razorpay-signature'];
+    if (!verifyHmacSignature(rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET)) {
+        console.warn("[WEBHOOK] Rejected a Razorpay webhook with an invalid signature.");
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid signature." }) };
+    }
+
+    let dbClient;
+    try {
+        const webhook = JSON.parse(rawBody);
+        const handleEvent = eventHandlers[webhook.event];
+
+        if (!handleEvent) {
+            console.log(`[WEBHOOK] Ignoring unhandled event '${webhook.event}'.`);
+            return { statusCode: 200, body: JSON.stringify({ message: "Event ignored." }) };
+        }
+        const eventId = getEventId(event, webhook);
+        if (!eventId) {
+            return { statusCode: 400, body: JSON.stringify({ error: "The event has no ID." }) };
+        }
+
+        dbClient = await pool.connect();
+        await dbClient.query('BEGIN');
+
+        // 2. Idempotency: Razorpay retries deliveries, so each event ID is applied once.
+        const { rowCount } = await dbClient.query(
+            'INSERT INTO payment_events (event_id, event_type, payload) VALUES ($1, $2, $3) ON CONFLICT (event_id) DO NOTHING',
+            [eventId, webhook.event, rawBody]
+        );
+        if (rowCount === 0) {
+            await dbClient.query('ROLLBACK');
+            console.log(`[WEBHOOK] Event ${eventId} was already processed.`);
+            return { statusCode: 200, body: JSON.stringify({ message: "Event already processed." }) };
+        }
+
+        // 3. Apply the event and remember which registration it touched.
+        const afterCommit = [];
+        const registrationId = await handleEvent(dbClient, webhook.payload, afterCommit);
+        await dbClient.query('UPDATE payment_events SET registration_id = $2 WHERE event_id = $1', [eventId, registrationId || null]);
+        await dbClient.query('COMMIT');
+        for (const task of afterCommit) await task();
+
+        console.log(`[WEBHOOK] Processed '${webhook.event}' (${eventId}) for registration ${registrationId || 'N/A'}.`);
+        return { statusCode: 200, body: JSON.stringify({ message: "Event processed." }) };
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        // The pipeline answers 500, which makes Razorpay retry the delivery later.
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -0,0 +1,226 @@
+// /netlify/functions/reconcile-google-sheet.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { ADMIN_ROLES } = require("./lib/auth");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const { getCheckInsByRegistration } = require("./lib/check-in");
+const {
+    getSheetsClient, getSheetHeaders, isSheetTimeColumn, buildSheetRow, indexToColumn,
+} = require("./lib/sheets");
+const { runSync, markRecordsSynced, pullSheetEdits } = require("./sync-with-google-sheets");
+
+// --- Configuration ---
+const API_CHUNK_SIZE = 500; // Rows written per API call when rebuilding.
+const MAX_LISTED = 100; // Entries listed per report category; the counts always cover everything.
+
+// Reads every registration of the event with its per-day check-ins, in registration order.
+const loadRegistrations = async (dbClient, expo) => {
+    const { rows: records } = await dbClient.query(
+        "SELECT * FROM registrations WHERE event_id = $1 ORDER BY timestamp ASC, registration_id ASC",
+        [expo.id]
+    );
+    const checkInMap = await getCheckInsByRegistration(dbClient, records.map(record => record.registration_id));
+    return { records, checkInMap };
+};
+
+// Times are compared by presence only: Sheets may re-format a time it parsed.
+const cellsMatch = (index, sheetValue, dbValue) => {
+    if (isSheetTimeColumn(index)) {
+        const isEmpty = (value) => value === '' || value === 'N/A';
+        return isEmpty(sheetValue) === isEmpty(dbValue);
+    }
+    return sheetValue === dbValue;
+};
+
+/**
+ * Compares every database record of the event with its Sheet and reports:
+ * - header:     whether row 1 holds the expected headers
+ * - missing:    registrations with no row in the Sheet
+ * - extra:      Sheet rows whose registration ID is not in the database
+ * - duplicate:  registration IDs on more than one Sheet row
+ * - mismatched: rows whose cells differ from the database (`pendingSync` when
+ *               the next push is expected to fix them)
+ * Row numbers are 1-based, as shown in Google Sheets.
+ */
+const buildReport = async (dbClient, sheets, expo) => {
+    const headers = getSheetHeaders(expo);
+    const sheetRows = await sheets.getValues(`${expo.sheetName}!A:${indexToColumn(headers.length - 1)}`);
+    const { records, checkInMap } = await loadRegistrations(dbClient, expo);
+
+    // 1. Header: a missing header means row 1 is already a data row.
+    const headerRow = (sheetRows[0] || []).map(cell => String(cell).trim());
+    const hasHeader = headerRow[0] === headers[0];
+    const header = {
+        ok: hasHeader && headers.every((label, index) => headerRow[index] === label),
+        expected: headers,
+        found: hasHeader ? headerRow : null,
+    };
+
+    // 2. Index the Sheet rows by registration ID.
+    const rowsById = new Map(); // registration_id -> [{ rowNumber, cells }]
+    let blankIdRows = 0;
+    sheetRows.forEach((row, index) => {
+        if (index === 0 && hasHeader) return;
+        const regId = String(row[0] || '').trim();
+        if (!regId) {
+            if (row.some(cell => String(cell).trim() !== '')) blankIdRows++;
+            return;
+        }
+        if (!rowsById.has(regId)) rowsById.set(regId, []);
+        rowsById.get(regId).push({ rowNumber: index + 1, cells: row.map(cell => String(cell).trim()) });
+    });
+
+    // 3. Compare each database record with its row.
+    const missing = [];
+    const duplicate = [];
+    const mismatched = [];
+    const recordIds = new Set();
+    for (const record of records) {
+        recordIds.add(record.registration_id);
+        const matches = rowsById.get(record.registration_id);
+        if (!matches) {
+            missing.push({ registrationId: record.registration_id, name: record.name });
+            continue;
+        }
+        if (matches.length > 1) {
+            duplicate.push({ registrationId: record.registration_id, rowNumbers: matches.map(match => match.rowNumber) });
+            continue;
+        }
+
+        const expected = buildSheetRow(expo, record, checkInMap.get(record.registration_id)).map(value => value == null ? '' : String(value));
+        const { rowNumber, cells } = matches[0];
+        const differences = [];
+        expected.forEach((dbValue, index) => {
+            const sheetValue = cells[index] || '';
+            if (!cellsMatch(index, sheetValue, dbValue)) {
+                differences.push({ column: headers[index], sheetValue, dbValue });
+            }
+        });
+        if (differences.length > 0) {
+            mismatched.push({ registrationId: record.registration_id, rowNumber, pendingSync: record.needs_sync, differences });
+        }
+    }
+
+    // 4. Sheet rows with no database record (duplicated ones are reported once, under `duplicate`).
+    const extra = [];
+    for (const [regId, matches] of rowsById) {
+        if (recordIds.has(regId)) continue;
+        if (matches.length > 1) {
+            duplicate.push({ registrationId: regId, rowNumbers: matches.map(match => match.rowNumber), inDatabase: false });
+        } else {
+            extra.push({ registrationId: regId, rowNumber: matches[0].rowNumber });
+        }
+    }
+
+    const summary = {
+        databaseRecords: records.length,
+        sheetRows: sheetRows.length - (hasHeader ? 1 : 0),
+        headerOk: header.ok,
+        missing: missing.length,
+        extra: extra.length,
+        duplicate: duplicate.length,
+        mismatched: mismatched.length,
+        mismatchedPendingSync: mismatched.filter(entry => entry.pendingSync).length,
+        blankIdRows,
+    };
+    return {
+        summary,
+        header,
+        missing: missing.slice(0, MAX_LISTED),
+        extra: extra.slice(0, MAX_LISTED),
+        duplicate: duplicate.slice(0, MAX_LISTED),
+        mismatched: mismatched.slice(0, MAX_LISTED),
+        generatedAt: new Date().toISOString(),
+    };
+};
+
+/**
+ * Rewrites the event's whole Sheet from the database: a header row, then one row per
+ * registration. Sheet edits are pulled first so the office team's work is kept.
+ * Runs as a recorded sync run, so it never overlaps a scheduled sync.
+ */
+const rebuildSheet = async (dbClient, sheets, expo, runId) => {
+    // 1. Keep any edits made in the Sheet since the last sync.
+    const pull = await pullSheetEdits(dbClient, sheets, expo);
+
+    // 2. Read the database after the pull.
+    const { records, checkInMap } = await loadRegistrations(dbClient, expo);
+    await dbClient.query('UPDATE sheet_sync_runs SET chunks_total = $2 WHERE id = $1', [runId, Math.ceil(records.length / API_CHUNK_SIZE)]);
+
+    // 3. Clear the Sheet and write it top to bottom in chunks, below the header.
+    // Each chunk is marked synced once written (see markRecordsSynced).
+    await sheets.clear(expo.sheetName);
+    await sheets.batchUpdate([{ range: `${expo.sheetName}!A1`, values: [getSheetHeaders(expo)] }]);
+    for (let i = 0; i < records.length; i += API_CHUNK_SIZE) {
+        const chunk = records.slice(i, i + API_CHUNK_SIZE);
+        await sheets.batchUpdate([{
+            range: `${expo.sheetName}!A${i + 2}`,
+            values: chunk.map(record => buildSheetRow(expo, record, checkInMap.get(record.registration_id))),
+        }]);
+        await markRecordsSynced(dbClient, chunk, runId);
+        console.log(` -> Wrote rows ${i + 2}-${i + 1 + chunk.length}.`);
+    }
+
+    console.log(`[REBUILD] Rewrote the ${expo.slug} Sheet with ${records.length} registrations.`);
+    return { rowsWritten: records.length, pulledEdits: pull.applied.length, conflicts: pull.conflicts.length };
+};
+
+/**
+ * Admin function that checks an event's Google Sheet against the database.
+ *
+ * - GET:  returns the reconciliation report (organizers and superadmins)
+ * - POST `{ "mode": "rebuild" }`: rewrites the Sheet from the database and
+ *   returns the report taken afterwards (superadmins only)
+ */
+exports.handler = createHandler({
+    name: 'reconcile-google-sheet',
+    methods: ['GET', 'POST'],
+    auth: 'admin',
+    // Rewriting the Sheet is limited to superadmins.
+    roles: {
+        GET: [ADMIN_ROLES.ORGANIZER, ADMIN_ROLES.SUPERADMIN],
+        POST: [ADMIN_ROLES.SUPERADMIN],
+    },
+    event: true,
+    body: {
+        mode: { required: true, oneOf: ['rebuild'], message: "Send { \"mode\": \"rebuild\" } to rebuild the Sheet." },
+    },
+}, async (event, { admin, expo }) => {
+    const isRebuild = event.httpMethod === "POST";
+
+    let dbClient;
+    try {
+        const sheets = await getSheetsClient(expo);
+        dbClient = await pool.connect();
+
+        // 1. Rebuild (if asked), then report.
+        let rebuild = null;
+        if (isRebuild) {
+            const run = await runSync(dbClient, expo, 'rebuild', (runId) => rebuildSheet(dbClient, sheets, expo, runId));
+            if (run.busy) {
+                return { statusCode: 409, body: JSON.stringify({ error: "A Google Sheets sync is running. Please try again shortly." }) };
+            }
+            rebuild = { runId: run.runId, ...run.result };
+        }
+        const report = await buildReport(dbClient, sheets, expo);
+
+        await recordAuditEvent(dbClient, event, admin, {
+            action: isRebuild ? AUDIT_ACTIONS.SHEET_REBUILD : AUDIT_ACTIONS.SHEET_RECONCILE,
+            details: rebuild ? { event: expo.slug, ...rebuild, summary: report.summary } : { event: expo.slug, summary: report.summary },
+        });
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify(rebuild ? { message: "Sheet rebuilt from the database.", rebuild, report } : report),
+        };
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -0,0 +1,38 @@
+// /netlify/functions/release-payment-holds.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { getEvents } = require("./lib/events");
+const { lockEventCapacity, promoteWaitlisted, notifyPromotedVisitors } = require("./lib/capacity");
+
+/**
+ * Scheduled function (see netlify.toml) that offers the places of unpaid
+ * registrations whose hold has lapsed (PAYMENT_HOLD_MINUTES) to each active
+ * event's waitlist. Lapsed holds already stop counting towards capacity; this
+ * makes sure the waitlist moves even when nothing else happens.
+ */
+exports.handler = createHandler({ name: 'release-payment-holds' }, async () => {
+    let promotedCount = 0;
+    for (const expo of (await getEvents(pool, { refresh: true })).filter(e => e.isActive)) {
+        let dbClient;
+        let promoted;
+        try {
+            dbClient = await pool.connect();
+            await dbClient.query('BEGIN');
+            await lockEventCapacity(dbClient, expo);
+            promoted = await promoteWaitlisted(dbClient, expo);
+            await dbClient.query('COMMIT');
+        } catch (error) {
+            if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            if (dbClient) {
+                dbClient.release();
+            }
+        }
+        await notifyPromotedVisitors(expo, promoted);
+        promotedCount += promoted.length;
+    }
+    console.log(`[PAYMENT HOLDS] Promoted ${promotedCount} waitlisted registration(s).`);
+    return { statusCode: 200, body: JSON.stringify({ message: "Payment holds released.", promoted: promotedCount }) };
+});
@@ -0,0 +1,83 @@
+// /netlify/functions/request-otp.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { PHONE_PATTERN } = require("./lib/forms");
+const {
+    generateOtpCode, hashOtpCode, OTP_TTL_MINUTES, OTP_MAX_SENDS_PER_WINDOW, OTP_SEND_WINDOW_MINUTES,
+} = require("./lib/otp");
+const { getSmsProvider } = require("./lib/sms");
+const { tooManyRequestsResponse } = require("./lib/rate-limit");
+
+/**
+ * Public function that sends a one-time code by SMS to a phone number
+ * registered for the event. The response is the same whether or not the
+ * number is registered, so it cannot be used to discover who has registered.
+ * Sending a new code invalidates any earlier unused code for the number and event.
+ */
+exports.handler = createHandler({
+    name: 'request-otp',
+    methods: ['POST'],
+    event: true,
+    body: {
+        phone: { type: 'string', required: true, pattern: PHONE_PATTERN, message: "Please provide a valid 10-digit phone number." },
+    },
+}, async (event, { expo, body }) => {
+    const trimmedPhone = body.phone.trim();
+
+    let dbClient;
+    try {
+        dbClient = await pool.connect();
+
+        // 1. Send Limit: At most a few codes per number in each window, registered or not.
+        const { rows: [{ recent_sends: recentSends, retry_after: retryAfter }] } = await dbClient.query(`
+            SELECT
+                COUNT(*)::int AS recent_sends,
+                CEIL(EXTRACT(EPOCH FROM (MIN(created_at) + make_interval(mins => $2) - NOW())))::int AS retry_after
+            FROM otp_codes WHERE phone = $1 AND created_at > NOW() - make_interval(mins => $2)
+        `, [trimmedPhone, OTP_SEND_WINDOW_MINUTES]);
+        if (recentSends >= OTP_MAX_SENDS_PER_WINDOW) {
+            return tooManyRequestsResponse(Math.max(retryAfter, 1), "Too many codes requested.");
+        }
+
+        const genericResponse = {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: "If this number is registered, a verification code has been sent to it.",
+                expiresInMinutes: OTP_TTL_MINUTES,
+            }),
+        };
+
+        const { rows } = await dbClient.query('SELECT 1 FROM registrations WHERE event_id = $1 AND phone = $2', [expo.id, trimmedPhone]);
+
+        // 2. Store the Code: Earlier codes are consumed so only the newest one works.
+        // Unregistered numbers get a row too, so they count towards the send limit.
+        const code = generateOtpCode();
+        await dbClient.query('BEGIN');
+        await dbClient.query('UPDATE otp_codes SET consumed_at = NOW() WHERE phone = $1 AND event_id = $2 AND consumed_at IS NULL', [trimmedPhone, expo.id]);
+        await dbClient.query(
+            `INSERT INTO otp_codes (phone, code_hash, expires_at, consumed_at, event_id) VALUES ($1, $2, NOW() + make_interval(mins => $3), $4, $5)`,
+            [trimmedPhone, hashOtpCode(trimmedPhone, code), OTP_TTL_MINUTES, rows.length > 0 ? null : new Date(), expo.id]
+        );
+        await dbClient.query('COMMIT');
+
+        if (rows.length === 0) {
+            return genericResponse;
+        }
+
+        // 3. Send the SMS
+        await getSmsProvider().sendSms(
+            trimmedPhone,
+            `Your verification code for your ${expo.name} registration is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`
+        );
+        return genericResponse;
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -0,0 +1,144 @@
+// /netlify/functions/review-images.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { ADMIN_ROLES } = require("./lib/auth");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const { IMAGE_STATUSES } = require("./lib/profile-images");
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+const MAX_REASON_LENGTH = 200;
+
+const DECISIONS = {
+    approve: { status: IMAGE_STATUSES.APPROVED, action: AUDIT_ACTIONS.IMAGE_APPROVE },
+    reject: { status: IMAGE_STATUSES.REJECTED, action: AUDIT_ACTIONS.IMAGE_REJECT },
+};
+
+const formatImage = (row) => ({
+    registrationId: row.registration_id,
+    name: row.name,
+    firmName: row.company,
+    imageUrl: row.image_url,
+    imageStatus: row.image_status,
+    uploadedAt: row.image_uploaded_at,
+    reviewedAt: row.image_reviewed_at,
+    reviewedBy: row.image_reviewed_by,
+    rejectionReason: row.image_rejection_reason,
+});
+
+/**
+ * An event's pass photo review queue. Restricted to organizers and superadmins.
+ *
+ * GET lists photos by review status, oldest upload first:
+ * `?status=pending|approved|rejected` (default pending), `limit`, `offset` (limit max 100).
+ * Returns `{ total, limit, offset, images }`.
+ *
+ * POST records a decision: `{ "registrationId", "imageUrl", "decision": "approve" | "reject", "reason" }`.
+ * `imageUrl` is the photo the admin looked at; if the visitor has replaced it
+ * since, nothing changes and 409 is returned. A reason is required to reject,
+ * and is shown to the visitor, whose pass is then printed without the photo.
+ */
+exports.handler = createHandler({
+    name: 'review-images',
+    methods: ['GET', 'POST'],
+    auth: 'admin',
+    roles: [ADMIN_ROLES.ORGANIZER, ADMIN_ROLES.SUPERADMIN],
+    event: true,
+    body: {
+        registrationId: { type: 'string', required: true, message: "registrationId and imageUrl are required." },
+        imageUrl: { type: 'string', required: true, message: "registrationId and imageUrl are required." },
+        decision: { required: true, oneOf: Object.keys(DECISIONS), message: "decision must be 'approve' or 'reject'." },
+        reason: { type: 'string', maxLength: MAX_REASON_LENGTH, message: `The reason must be at most ${MAX_REASON_LENGTH} characters.` },
+    },
+}, async (event, { admin, expo, body }) => {
+    let dbClient;
+    try {
+        if (event.httpMethod === "GET") {
+            const { status = IMAGE_STATUSES.PENDING, limit, offset } = event.queryStringParameters || {};
+            if (!Object.values(IMAGE_STATUSES).includes(status)) {
+                return { statusCode: 400, body: JSON.stringify({ error: `Unknown status '${status}'.` }) };
+            }
+            const pageLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+            const pageOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+            dbClient = await pool.connect();
+            const { rows } = await dbClient.query(`
+                SELECT
+                    registration_id, name, company, image_url, image_status, image_uploaded_at,
+                    image_reviewed_at, image_reviewed_by, image_rejection_reason,
+                    COUNT(*) OVER() AS total_count
+                FROM registrations
+                WHERE event_id = $4 AND image_status = $1 AND image_url IS NOT NULL
+                ORDER BY image_uploaded_at ASC, id ASC
+                LIMIT $2 OFFSET $3;
+            `, [status, pageLimit, pageOffset, expo.id]);
+
+            return {
+                statusCode: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    total: rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0,
+                    limit: pageLimit,
+                    offset: pageOffset,
+                    images: rows.map(formatImage),
+                }),
+            };
+        }
+
+        // 1. Input Validation for a decision
+        const registrationId = body.registrationId.trim().toUpperCase();
+        const decision = DECISIONS[body.decision];
+        const reason = (body.reason || '').trim();
+        if (decision.status === IMAGE_STATUSES.REJECTED && !reason) {
+            return { statusCode: 400, body: JSON.stringify({ error: "A reason is required to reject a photo." }) };
+        }
+
+        dbClient = await pool.connect();
+        await dbClient.query('BEGIN');
+
+        // 2. Lock the row so the decision applies to the photo that was reviewed.
+        const { rows: [current] } = await dbClient.query(
+            'SELECT image_url, image_status, image_rejection_reason FROM registrations WHERE registration_id = $1 AND event_id = $2 FOR UPDATE',
+            [registrationId, expo.id]
+        );
+        if (!current) {
+            await dbClient.query('ROLLBACK');
+            return { statusCode: 404, body: JSON.stringify({ error: "No registration was found." }) };
+        }
+        if (current.image_url !== body.imageUrl) {
+            await dbClient.query('ROLLBACK');
+            return { statusCode: 409, body: JSON.stringify({ error: "The visitor has uploaded a new photo since. Please review the new one." }) };
+        }
+
+        const { rows: [updated] } = await dbClient.query(`
+            UPDATE registrations
+            SET image_status = $2, image_reviewed_at = NOW(), image_reviewed_by = $3, image_rejection_reason = $4
+            WHERE registration_id = $1
+            RETURNING registration_id, name, company, image_url, image_status, image_uploaded_at,
+                image_reviewed_at, image_reviewed_by, image_rejection_reason;
+        `, [registrationId, decision.status, admin.username, decision.status === IMAGE_STATUSES.REJECTED ? reason : null]);
+
+        await recordAuditEvent(dbClient, event, admin, {
+            action: decision.action,
+            registrationId,
+            before: { imageStatus: current.image_status, rejectionReason: current.image_rejection_reason },
+            after: { imageStatus: updated.image_status, rejectionReason: updated.image_rejection_reason },
+            details: { imageUrl: updated.image_url },
+        });
+        await dbClient.query('COMMIT');
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: `Photo ${decision.status}.`, image: formatImage(updated) }),
+        };
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -0,0 +1,83 @@
+// /netlify/functions/scan-check-in.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const { resolveEventDay, formatAttendanceDays } = require("./lib/event-days");
+const { verifyPassToken } = require("./lib/pass-tokens");
+const { describeInvalidTicket } = require("./lib/registrations");
+const { checkInRegistration, getCheckIns } = require("./lib/check-in");
+
+/**
+ * Admin-only function for the gate: takes the token read from a visitor pass
+ * QR code, verifies its signature and checks the visitor in for the given
+ * event day (default: today's) with one call.
+ * Forged or altered QR codes are rejected and recorded in the audit log.
+ * Any logged-in admin, including gate staff, may scan passes.
+ */
+exports.handler = createHandler({
+    name: 'scan-check-in',
+    methods: ['POST'],
+    auth: 'admin',
+    event: true,
+    body: {
+        token: { type: 'string', required: true, message: "A scanned pass token is required." },
+        day: { type: 'string' },
+    },
+}, async (event, { admin, expo, body }) => {
+    const trimmedToken = body.token.trim();
+    const eventDay = resolveEventDay(expo, body.day);
+    if (!eventDay) {
+        return { statusCode: 400, body: JSON.stringify({ error: "Please choose a valid event day to check in for." }) };
+    }
+
+    let dbClient;
+    try {
+        dbClient = await pool.connect();
+
+        // 1. Token Verification
+        const registrationId = verifyPassToken(trimmedToken);
+        if (!registrationId) {
+            await recordAuditEvent(dbClient, event, admin, {
+                action: AUDIT_ACTIONS.SCAN_REJECTED,
+                details: { token: trimmedToken.slice(0, 200) },
+            });
+            return { statusCode: 400, body: JSON.stringify({ error: "Invalid QR code. This pass may be forged or altered." }) };
+        }
+
+        // 2. Check-in
+        const { outcome, registration, alreadyCheckedIn } = await checkInRegistration(dbClient, expo, event, admin, registrationId, eventDay, { method: 'qr_scan' });
+
+        if (outcome === 'not_found') {
+            return { statusCode: 404, body: JSON.stringify({ error: `No registration for ${expo.name} matches this pass.` }) };
+        }
+        if (outcome === 'invalid_ticket') {
+            return { statusCode: 409, body: JSON.stringify({ error: `Cannot check in ${registration.name}: ${describeInvalidTicket(registration)}.` }) };
+        }
+        if (outcome === 'day_not_registered') {
+            return { statusCode: 409, body: JSON.stringify({ error: `${registration.name} is not registered for ${eventDay} (registered: ${formatAttendanceDays(registration.attendance_days)}).` }) };
+        }
+
+        // 3. Success Response: Return the full record so the gate can verify the photo.
+        const { rows } = await dbClient.query(
+            'SELECT registration_id, name, company, phone, city, state, attendance_days, image_url, checked_in_at FROM registrations WHERE registration_id = $1',
+            [registrationId]
+        );
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: alreadyCheckedIn
+                    ? `${registration.name} was already checked in for ${eventDay}.`
+                    : `Successfully checked in ${registration.name} for ${eventDay}.`,
+                alreadyCheckedIn,
+                day: eventDay,
+                data: { ...rows[0], check_ins: await getCheckIns(dbClient, registrationId) },
+            }),
+        };
+
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -1,55 +1,241 @@
 // /netlify/functions/search-user.js
 
-const { pool } = require("./utils");
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const { normalizeAttendanceDays } = require("./lib/event-days");
+const { REGISTRATION_STATUSES } = require("./lib/registrations");
+const { PAYMENT_REVIEW_REASONS } = require("./lib/capacity");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MIN_TEXT_QUERY_LENGTH = 2;
+
+// Sortable columns. `relevance` only applies to a free-text `q` search.
+const SORT_COLUMNS = {
+    registered: 'timestamp',
+    name: 'name',
+    company: 'company',
+    city: 'city',
+    state: 'state',
+};
+
+// Text filters matched case-insensitively and tolerant of typos (pg_trgm, see db/migrations/008_search_indexes.sql).
+const FUZZY_FIELDS = ['name', 'company', 'city'];
+
+// Selected for every result, with the visitor's per-day check-ins.
+const RESULT_COLUMNS = `
+    id, timestamp, registration_id, name, company, phone,
+    address, city, state, attendance_days, payment_id, image_url, image_status,
+    needs_sync, checked_in_at, payment_status, registration_status, payment_review_reason, review_payment_id,
+    cancelled_at, cancelled_by, cancellation_reason,
+    COALESCE((
+        SELECT json_agg(json_build_object('day', c.event_day, 'checkedInAt', c.checked_in_at) ORDER BY c.checked_in_at)
+        FROM check_ins c WHERE c.registration_id = registrations.registration_id
+    ), '[]'::json) AS check_ins
+`;
+
+// Escapes LIKE wildcards so user input is matched literally.
+const toContainsPattern = (value) => `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
 
 /**
- * Netlify serverless function to search for registrations by phone number and/or registration ID.
- * This function is protected and intended for admin use only.
+ * Netlify serverless function to search an event's registrations. This function is protected and intended for admin use only.
+ *
+ * Exact lookup (used at the gate): `phone` and/or `registrationId`, joined with OR.
+ * Returns an array of matches, cancelled ones included, or 404 when nothing matches.
+ *
+ * Advanced search (help desk): any of the following, combined with AND.
+ * Returns `{ total, limit, offset, results }`.
+ * - q:                   partial or misspelt name, company or city
+ * - name, company, city: partial or misspelt value for that field only
+ * - state:               exact state, case-insensitive
+ * - day:                 attending event day (e.g. "Day 2")
+ * - checkedIn:           true / false, for `day` when given, otherwise for any day
+ * - status:              registration status (confirmed / waitlisted / cancelled);
+ *                        cancelled registrations only appear when asked for, or
+ *                        with paymentReview
+ * - paymentReview:       true for payments awaiting an organizer's review, or one
+ *                        review reason (see PAYMENT_REVIEW_REASONS)
+ * - from, to:            registration date range (YYYY-MM-DD, inclusive, event time zone)
+ * - sort, order:         relevance | registered | name | company | city | state, asc | desc
+ * - limit, offset:       pagination (limit max 100)
+ *
+ * All admin roles, including gate staff, can search.
  */
-exports.handler = async (event) => {
-    // 1. Security Check
-    const providedKey = event.headers['x-admin-key'];
-    const secretKey = process.env.EXPORT_SECRET_KEY;
+exports.handler = createHandler({ name: 'search-user', methods: ['GET'], auth: 'admin', event: true }, async (event, { admin, expo }) => {
+    // 1. Input Validation
+    const params = event.queryStringParameters || {};
+    const { phone, registrationId } = params;
+    const trimmedPhone = phone ? phone.trim() : null;
+    const trimmedRegId = registrationId ? registrationId.trim().toUpperCase() : null;
+    const advancedParams = ['q', ...FUZZY_FIELDS, 'state', 'day', 'checkedIn', 'status', 'paymentReview', 'from', 'to', 'sort', 'order', 'limit', 'offset'];
+    const isAdvancedSearch = advancedParams.some(key => params[key] !== undefined && params[key] !== '');
 
-    if (!providedKey || providedKey !== secretKey) {
-        return {
-            statusCode: 401,
-            body: JSON.stringify({ error: "Unauthorized: Missing or invalid secret key." }),
-        };
+    if (!isAdvancedSearch) {
+        return exactLookup(event, admin, expo, trimmedPhone, trimmedRegId);
+    }
+
+    const conditions = [];
+    const queryParams = [];
+    let paramIndex = 1;
+    const addParam = (value) => {
+        queryParams.push(value);
+        return `$${paramIndex++}`;
+    };
+    conditions.push(`event_id = ${addParam(expo.id)}`);
+
+    if (trimmedPhone) conditions.push(`phone LIKE ${addParam(toContainsPattern(trimmedPhone))}`);
+    if (trimmedRegId) conditions.push(`registration_id LIKE ${addParam(toContainsPattern(trimmedRegId))}`);
+
+    const q = params.q ? params.q.trim() : '';
+    let relevanceExpression = null;
+    if (q) {
+        if (q.length < MIN_TEXT_QUERY_LENGTH) {
+            return { statusCode: 400, body: JSON.stringify({ error: `Search text must be at least ${MIN_TEXT_QUERY_LENGTH} characters.` }) };
+        }
+        const textParam = addParam(q);
+        const patternParam = addParam(toContainsPattern(q));
+        conditions.push(`(${FUZZY_FIELDS.map(field => `${field} ILIKE ${patternParam} OR ${textParam} <% ${field}`).join(' OR ')})`);
+        relevanceExpression = `GREATEST(${FUZZY_FIELDS.map(field => `word_similarity(${textParam}, ${field})`).join(', ')})`;
+    }
+    for (const field of FUZZY_FIELDS) {
+        const value = params[field] ? params[field].trim() : '';
+        if (!value) continue;
+        const textParam = addParam(value);
+        conditions.push(`(${field} ILIKE ${addParam(toContainsPattern(value))} OR ${textParam} <% ${field})`);
+    }
+
+    if (params.state && params.state.trim()) {
+        conditions.push(`LOWER(TRIM(state)) = LOWER(${addParam(params.state.trim())})`);
+    }
+
+    let eventDay = null;
+    if (params.day) {
+        const { days, invalid } = normalizeAttendanceDays(expo, [params.day]);
+        if (invalid.length > 0) {
+            return { statusCode: 400, body: JSON.stringify({ error: `Unknown event day '${params.day}'. Valid days are ${expo.days.map(d => d.label).join(', ')}.` }) };
+        }
+        eventDay = days[0];
+        conditions.push(`${addParam(eventDay)} = ANY(attendance_days)`);
+    }
+
+    if (params.checkedIn !== undefined && params.checkedIn !== '') {
+        if (!['true', 'false'].includes(params.checkedIn)) {
+            return { statusCode: 400, body: JSON.stringify({ error: "checkedIn must be 'true' or 'false'." }) };
+        }
+        const dayCondition = eventDay ? ` AND c.event_day = ${addParam(eventDay)}` : '';
+        const existsClause = `EXISTS (SELECT 1 FROM check_ins c WHERE c.registration_id = registrations.registration_id${dayCondition})`;
+        conditions.push(params.checkedIn === 'true' ? existsClause : `NOT ${existsClause}`);
+    }
+
+    if (params.status) {
+        const statuses = Object.values(REGISTRATION_STATUSES);
+        if (!statuses.includes(params.status)) {
+            return { statusCode: 400, body: JSON.stringify({ error: `status must be one of: ${statuses.join(', ')}.` }) };
+        }
+        conditions.push(`registration_status = ${addParam(params.status)}`);
+    } else if (!params.paymentReview) {
+        conditions.push(`registration_status <> ${addParam(REGISTRATION_STATUSES.CANCELLED)}`);
     }
 
-    // 2. Method Check
-    if (event.httpMethod !== "GET") {
+    if (params.paymentReview) {
+        const reasons = Object.values(PAYMENT_REVIEW_REASONS);
+        if (params.paymentReview !== 'true' && !reasons.includes(params.paymentReview)) {
+            return { statusCode: 400, body: JSON.stringify({ error: `paymentReview must be 'true' or one of: ${reasons.join(', ')}.` }) };
+        }
+        conditions.push(params.paymentReview === 'true'
+            ? 'payment_review_reason IS NOT NULL'
+            : `payment_review_reason = ${addParam(params.paymentReview)}`);
+    }
+
+    // Dates are whole days in the event's time zone; the bounds are computed once so the timestamp index is used.
+    for (const [key, value] of [['from', params.from], ['to', params.to]]) {
+        if (!value) continue;
+        if (!isIsoDate(value)) {
+            return { statusCode: 400, body: JSON.stringify({ error: `Invalid date '${value}'. Use YYYY-MM-DD.` }) };
+        }
+        conditions.push(key === 'from'
+            ? `timestamp >= (${addParam(value)}::date::timestamp AT TIME ZONE ${addParam(expo.timeZone)})`
+            : `timestamp < ((${addParam(value)}::date + 1)::timestamp AT TIME ZONE ${addParam(expo.timeZone)})`);
+    }
+
+    const sort = params.sort || (relevanceExpression ? 'relevance' : 'registered');
+    if (sort !== 'relevance' && !SORT_COLUMNS[sort]) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Unknown sort '${sort}'.` }) };
+    }
+    if (sort === 'relevance' && !relevanceExpression) {
+        return { statusCode: 400, body: JSON.stringify({ error: "Sorting by relevance requires a search text (q)." }) };
+    }
+    const order = (params.order || (sort === 'relevance' || sort === 'registered' ? 'desc' : 'asc')).toLowerCase();
+    if (!['asc', 'desc'].includes(order)) {
+        return { statusCode: 400, body: JSON.stringify({ error: "order must be 'asc' or 'desc'." }) };
+    }
+    const orderExpression = sort === 'relevance' ? relevanceExpression : SORT_COLUMNS[sort];
+
+    const pageLimit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const pageOffset = Math.max(parseInt(params.offset, 10) || 0, 0);
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    let dbClient;
+    try {
+        dbClient = await pool.connect();
+        const { rows } = await dbClient.query(`
+            SELECT ${RESULT_COLUMNS}, COUNT(*) OVER() AS total_count
+            FROM registrations
+            ${whereClause}
+            ORDER BY ${orderExpression} ${order.toUpperCase()} NULLS LAST, registration_id
+            LIMIT ${addParam(pageLimit)} OFFSET ${addParam(pageOffset)};
+        `, queryParams);
+
+        // Record the search, including which registrations it revealed.
+        const filters = Object.fromEntries(advancedParams.concat(['phone', 'registrationId'])
+            .filter(key => params[key] !== undefined && params[key] !== '')
+            .map(key => [key, params[key]]));
+        await recordAuditEvent(dbClient, event, admin, {
+            action: AUDIT_ACTIONS.SEARCH,
+            registrationId: rows.length === 1 ? rows[0].registration_id : null,
+            details: {
+                event: expo.slug,
+                query: filters,
+                resultCount: rows.length,
+                resultIds: rows.map(row => row.registration_id),
+            },
+        });
+
+        const total = rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0;
         return {
-            statusCode: 405,
-            body: JSON.stringify({ error: "Method Not Allowed" })
+            statusCode: 200,
+            body: JSON.stringify({
+                total,
+                limit: pageLimit,
+                offset: pageOffset,
+                sort,
+                order,
+                results: rows.map(({ total_count, ...row }) => row),
+            }),
         };
-    }
 
-    // 3. Input Validation
-    const { phone, registrationId } = event.queryStringParameters;
-    const trimmedPhone = phone ? phone.trim() : null;
-    const trimmedRegId = registrationId ? registrationId.trim().toUpperCase() : null;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
 
+// Exact phone / registration ID lookup used at the gate.
+const exactLookup = async (event, admin, expo, trimmedPhone, trimmedRegId) => {
     if (!trimmedPhone && !trimmedRegId) {
         return {
             statusCode: 400,
-            body: JSON.stringify({ error: "Please provide a phone number or a registration ID." }),
+            body: JSON.stringify({ error: "Please provide a phone number, a registration ID or search filters." }),
         };
     }
 
-    // Explicitly select all columns to ensure consistent data structure.
-    let queryText = `
-        SELECT 
-            id, timestamp, registration_id, name, company, phone, 
-            address, city, state, day, payment_id, image_url, 
-            needs_sync, checked_in_at 
-        FROM registrations 
-        WHERE
-    `;
-    const queryParams = [];
+    const queryParams = [expo.id];
     let conditions = [];
-    let paramIndex = 1;
+    let paramIndex = 2;
 
     if (trimmedPhone) {
         conditions.push(`phone = $${paramIndex++}`);
@@ -61,14 +247,25 @@ exports.handler = async (event) => {
         queryParams.push(trimmedRegId);
     }
 
-    queryText += ` ${conditions.join(' OR ')} ORDER BY timestamp DESC;`;
+    const queryText = `SELECT ${RESULT_COLUMNS} FROM registrations WHERE event_id = $1 AND (${conditions.join(' OR ')}) ORDER BY timestamp DESC;`;
 
     let dbClient;
     try {
         dbClient = await pool.connect();
         const { rows } = await dbClient.query(queryText, queryParams);
 
-        // --- FINAL, CORRECTED RESPONSE LOGIC ---
+        // Record the search, including which registrations it revealed.
+        await recordAuditEvent(dbClient, event, admin, {
+            action: AUDIT_ACTIONS.SEARCH,
+            registrationId: rows.length === 1 ? rows[0].registration_id : null,
+            details: {
+                event: expo.slug,
+                query: { phone: trimmedPhone, registrationId: trimmedRegId },
+                resultCount: rows.length,
+                resultIds: rows.map(row => row.registration_id),
+            },
+        });
+
         // If no users are found, return a 404 with a clear error message.
         // The frontend will handle this correctly.
         if (rows.length === 0) {
@@ -84,12 +281,6 @@ exports.handler = async (event) => {
             body: JSON.stringify(rows),
         };
 
-    } catch (error) {
-        console.error("Error in search-user function:", error);
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ error: "An internal server error occurred." }),
-        };
     } finally {
         if (dbClient) {
             dbClient.release();
@@ -1,71 +1,110 @@
 // /netlify/functions/submit-registration.js
 
-const cloudinary = require("cloudinary").v2;
-const busboy = require("busboy");
-const crypto = require("crypto");
-const { pool } = require("./utils");
+const { HttpError, createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { validateAttendanceDays } = require("./lib/event-days");
+const { REGISTRATION_STATUSES, formatRegistrationData, generateRegistrationId } = require("./lib/registrations");
+const { parseMultipartForm, validateRegistrationFields } = require("./lib/forms");
+const { prepareProfileImage, storeProfileImage, deleteProfileImage } = require("./lib/profile-images");
+const { PAYMENT_STATUSES, getTicketPricePaise, getRazorpayClient } = require("./lib/payments");
+const {
+  PAYMENT_HOLD_MINUTES, getRegistrationWindowState, WAITLIST_POSITION_SQL, lockEventCapacity, countTakenPlaces,
+  findFullDays, holdPlacesForPayment,
+} = require("./lib/capacity");
 
 // --- Constants ---
-const CLOUDINARY_FOLDER = "expo-profile-images-2025";
-
-// --- Cloudinary Configuration ---
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-  secure: true,
-});
-
-// Helper function to parse multipart form data
-const parseMultipartForm = (event) => new Promise((resolve, reject) => {
-  const contentType = event.headers["content-type"] || event.headers["Content-Type"];
-  if (!contentType) return reject(new Error("Request is missing 'Content-Type' header."));
-
-  const bb = busboy({ headers: { "content-type": contentType }, limits: { fileSize: 5 * 1024 * 1024 } });
-  const fields = {};
-  const files = {};
-  const attendanceDays = [];
-
-  bb.on("file", (name, file, info) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/jpg'];
-    if (!allowedTypes.includes(info.mimeType)) {
-      return reject(new Error(`Invalid file type. Only JPG and PNG are allowed.`));
-    }
-    const chunks = [];
-    file.on("data", (chunk) => chunks.push(chunk));
-    file.on("limit", () => reject(new Error(`File '${info.filename}' exceeds the 5MB limit.`)));
-    file.on("end", () => {
-      files[name] = { filename: info.filename, content: Buffer.concat(chunks), contentType: info.mimeType };
-    });
-  });
+const UNIQUE_VIOLATION = "23505"; // Postgres error code
 
-  bb.on("field", (name, value) => {
-    if (name === 'attendance') { attendanceDays.push(value); } else { fields[name] = value; }
+// Helper function to create a Razorpay order for a registration awaiting payment.
+// Called outside any transaction, so no Razorpay call holds the event's capacity lock.
+const createPaymentOrder = async (dbClient, expo, registrationId, amountPaise) => {
+  // Not retried: order creation is not idempotent, and the visitor can simply resubmit.
+  const order = await getRazorpayClient().orders.create({
+    amount: amountPaise,
+    currency: "INR",
+    receipt: registrationId,
+    notes: { registration_id: registrationId, event: expo.slug },
   });
-  bb.on("close", () => {
-    if (attendanceDays.length > 0) { fields.attendance = attendanceDays.join(', '); }
-    resolve({ fields, files });
-  });
-  bb.on("error", (err) => reject(new Error(`Error parsing form data: ${err.message}`)));
-  bb.end(Buffer.from(event.body, event.isBase64Encoded ? "base64" : "binary"));
-});
+  await dbClient.query(
+    'UPDATE registrations SET razorpay_order_id = $1, amount_paise = $2 WHERE registration_id = $3',
+    [order.id, amountPaise, registrationId]
+  );
+  return order;
+};
 
-// Helper function to upload to Cloudinary
-const uploadToCloudinary = (buffer, folder) => new Promise((resolve, reject) => {
-  const uploadStream = cloudinary.uploader.upload_stream({ folder, resource_type: "auto" }, (err, result) => {
-    if (err) return reject(new Error(`Cloudinary upload failed: ${err.message}`));
-    if (!result) return reject(new Error("Cloudinary returned an empty result."));
-    resolve(result);
-  });
-  uploadStream.end(buffer);
+// Response for a phone number that is already registered.
+// The existing pass is only re-issued after the visitor verifies the phone number (request-otp / verify-otp).
+const alreadyRegisteredResponse = () => ({
+  statusCode: 409, // Conflict
+  body: JSON.stringify({ status: "exists", error: "This phone number is already registered. Verify your number to view or update your registration." }),
 });
 
-// --- Main Handler Function ---
-exports.handler = async (event) => {
-  if (event.httpMethod !== "POST") {
-    return { statusCode: 405, body: JSON.stringify({ error: "Method Not Allowed" }) };
+// Creates (or fetches) the order for a registration awaiting payment. A Razorpay
+// failure is a 502: the registration stands, and resubmitting resumes it.
+const getPaymentOrder = async (dbClient, expo, record, amountPaise) => {
+  try {
+    return record.razorpay_order_id
+      ? await getRazorpayClient().orders.fetch(record.razorpay_order_id)
+      : await createPaymentOrder(dbClient, expo, record.registration_id, amountPaise);
+  } catch (error) {
+    console.error(`[PAYMENT] Could not create an order for ${record.registration_id}:`, error.message);
+    throw new HttpError(502, "Your registration was saved, but the payment could not be started. Please submit the form again with the same phone number to pay.");
   }
+};
+
+// Response telling the browser to open Razorpay Checkout for the given order.
+// The signed pass token is withheld until the payment is confirmed.
+const paymentRequiredResponse = (record, order) => {
+  const { passToken, ...registrationData } = formatRegistrationData(record);
+  return {
+    statusCode: 202, // Accepted, but not confirmed until payment succeeds
+    body: JSON.stringify({
+      status: "payment_required",
+      registrationData,
+      order: { id: order.id, amount: order.amount, currency: order.currency, keyId: process.env.RAZORPAY_KEY_ID },
+    }),
+  };
+};
+
+// Response for a registration that is not confirmed because a chosen day is full.
+// No pass token is issued and no payment is taken until it is promoted.
+const waitlistedResponse = (statusCode, expo, record, waitlistPosition, fullDays = []) => {
+  const { passToken, ...registrationData } = formatRegistrationData(record);
+  const reason = fullDays.length > 0 ? `${fullDays.join(' and ')} ${fullDays.length === 1 ? 'is' : 'are'} full. ` : '';
+  return {
+    statusCode,
+    body: JSON.stringify({
+      status: "waitlisted",
+      message: `${reason}Your registration for ${expo.name} is on the waitlist (position ${waitlistPosition}). We will send you an SMS if a place opens up.`,
+      fullDays,
+      waitlistPosition,
+      registrationData,
+    }),
+  };
+};
+
+// Response for a registration attempted outside the event's registration window.
+const registrationWindowResponse = (expo, windowState) => {
+  const formatTime = (value) => new Date(value).toLocaleString('en-IN', { timeZone: expo.timeZone, dateStyle: 'medium', timeStyle: 'short' });
+  const error = windowState === 'not_open'
+    ? `Registration for ${expo.name} opens on ${formatTime(expo.registrationOpensAt)}.`
+    : `Registration for ${expo.name} has closed.`;
+  return {
+    statusCode: 403,
+    body: JSON.stringify({
+      status: windowState,
+      error,
+      registrationOpensAt: expo.registrationOpensAt,
+      registrationClosesAt: expo.registrationClosesAt,
+    }),
+  };
+};
 
+// --- Main Handler Function ---
+// New registrations, and unpaid ones resumed to pay, are only accepted while the
+// event's registration window is open. One choosing a full day joins the
+// waitlist (202, status "waitlisted").
+exports.handler = createHandler({ name: 'submit-registration', methods: ['POST'], event: true }, async (event, { expo }) => {
   let dbClient;
   try {
     const { fields, files } = await parseMultipartForm(event);
@@ -73,74 +112,138 @@ exports.handler = async (event) => {
     const { profileImage } = files;
 
     // --- FINAL IMPROVEMENT: Strict Server-Side Validation ---
-    const validationErrors = [];
+    const validationErrors = validateRegistrationFields(fields);
     const trimmedPhone = phone ? phone.trim() : '';
 
-    if (!name || name.trim().length < 3) validationErrors.push("Full Name must be at least 3 characters.");
-    if (!/^[6-9]\d{9}$/.test(trimmedPhone)) validationErrors.push("A valid 10-digit Indian phone number is required.");
-    if (!firmName || firmName.trim().length < 3) validationErrors.push("Firm Name must be at least 3 characters.");
-    if (!address || address.trim().length < 10) validationErrors.push("Full Address must be at least 10 characters.");
-    if (!district || district.trim().length < 2) validationErrors.push("District is a required field.");
-    if (!state || state.trim().length < 2) validationErrors.push("State is a required field.");
-    if (!attendance || attendance.length === 0) validationErrors.push("You must select at least one attending day.");
+    const { days: attendanceDays, errors: attendanceErrors } = validateAttendanceDays(expo, attendance);
+    validationErrors.push(...attendanceErrors);
     if (!profileImage) validationErrors.push("A profile photo is required.");
 
+    // The photo is checked by its content, then cropped and stripped of its metadata.
+    let image;
+    if (profileImage) {
+      const prepared = await prepareProfileImage(profileImage.content);
+      if (prepared.error) validationErrors.push(prepared.error);
+      image = prepared.image;
+    }
+
     if (validationErrors.length > 0) {
       return {
         statusCode: 400, // Bad Request
-        body: JSON.stringify({ status: "validation_error", errors: validationErrors }),
+        body: JSON.stringify({ status: "validation_error", error: validationErrors.join(' '), errors: validationErrors }),
       };
     }
     // --- End Validation Block ---
 
     dbClient = await pool.connect();
-    const existingUserQuery = 'SELECT * FROM registrations WHERE phone = $1';
-    const { rows } = await dbClient.query(existingUserQuery, [trimmedPhone]);
+    const existingUserQuery = `SELECT *, ${WAITLIST_POSITION_SQL} FROM registrations WHERE event_id = $1 AND phone = $2`;
+    const { rows } = await dbClient.query(existingUserQuery, [expo.id, trimmedPhone]);
+
+    const ticketPricePaise = getTicketPricePaise();
 
     if (rows.length > 0) {
-      await dbClient.query('UPDATE registrations SET needs_sync = true WHERE phone = $1', [trimmedPhone]);
-      const registrationData = {
-        registrationId: rows[0].registration_id, name: rows[0].name, phone: rows[0].phone,
-        firmName: rows[0].company, attendance: rows[0].day, profileImageUrl: rows[0].image_url,
-      };
-      return {
-        statusCode: 409, // Conflict
-        body: JSON.stringify({ status: "exists", error: "This phone number is already registered.", registrationData }),
-      };
+      const existing = rows[0];
+
+      if (existing.registration_status === REGISTRATION_STATUSES.WAITLISTED) {
+        return waitlistedResponse(409, expo, existing, existing.waitlist_position);
+      }
+
+      // Only an admin can restore a cancelled registration (see update-registration-status).
+      if (existing.registration_status === REGISTRATION_STATUSES.CANCELLED) {
+        return {
+          statusCode: 409, // Conflict
+          body: JSON.stringify({ status: "cancelled", error: "The registration for this phone number was cancelled. Please contact the help desk to restore it." }),
+        };
+      }
+
+      // An unpaid registration is resumed: its places are held again (or it joins the
+      // waitlist if a day has filled up since), then its order (or a new one) is handed
+      // back so the visitor can pay.
+      if (ticketPricePaise > 0 && [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.FAILED].includes(existing.payment_status)) {
+        const windowState = getRegistrationWindowState(expo);
+        if (windowState !== 'open') {
+          return registrationWindowResponse(expo, windowState);
+        }
+
+        await dbClient.query('BEGIN');
+        const { registration, fullDays } = await holdPlacesForPayment(dbClient, expo, existing.registration_id);
+        await dbClient.query('COMMIT');
+        if (fullDays.length > 0) {
+          return waitlistedResponse(202, expo, registration, registration.waitlist_position, fullDays);
+        }
+        return paymentRequiredResponse(registration, await getPaymentOrder(dbClient, expo, registration, ticketPricePaise));
+      }
+
+      await dbClient.query('UPDATE registrations SET needs_sync = true WHERE registration_id = $1', [existing.registration_id]);
+      return alreadyRegisteredResponse();
     }
 
-    const uploadResult = await uploadToCloudinary(profileImage.content, CLOUDINARY_FOLDER);
-    const registrationId = `TDEXPOUP-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const windowState = getRegistrationWindowState(expo);
+    if (windowState !== 'open') {
+      return registrationWindowResponse(expo, windowState);
+    }
+
+    const storedImage = await storeProfileImage(expo, image);
+    const registrationId = generateRegistrationId(expo);
     const registrationTimestamp = new Date();
+    const paymentStatus = ticketPricePaise > 0 ? PAYMENT_STATUSES.PENDING : PAYMENT_STATUSES.FREE;
+
+    // The capacity check and the insert succeed or fail together; the photo is deleted if they fail.
+    // The payment order is created after the commit, outside the event's capacity lock.
+    let newRecord;
+    let fullDays;
+    try {
+      await dbClient.query('BEGIN');
+      await lockEventCapacity(dbClient, expo);
+      fullDays = findFullDays(expo, await countTakenPlaces(dbClient, expo), attendanceDays);
+      const registrationStatus = fullDays.length > 0 ? REGISTRATION_STATUSES.WAITLISTED : REGISTRATION_STATUSES.CONFIRMED;
+      // A confirmed registration awaiting payment holds its places for PAYMENT_HOLD_MINUTES.
+      const placeHeldUntil = registrationStatus === REGISTRATION_STATUSES.CONFIRMED && paymentStatus === PAYMENT_STATUSES.PENDING
+        ? new Date(registrationTimestamp.getTime() + PAYMENT_HOLD_MINUTES * 60 * 1000)
+        : null;
 
-    const insertQuery = `INSERT INTO registrations (registration_id, name, company, phone, address, city, state, day, image_url, timestamp) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *;`;
-    const values = [registrationId, name.trim(), firmName.trim(), trimmedPhone, address.trim(), district.trim(), state.trim(), attendance, uploadResult.secure_url, registrationTimestamp];
-    const result = await dbClient.query(insertQuery, values);
-    const newRecord = result.rows[0];
+      const insertQuery = `INSERT INTO registrations (registration_id, name, company, phone, address, city, state, attendance_days, image_url, timestamp, payment_status, event_id, registration_status, waitlisted_at, place_held_until) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING *;`;
+      const values = [registrationId, name.trim(), firmName.trim(), trimmedPhone, address.trim(), district.trim(), state.trim(), attendanceDays, storedImage.url, registrationTimestamp, paymentStatus, expo.id, registrationStatus, fullDays.length > 0 ? registrationTimestamp : null, placeHeldUntil];
+      newRecord = (await dbClient.query(insertQuery, values)).rows[0];
+      if (registrationStatus === REGISTRATION_STATUSES.WAITLISTED) {
+        const { rows: [position] } = await dbClient.query(`SELECT ${WAITLIST_POSITION_SQL} FROM registrations WHERE registration_id = $1`, [registrationId]);
+        newRecord.waitlist_position = position.waitlist_position;
+      }
+      await dbClient.query('COMMIT');
+    } catch (err) {
+      await dbClient.query('ROLLBACK').catch(() => {});
+      await deleteProfileImage(storedImage);
+      // Another submission with the same phone number was saved after the check above.
+      if (err.code === UNIQUE_VIOLATION) {
+        return alreadyRegisteredResponse();
+      }
+      throw err;
+    }
+
+    if (newRecord.registration_status === REGISTRATION_STATUSES.WAITLISTED) {
+      return waitlistedResponse(202, expo, newRecord, newRecord.waitlist_position, fullDays);
+    }
+    if (paymentStatus === PAYMENT_STATUSES.PENDING) {
+      return paymentRequiredResponse(newRecord, await getPaymentOrder(dbClient, expo, newRecord, ticketPricePaise));
+    }
 
     return {
       statusCode: 200,
-      headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         status: "success",
-        registrationData: {
-          registrationId: newRecord.registration_id, name: newRecord.name, phone: newRecord.phone,
-          firmName: newRecord.company, attendance: newRecord.day, profileImageUrl: newRecord.image_url,
-        },
+        registrationData: formatRegistrationData(newRecord),
       }),
     };
 
   } catch (err) {
-    console.error("SUBMIT_REGISTRATION_ERROR:", err);
-    return {
-      statusCode: 500, body: JSON.stringify({ status: "error", error: "An internal server error occurred.", details: err.message }),
-    };
+    if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+    throw err;
   } finally {
     if (dbClient) {
       dbClient.release();
     }
   }
-};
+});
 
 
 // --- Step 4: Perform LIVE Sync with Google Sheets to handle updates/inserts ---
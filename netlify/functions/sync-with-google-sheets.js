@@ -1,133 +1,385 @@
 // /netlify/functions/sync-with-google-sheets.js
 
-const { pool, getGoogleSheetsClient, retryWithBackoff } = require("./utils");
+const { resolveEvent, createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { getEvents } = require("./lib/events");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const { validateRegistrationFields } = require("./lib/forms");
+const { getCheckInsByRegistration } = require("./lib/check-in");
+const {
+    getSheetsClient, SHEET_EDITABLE_COLUMNS, getSheetHeaders, buildSheetRow, getSheetEditableValues,
+    indexToColumn,
+} = require("./lib/sheets");
 
 // --- Configuration ---
-const SPREADSHEET_ID = process.env.GOOGLE_SHEET_ID;
-const SHEET_NAME = "Registrations";
 const API_CHUNK_SIZE = 500; // Process 500 records per API call to stay within limits.
+const SYNC_MODES = ['both', 'pull', 'push'];
+// Sheet edits are recorded in the audit log under this actor.
+const SHEETS_SYNC_ACTOR = { username: 'google-sheets-sync' };
+// Only one sync (or rebuild) writes to an event's Sheet at a time. The lock is (SYNC_LOCK_KEY, event ID).
+const SYNC_LOCK_KEY = 20250913;
+
+const getSheetRange = (expo) => `${expo.sheetName}!A:${indexToColumn(getSheetHeaders(expo).length - 1)}`;
+
+/**
+ * Runs `work(runId)` as a recorded sync run of the event (see `sheet_sync_runs`)
+ * while holding its sync lock. Returns `{ busy: true }` without running it when
+ * another sync of the event holds the lock, otherwise `{ runId, resumedFromRunId, result }`.
+ * A failed run is recorded as such and its error rethrown.
+ */
+const runSync = async (dbClient, expo, mode, work) => {
+    const { rows: [lock] } = await dbClient.query('SELECT pg_try_advisory_lock($1, $2) AS acquired', [SYNC_LOCK_KEY, expo.id]);
+    if (!lock.acquired) return { busy: true };
+
+    let runId;
+    try {
+        // With the lock held, a run still marked as running was cut off (e.g. by a function timeout).
+        await dbClient.query(`
+            UPDATE sheet_sync_runs SET status = 'failed', error = 'Interrupted before finishing.', finished_at = NOW()
+            WHERE event_id = $1 AND status = 'running'
+        `, [expo.id]);
+        const { rows: [previous] } = await dbClient.query('SELECT id, status FROM sheet_sync_runs WHERE event_id = $1 ORDER BY id DESC LIMIT 1', [expo.id]);
+        const resumedFromRunId = previous && previous.status === 'failed' ? previous.id : null;
+        const { rows: [run] } = await dbClient.query(
+            'INSERT INTO sheet_sync_runs (mode, resumed_from_run_id, event_id) VALUES ($1, $2, $3) RETURNING id',
+            [mode, resumedFromRunId, expo.id]
+        );
+        runId = run.id;
+        if (resumedFromRunId) console.log(`[SYNC] Resuming ${expo.slug} after failed run ${resumedFromRunId}.`);
+
+        try {
+            const result = await work(runId);
+            await dbClient.query(
+                "UPDATE sheet_sync_runs SET status = 'succeeded', result = $2, finished_at = NOW() WHERE id = $1",
+                [runId, JSON.stringify(result)]
+            );
+            return { runId, resumedFromRunId, result };
+        } catch (error) {
+            await dbClient.query('ROLLBACK').catch(() => {});
+            await dbClient.query(
+                "UPDATE sheet_sync_runs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1",
+                [runId, error.message]
+            ).catch(() => {});
+            throw error;
+        }
+    } finally {
+        await dbClient.query('SELECT pg_advisory_unlock($1, $2)', [SYNC_LOCK_KEY, expo.id]).catch(() => {});
+    }
+};
+
+/**
+ * Records that `records` were written to the Sheet, in one transaction:
+ * - `needs_sync` is cleared only where `sync_version` is still the one that was
+ *   read, so changes made since then stay pending
+ * - `sheet_sync_state` gets the values the Sheet now holds
+ * - the run's progress is advanced by one chunk
+ * Returns how many records were marked synced.
+ */
+const markRecordsSynced = async (dbClient, records, runId) => {
+    const ids = records.map(record => record.registration_id);
+    await dbClient.query('BEGIN');
+    const { rowCount } = await dbClient.query(`
+        UPDATE registrations r SET needs_sync = false
+        FROM unnest($1::text[], $2::bigint[]) AS t(registration_id, sync_version)
+        WHERE r.registration_id = t.registration_id AND r.sync_version = t.sync_version
+    `, [ids, records.map(record => record.sync_version)]);
+    await dbClient.query(`
+        INSERT INTO sheet_sync_state (registration_id, synced_values, synced_at)
+        SELECT registration_id, synced_values, NOW() FROM unnest($1::text[], $2::jsonb[]) AS t(registration_id, synced_values)
+        ON CONFLICT (registration_id) DO UPDATE SET synced_values = EXCLUDED.synced_values, synced_at = EXCLUDED.synced_at
+    `, [ids, records.map(record => JSON.stringify(getSheetEditableValues(record)))]);
+    if (runId) {
+        await dbClient.query(
+            'UPDATE sheet_sync_runs SET chunks_done = chunks_done + 1, rows_synced = rows_synced + $2 WHERE id = $1',
+            [runId, records.length]
+        );
+    }
+    await dbClient.query('COMMIT');
+    return rowCount;
+};
+
+/**
+ * Pull: imports cells the office team edited in the event's Sheet back into `registrations`.
+ *
+ * Only the editable columns (name, firm, address, district, state) are imported.
+ * Each cell is compared with the database and with the value last pushed to the
+ * Sheet (`sheet_sync_state`):
+ * - only the Sheet changed  -> the edit is validated and applied (and audited)
+ * - only the database changed -> left for the push
+ * - both changed, no earlier push to compare with, or the value is invalid
+ *   -> reported as a conflict in `sheet_sync_conflicts`; the database value wins
+ * Rows whose registration ID appears more than once in the Sheet are skipped.
+ */
+const pullSheetEdits = async (dbClient, sheets, expo) => {
+    const sheetRows = await sheets.getValues(getSheetRange(expo));
+
+    const sheetRowById = new Map();
+    const duplicateIds = new Set();
+    for (const row of sheetRows) {
+        const regId = (row[0] || '').trim();
+        if (!regId) continue;
+        if (sheetRowById.has(regId)) duplicateIds.add(regId);
+        else sheetRowById.set(regId, row);
+    }
+    duplicateIds.forEach(regId => sheetRowById.delete(regId));
+
+    const { rows: records } = await dbClient.query(`
+        SELECT r.registration_id, ${SHEET_EDITABLE_COLUMNS.map(c => `r.${c.column}`).join(', ')}, s.synced_values
+        FROM registrations r
+        LEFT JOIN sheet_sync_state s ON s.registration_id = r.registration_id
+        WHERE r.registration_id = ANY($1::text[]) AND r.event_id = $2
+    `, [[...sheetRowById.keys()], expo.id]);
+
+    const applied = [];
+    const conflicts = [];
+
+    for (const record of records) {
+        const row = sheetRowById.get(record.registration_id);
+        const base = record.synced_values;
+        const edits = [];
+
+        for (const { column, field, index } of SHEET_EDITABLE_COLUMNS) {
+            const sheetValue = (row[index] || '').trim();
+            const dbValue = record[column] == null ? '' : String(record[column]);
+            if (sheetValue === dbValue) continue;
+
+            const conflict = { registrationId: record.registration_id, column, baseValue: base ? base[column] : null, sheetValue, dbValue };
+            if (!base) {
+                conflicts.push({ ...conflict, reason: 'no_baseline' });
+            } else if (sheetValue === base[column]) {
+                continue; // Only the database changed; the push brings the Sheet up to date.
+            } else if (dbValue !== base[column]) {
+                conflicts.push({ ...conflict, reason: 'both_changed' });
+            } else if (validateRegistrationFields({ [field]: sheetValue }, { partial: true }).length > 0) {
+                conflicts.push({ ...conflict, reason: 'invalid_value' });
+            } else {
+                edits.push({ column, from: dbValue, to: sheetValue });
+            }
+        }
+        if (edits.length === 0) continue;
+
+        // Apply only if the database still holds the values compared above.
+        const values = [record.registration_id];
+        const assignments = edits.map(edit => { values.push(edit.to); return `${edit.column} = $${values.length}`; });
+        const guards = edits.map(edit => { values.push(edit.from); return `COALESCE(${edit.column}, '') = $${values.length}`; });
+        await dbClient.query('BEGIN');
+        const { rowCount } = await dbClient.query(`
+            UPDATE registrations
+            SET ${assignments.join(', ')}, needs_sync = true, updated_at = NOW()
+            WHERE registration_id = $1 AND ${guards.join(' AND ')}
+        `, values);
+
+        if (rowCount === 0) {
+            await dbClient.query('ROLLBACK');
+            edits.forEach(edit => conflicts.push({
+                registrationId: record.registration_id, column: edit.column, reason: 'changed_during_sync',
+                baseValue: base[edit.column], sheetValue: edit.to, dbValue: edit.from,
+            }));
+            continue;
+        }
+        await recordAuditEvent(dbClient, { headers: {} }, SHEETS_SYNC_ACTOR, {
+            action: AUDIT_ACTIONS.SHEET_IMPORT,
+            registrationId: record.registration_id,
+            before: Object.fromEntries(edits.map(edit => [edit.column, edit.from])),
+            after: Object.fromEntries(edits.map(edit => [edit.column, edit.to])),
+        });
+        await dbClient.query('COMMIT');
+        applied.push({ registrationId: record.registration_id, changes: edits });
+    }
+
+    for (const conflict of conflicts) {
+        await dbClient.query(`
+            INSERT INTO sheet_sync_conflicts (registration_id, column_name, reason, base_value, sheet_value, db_value)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT DO NOTHING
+        `, [conflict.registrationId, conflict.column, conflict.reason, conflict.baseValue, conflict.sheetValue, conflict.dbValue]);
+    }
+
+    console.log(`[PULL] Applied ${applied.length} Sheet edit(s); ${conflicts.length} conflict(s); ${duplicateIds.size} duplicate ID(s) skipped.`);
+    return { applied, conflicts, duplicateIds: [...duplicateIds] };
+};
 
 /**
- * A highly scalable serverless function to synchronize up to 10,000+ records
- * from a Postgres database to a Google Sheet using an "Upsert" strategy.
+ * Push: writes every registration of the event with `needs_sync = true` to its Sheet using an
+ * "Upsert" strategy (update the row with the same registration ID, or append).
+ * Each chunk is marked synced as soon as the Sheet accepts it (see
+ * `markRecordsSynced`), so a failed run leaves only the unsent rows pending.
  *
  * Key features for scalability:
  * - Efficiently fetches only registration IDs from the sheet to build a lookup map.
  * - Chunks API requests (updates and appends) to avoid hitting Google's payload size limits.
- * - Uses a reliable, serverless-friendly database connection pool.
  */
-exports.handler = async () => {
-    console.log(`[SYNC START] Starting Upsert Sync Process @ ${new Date().toISOString()}`);
-    if (!SPREADSHEET_ID) {
-        console.error("[SYNC FAIL] Missing GOOGLE_SHEET_ID environment variable.");
-        return { statusCode: 500, body: JSON.stringify({ error: "Server configuration error." }) };
+const pushChanges = async (dbClient, sheets, expo, { runId } = {}) => {
+    // 1. Fetch records from the database that need syncing.
+    const { rows: dbRecordsToSync } = await dbClient.query(
+        "SELECT * FROM registrations WHERE event_id = $1 AND needs_sync = true ORDER BY timestamp ASC",
+        [expo.id]
+    );
+
+    if (dbRecordsToSync.length === 0) {
+        console.log("[PUSH] No records to sync.");
+        return { updated: 0, appended: 0, stillPending: 0 };
+    }
+    console.log(`[DB] Found ${dbRecordsToSync.length} records marked for sync.`);
+
+    // Per-day check-ins for these records.
+    const checkInMap = await getCheckInsByRegistration(dbClient, dbRecordsToSync.map(record => record.registration_id));
+
+    // 2. Efficiently fetch ONLY the ID column from the Google Sheet to build a lookup map.
+    const sheetValues = await sheets.getValues(`${expo.sheetName}!A:A`);
+    // A new or cleared Sheet gets its header row before any registration is appended below it.
+    if (!sheetValues[0] || !sheetValues[0][0]) {
+        await sheets.batchUpdate([{ range: `${expo.sheetName}!A1`, values: [getSheetHeaders(expo)] }]);
+        console.log("[GSheet] Wrote the missing header row.");
+    }
+    const sheetMap = new Map(); // Map of registration_id -> { rowNumber }
+    sheetValues.forEach((row, index) => {
+        const regId = row[0];
+        if (regId) {
+            sheetMap.set(regId, { rowNumber: index + 1 });
+        }
+    });
+    console.log(`[GSheet] Mapped ${sheetMap.size} existing rows from the sheet.`);
+
+    // 3. Categorize records for append or update operations.
+    const recordsToUpdate = [];
+    const recordsToAppend = [];
+    for (const dbRecord of dbRecordsToSync) {
+        (sheetMap.has(dbRecord.registration_id) ? recordsToUpdate : recordsToAppend).push(dbRecord);
+    }
+    console.log(`[SYNC PLAN] Records to update: ${recordsToUpdate.length}. Records to append: ${recordsToAppend.length}.`);
+
+    const chunks = [];
+    for (let i = 0; i < recordsToUpdate.length; i += API_CHUNK_SIZE) {
+        chunks.push({ kind: 'update', start: i, records: recordsToUpdate.slice(i, i + API_CHUNK_SIZE) });
+    }
+    for (let i = 0; i < recordsToAppend.length; i += API_CHUNK_SIZE) {
+        chunks.push({ kind: 'append', start: i, records: recordsToAppend.slice(i, i + API_CHUNK_SIZE) });
+    }
+    if (runId) {
+        await dbClient.query('UPDATE sheet_sync_runs SET chunks_total = chunks_total + $2 WHERE id = $1', [runId, chunks.length]);
+    }
+
+    // 4. Execute API calls in safe, manageable chunks, marking each one synced once written.
+    const toRow = (dbRecord) => buildSheetRow(expo, dbRecord, checkInMap.get(dbRecord.registration_id));
+    let markedSynced = 0;
+    for (const { kind, start, records } of chunks) {
+        if (kind === 'update') {
+            await sheets.batchUpdate(records.map(dbRecord => ({
+                range: `${expo.sheetName}!A${sheetMap.get(dbRecord.registration_id).rowNumber}`,
+                values: [toRow(dbRecord)],
+            })));
+            console.log(` -> Updated chunk starting at index ${start}.`);
+        } else {
+            await sheets.append(expo.sheetName, records.map(toRow));
+            console.log(` -> Appended chunk starting at index ${start}.`);
+        }
+        markedSynced += await markRecordsSynced(dbClient, records, runId);
+    }
+
+    // Records changed while they were being sent keep `needs_sync` for the next run.
+    const stillPending = dbRecordsToSync.length - markedSynced;
+    console.log(`[DB] Marked ${markedSynced} records as synced; ${stillPending} changed during the sync and stay pending.`);
+
+    return { updated: recordsToUpdate.length, appended: recordsToAppend.length, stillPending };
+};
+
+/**
+ * A highly scalable serverless function to keep up to 10,000+ registrations in
+ * step with each event's Google Sheet, in both directions.
+ *
+ * Mode (`?mode=` or `{ "mode": ... }` in the body):
+ * - `both` (default, used by the schedule): pull Sheet edits first, so the push cannot overwrite them, then push
+ * - `pull`: only import Sheet edits
+ * - `push`: only write database changes to the Sheet
+ *
+ * `?event=<slug>` syncs that event only; otherwise every active event is
+ * synced in turn, and one event failing does not stop the others.
+ *
+ * Each run is recorded in `sheet_sync_runs`; a run that finds another one in
+ * progress for the same event skips it (409 when only that event was asked for).
+ *
+ * Runs on the schedule in netlify.toml, which sends its own POST body, so no
+ * method list or admin token is required.
+ */
+exports.handler = createHandler({ name: 'sync-with-google-sheets' }, async (event) => {
+    console.log(`[SYNC START] Starting Sync Process @ ${new Date().toISOString()}`);
+
+    let mode = (event.queryStringParameters && event.queryStringParameters.mode) || 'both';
+    try {
+        mode = JSON.parse(event.body || '{}').mode || mode;
+    } catch (error) {
+        // Scheduled invocations send their own JSON body; anything unparsable keeps the default.
     }
+    if (!SYNC_MODES.includes(mode)) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Unknown mode '${mode}'. Use one of: ${SYNC_MODES.join(', ')}.` }) };
+    }
+
+    const requestedSlug = event.queryStringParameters && event.queryStringParameters.event;
+    const expos = requestedSlug
+        ? [await resolveEvent(pool, event)]
+        : (await getEvents(pool, { refresh: true })).filter(expo => expo.isActive);
 
     let dbClient;
     try {
         dbClient = await pool.connect();
 
-        // 1. Fetch records from the database that need syncing.
-        const { rows: dbRecordsToSync } = await dbClient.query(
-            "SELECT * FROM registrations WHERE needs_sync = true ORDER BY timestamp ASC"
-        );
-
-        if (dbRecordsToSync.length === 0) {
-            console.log("[SYNC INFO] No records to sync. Job finished.");
-            return { statusCode: 200, body: JSON.stringify({ message: "No records to sync." }) };
-        }
-        console.log(`[DB] Found ${dbRecordsToSync.length} records marked for sync.`);
-
-        // 2. Efficiently fetch ONLY the ID column from the Google Sheet to build a lookup map.
-        const sheets = await getGoogleSheetsClient();
-        const sheetResponse = await retryWithBackoff(() => sheets.spreadsheets.values.get({
-            spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEET_NAME}!A:A`, // OPTIMIZED: Fetch only column A
-        }), 'Google Sheets Get IDs');
-
-        const sheetValues = sheetResponse.data.values || [];
-        const sheetMap = new Map(); // Map of registration_id -> { rowNumber }
-        sheetValues.forEach((row, index) => {
-            const regId = row[0];
-            if (regId) {
-                sheetMap.set(regId, { rowNumber: index + 1 });
-            }
-        });
-        console.log(`[GSheet] Mapped ${sheetMap.size} existing rows from the sheet.`);
-
-        // 3. Categorize records for append or update operations.
-        const recordsToAppend = [];
-        const updateRequests = [];
-        for (const dbRecord of dbRecordsToSync) {
-            const newRowData = [
-                dbRecord.registration_id, dbRecord.name, dbRecord.company, dbRecord.phone,
-                dbRecord.address, dbRecord.city, dbRecord.state, dbRecord.day,
-                dbRecord.payment_id || 'N/A',
-                new Date(dbRecord.timestamp).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" }),
-                dbRecord.image_url,
-                dbRecord.checked_in_at ? new Date(dbRecord.checked_in_at).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" }) : 'N/A'
-            ];
-            if (sheetMap.has(dbRecord.registration_id)) {
-                const { rowNumber } = sheetMap.get(dbRecord.registration_id);
-                updateRequests.push({ range: `${SHEET_NAME}!A${rowNumber}`, values: [newRowData] });
-            } else {
-                recordsToAppend.push(newRowData);
+        const results = [];
+        let failed = 0;
+        for (const expo of expos) {
+            try {
+                const sheets = await getSheetsClient(expo);
+                const run = await runSync(dbClient, expo, mode, async (runId) => {
+                    const result = {};
+                    if (mode === 'both' || mode === 'pull') {
+                        const { applied, conflicts, duplicateIds } = await pullSheetEdits(dbClient, sheets, expo);
+                        result.pull = { applied: applied.length, conflicts: conflicts.length, duplicateIds };
+                    }
+                    if (mode === 'both' || mode === 'push') {
+                        result.push = await pushChanges(dbClient, sheets, expo, { runId });
+                    }
+                    return result;
+                });
+                results.push(run.busy
+                    ? { event: expo.slug, busy: true }
+                    : { event: expo.slug, runId: run.runId, resumedFromRunId: run.resumedFromRunId, ...run.result });
+            } catch (error) {
+                failed++;
+                console.error(`[SYNC FAIL] Sync of ${expo.slug} failed.`, {
+                    errorMessage: error.message,
+                    googleApiError: error.response?.data?.error,
+                });
+                results.push({ event: expo.slug, error: error.message });
             }
         }
-        console.log(`[SYNC PLAN] Records to update: ${updateRequests.length}. Records to append: ${recordsToAppend.length}.`);
-
-        // 4. Execute API calls in safe, manageable chunks.
-        if (updateRequests.length > 0) {
-            console.log(`[GSheet] Processing ${updateRequests.length} updates in chunks of ${API_CHUNK_SIZE}...`);
-            for (let i = 0; i < updateRequests.length; i += API_CHUNK_SIZE) {
-                const chunk = updateRequests.slice(i, i + API_CHUNK_SIZE);
-                await retryWithBackoff(() => sheets.spreadsheets.values.batchUpdate({
-                    spreadsheetId: SPREADSHEET_ID,
-                    resource: { valueInputOption: 'USER_ENTERED', data: chunk },
-                }), `Google Sheets Batch Update Chunk ${i / API_CHUNK_SIZE + 1}`);
-                console.log(` -> Updated chunk starting at index ${i}.`);
-            }
-            console.log("[GSheet] All update chunks processed successfully.");
-        }
 
-        if (recordsToAppend.length > 0) {
-            console.log(`[GSheet] Processing ${recordsToAppend.length} appends in chunks of ${API_CHUNK_SIZE}...`);
-            for (let i = 0; i < recordsToAppend.length; i += API_CHUNK_SIZE) {
-                const chunk = recordsToAppend.slice(i, i + API_CHUNK_SIZE);
-                await retryWithBackoff(() => sheets.spreadsheets.values.append({
-                    spreadsheetId: SPREADSHEET_ID, range: SHEET_NAME, valueInputOption: "USER_ENTERED",
-                    resource: { values: chunk },
-                }), `Google Sheets Append Chunk ${i / API_CHUNK_SIZE + 1}`);
-                console.log(` -> Appended chunk starting at index ${i}.`);
-            }
-            console.log("[GSheet] All append chunks processed successfully.");
+        if (requestedSlug && results[0].busy) {
+            return { statusCode: 409, body: JSON.stringify({ error: "Another sync is already running. Please try again shortly." }) };
+        }
+        if (failed > 0) {
+            throw new Error(`Sync failed for ${failed} of ${expos.length} event(s).`);
         }
-
-        // 5. Mark all processed records as synced in a single, efficient database transaction.
-        const allProcessedIds = dbRecordsToSync.map(record => record.registration_id);
-        await dbClient.query(
-            'UPDATE registrations SET needs_sync = false WHERE registration_id = ANY($1::text[])',
-            [allProcessedIds]
-        );
-        console.log(`[DB] Successfully marked ${allProcessedIds.length} records as synced.`);
 
         return {
             statusCode: 200,
-            body: JSON.stringify({ message: "Sync successful.", updated: updateRequests.length, appended: recordsToAppend.length }),
+            body: JSON.stringify({ message: "Sync successful.", mode, events: results }),
         };
     } catch (error) {
         console.error("[SYNC FAIL] The synchronization process failed critically.", {
             errorMessage: error.message,
             googleApiError: error.response?.data?.error,
         });
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ error: "Failed to synchronize data.", details: error.message }),
-        };
+        throw error;
     } finally {
         if (dbClient) {
             dbClient.release();
             console.log("[SYNC END] Database client released. Sync process finished.");
         }
     }
-};
\ No newline at end of file
+});
+
+// Also used by reconcile-google-sheet (rebuild) and for testing against a fake Sheets client.
+exports.runSync = runSync;
+exports.markRecordsSynced = markRecordsSynced;
+exports.pullSheetEdits = pullSheetEdits;
+exports.pushChanges = pushChanges;
@@ -1,71 +1,119 @@
 // /netlify/functions/unmark-checked-in.js
 
-const { pool } = require("./utils");
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { verifyPassword } = require("./lib/auth");
+const { recordAuditEvent, AUDIT_ACTIONS } = require("./lib/audit");
+const { resolveEventDay } = require("./lib/event-days");
+const { getCheckIns } = require("./lib/check-in");
+const {
+    LOGIN_LOCKOUT, getLoginLockoutKey, checkRateLimit, clearRateLimit, tooManyRequestsResponse,
+} = require("./lib/rate-limit");
 
 /**
- * A secure, admin-only serverless function to undo a check-in by setting
- * the 'checked_in_at' timestamp to NULL. This action requires the admin
- * password for verification.
+ * A secure, admin-only serverless function to undo a visitor's check-in for
+ * one event day (default: today's). 'checked_in_at' is reset to the earliest
+ * remaining check-in, or NULL. This action requires the logged-in admin to
+ * re-enter their own password for verification; wrong passwords count towards
+ * the same lockout as failed logins (LOGIN_LOCKOUT). Any logged-in admin may
+ * undo a check-in.
  */
-exports.handler = async (event) => {
-    // 1. Security: Must be a POST request.
-    if (event.httpMethod !== "POST") {
-        return { statusCode: 405, body: JSON.stringify({ error: "Method Not Allowed" }) };
-    }
+exports.handler = createHandler({
+    name: 'unmark-checked-in',
+    methods: ['POST'],
+    auth: 'admin',
+    event: true,
+    body: {
+        registrationId: { type: 'string', required: true, message: "Registration ID is required." },
+        password: { type: 'string' },
+        day: { type: 'string' },
+    },
+}, async (event, { admin, expo, body }) => {
+    const { registrationId, password, day } = body;
 
-    // 2. Security: Check for the admin secret key.
-    const providedKey = event.headers['x-admin-key'];
-    const secretKey = process.env.EXPORT_SECRET_KEY;
-    if (!providedKey || providedKey !== secretKey) {
-        return { statusCode: 401, body: JSON.stringify({ error: "Unauthorized" }) };
+    // 1. Validation: Ensure a valid event day was provided.
+    const eventDay = resolveEventDay(expo, day);
+    if (!eventDay) {
+        return { statusCode: 400, body: JSON.stringify({ error: "Please choose a valid event day to undo." }) };
     }
 
     let dbClient;
     try {
-        const { registrationId, password } = JSON.parse(event.body);
+        dbClient = await pool.connect();
 
-        // 3. Password Verification: The provided password must match the secret key.
-        if (password !== secretKey) {
+        // 2. Password Verification: The admin must re-enter their own password.
+        const lockoutKey = getLoginLockoutKey(event, admin.username);
+        const lockout = await checkRateLimit(LOGIN_LOCKOUT.bucket, lockoutKey, LOGIN_LOCKOUT, { consume: false });
+        if (!lockout.allowed) {
+            return tooManyRequestsResponse(lockout.retryAfterSeconds, "Too many incorrect passwords.");
+        }
+        const { rows: adminRows } = await dbClient.query(
+            'SELECT password_hash FROM admin_users WHERE id = $1 AND is_active = true',
+            [admin.id]
+        );
+        if (adminRows.length === 0 || !password || !(await verifyPassword(password, adminRows[0].password_hash))) {
+            await checkRateLimit(LOGIN_LOCKOUT.bucket, lockoutKey, LOGIN_LOCKOUT);
             return { statusCode: 403, body: JSON.stringify({ error: "Incorrect password. Cannot undo check-in." }) };
         }
+        await clearRateLimit(LOGIN_LOCKOUT.bucket, lockoutKey);
 
-        // 4. Validation: Ensure a registration ID was provided.
-        if (!registrationId) {
-            return { statusCode: 400, body: JSON.stringify({ error: "Registration ID is required." }) };
+        await dbClient.query('BEGIN');
+
+        // 3. Lock the registration, then remove the day's check-in.
+        const { rows: existingRows } = await dbClient.query(
+            'SELECT registration_id FROM registrations WHERE registration_id = $1 AND event_id = $2 FOR UPDATE',
+            [registrationId, expo.id]
+        );
+        if (existingRows.length === 0) {
+            await dbClient.query('ROLLBACK');
+            return { statusCode: 404, body: JSON.stringify({ error: "User not found." }) };
         }
 
-        dbClient = await pool.connect();
+        const { rows: deletedRows } = await dbClient.query(
+            'DELETE FROM check_ins WHERE registration_id = $1 AND event_day = $2 RETURNING checked_in_at',
+            [registrationId, eventDay]
+        );
+        if (deletedRows.length === 0) {
+            await dbClient.query('ROLLBACK');
+            return { statusCode: 409, body: JSON.stringify({ error: `This visitor is not checked in for ${eventDay}.` }) };
+        }
 
-        // 5. Database Update: Set 'checked_in_at' to NULL and flag for sync.
+        // 4. Database Update: Reset 'checked_in_at' to the first remaining arrival and flag for sync.
         const updateQuery = `
             UPDATE registrations
             SET
-                checked_in_at = NULL,
+                checked_in_at = (SELECT MIN(checked_in_at) FROM check_ins WHERE registration_id = $1),
                 needs_sync = true
             WHERE registration_id = $1
             RETURNING *;
         `;
         const { rows } = await dbClient.query(updateQuery, [registrationId]);
+        const registration = { ...rows[0], check_ins: await getCheckIns(dbClient, registrationId) };
 
-        if (rows.length === 0) {
-            return { statusCode: 404, body: JSON.stringify({ error: "User not found." }) };
-        }
+        // 5. Audit: Record who undid the check-in and what the previous time was.
+        await recordAuditEvent(dbClient, event, admin, {
+            action: AUDIT_ACTIONS.UNDO_CHECK_IN,
+            registrationId: registration.registration_id,
+            before: { day: eventDay, checked_in_at: deletedRows[0].checked_in_at },
+            after: { day: eventDay, checked_in_at: null },
+        });
+        await dbClient.query('COMMIT');
 
         // 6. Success Response
         return {
             statusCode: 200,
             body: JSON.stringify({
-                message: `Successfully unmarked ${rows[0].name} as checked-in.`,
-                data: rows[0]
+                message: `Successfully unmarked ${registration.name} as checked-in for ${eventDay}.`,
+                data: registration
             }),
         };
 
     } catch (error) {
-        console.error("Error in unmark-checked-in function:", error);
-        return { statusCode: 500, body: JSON.stringify({ error: "An internal server error occurred." }) };
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
     } finally {
         if (dbClient) {
             dbClient.release();
         }
     }
-};
+});
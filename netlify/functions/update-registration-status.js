@@ -0,0 +1,100 @@
+// /netlify/functions/update-registration-status.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { ADMIN_ROLES } = require("./lib/auth");
+const { AUDIT_ACTIONS, recordAuditEvent } = require("./lib/audit");
+const { REGISTRATION_STATUSES } = require("./lib/registrations");
+const { getCheckIns } = require("./lib/check-in");
+const { notifyPromotedVisitors } = require("./lib/capacity");
+const { MAX_CANCELLATION_REASON_LENGTH, cancelRegistration, restoreRegistration } = require("./lib/cancellation");
+
+/**
+ * Lets organizers and superadmins cancel a registration (a duplicate or spam
+ * sign-up, say) or restore a cancelled one, from the search result card:
+ * `{ "registrationId", "action": "cancel" | "restore", "reason" }`.
+ *
+ * - cancel: a reason is required. The pass stops working, the registration is
+ *   left out of stats, searches and exports, and its places go to the waitlist.
+ *   No payment is refunded.
+ * - restore: the registration is confirmed if its days have a place, and joins
+ *   the end of the waitlist otherwise.
+ *
+ * Either way the row is kept and flagged for the Google Sheets sync, and the
+ * change is recorded in the audit log.
+ */
+exports.handler = createHandler({
+    name: 'update-registration-status',
+    methods: ['POST'],
+    auth: 'admin',
+    roles: [ADMIN_ROLES.ORGANIZER, ADMIN_ROLES.SUPERADMIN],
+    event: true,
+    body: {
+        registrationId: { type: 'string', required: true, message: "Registration ID is required." },
+        action: { required: true, oneOf: ['cancel', 'restore'], message: "action must be 'cancel' or 'restore'." },
+        reason: { type: 'string', maxLength: MAX_CANCELLATION_REASON_LENGTH, message: `The reason must be at most ${MAX_CANCELLATION_REASON_LENGTH} characters.` },
+    },
+}, async (event, { admin, expo, body }) => {
+    // 1. Input Validation
+    const registrationId = body.registrationId.trim().toUpperCase();
+    const isCancel = body.action === 'cancel';
+    const reason = (body.reason || '').trim();
+    if (isCancel && !reason) {
+        return { statusCode: 400, body: JSON.stringify({ error: "A reason is required to cancel a registration." }) };
+    }
+
+    let dbClient;
+    try {
+        dbClient = await pool.connect();
+        await dbClient.query('BEGIN');
+
+        // 2. Cancel (offering the freed places to the waitlist) or restore.
+        const result = isCancel
+            ? await cancelRegistration(dbClient, expo, registrationId, { cancelledBy: admin.username, reason, allowCheckedIn: true })
+            : await restoreRegistration(dbClient, expo, registrationId);
+        const { outcome, before, registration, promoted = [] } = result;
+
+        if (outcome === 'not_found') {
+            await dbClient.query('ROLLBACK');
+            return { statusCode: 404, body: JSON.stringify({ error: "User not found." }) };
+        }
+        if (outcome === 'already_cancelled' || outcome === 'not_cancelled') {
+            await dbClient.query('ROLLBACK');
+            return { statusCode: 409, body: JSON.stringify({ error: `${before.name} is ${outcome === 'already_cancelled' ? 'already' : 'not'} cancelled.` }) };
+        }
+
+        // 3. Audit: Record who changed the status, and why.
+        await recordAuditEvent(dbClient, event, admin, {
+            action: isCancel ? AUDIT_ACTIONS.CANCEL_REGISTRATION : AUDIT_ACTIONS.RESTORE_REGISTRATION,
+            registrationId,
+            before: { registrationStatus: before.registration_status, reason: before.cancellation_reason },
+            after: { registrationStatus: registration.registration_status, reason: registration.cancellation_reason },
+            details: isCancel ? { promoted: promoted.map(row => row.registration_id) } : { fullDays: result.fullDays },
+        });
+        await dbClient.query('COMMIT');
+        await notifyPromotedVisitors(expo, promoted);
+
+        // 4. Success Response: The updated registration, in the shape search-user returns.
+        let message = `${registration.name}'s registration was cancelled.`;
+        if (!isCancel) {
+            message = registration.registration_status === REGISTRATION_STATUSES.WAITLISTED
+                ? `${registration.name}'s registration was restored to the waitlist: ${result.fullDays.join(' and ')} ${result.fullDays.length === 1 ? 'is' : 'are'} full.`
+                : `${registration.name}'s registration was restored.`;
+        }
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message,
+                data: { ...registration, check_ins: await getCheckIns(dbClient, registrationId) },
+            }),
+        };
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -0,0 +1,162 @@
+// /netlify/functions/update-registration.js
+
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { validateAttendanceDays } = require("./lib/event-days");
+const { REGISTRATION_STATUSES, VISITOR_REGISTRATION_COLUMNS, formatVisitorRegistration } = require("./lib/registrations");
+const { parseMultipartForm, validateRegistrationFields } = require("./lib/forms");
+const { prepareProfileImage, storeProfileImage, deleteProfileImage, IMAGE_STATUSES } = require("./lib/profile-images");
+const {
+    WAITLIST_POSITION_SQL, lockEventCapacity, countTakenPlaces, findFullDays, promoteWaitlisted, notifyPromotedVisitors,
+} = require("./lib/capacity");
+
+// Form fields a visitor may change, mapped to their `registrations` columns.
+// Name and phone are fixed: the phone number is what the visitor verified.
+const EDITABLE_TEXT_FIELDS = {
+    firmName: 'company',
+    address: 'address',
+    district: 'city',
+    state: 'state',
+};
+
+/**
+ * Lets a verified visitor (see verify-otp) update their firm, address, days
+ * or photo. Accepts the same multipart form as submit-registration; only the
+ * fields that are sent are changed. Every edit flags the record for the next
+ * Google Sheets sync, and a new photo goes back into the review queue.
+ *
+ * A confirmed registration cannot add a day that is full (409). Days given up
+ * free places for the waitlist, which is promoted in the same transaction; a
+ * waitlisted registration may change its days and is itself promoted once they fit.
+ * A cancelled registration cannot be changed (409).
+ */
+exports.handler = createHandler({
+    name: 'update-registration',
+    methods: ['POST'],
+    auth: 'visitor',
+    event: true,
+}, async (event, { registrationId, expo }) => {
+    let dbClient;
+    let storedImage;
+    try {
+        const { fields, files } = await parseMultipartForm(event);
+        const { profileImage } = files;
+
+        // 1. Validation: The same rules as a new registration, applied to the fields that were sent.
+        const editableFields = Object.fromEntries(Object.keys(EDITABLE_TEXT_FIELDS)
+            .filter(key => fields[key] !== undefined)
+            .map(key => [key, fields[key]]));
+        const validationErrors = validateRegistrationFields(editableFields, { partial: true });
+
+        let attendanceDays;
+        if (fields.attendance !== undefined) {
+            const { days, errors } = validateAttendanceDays(expo, fields.attendance);
+            validationErrors.push(...errors);
+            attendanceDays = days;
+        }
+
+        let image;
+        if (profileImage) {
+            const prepared = await prepareProfileImage(profileImage.content);
+            if (prepared.error) validationErrors.push(prepared.error);
+            image = prepared.image;
+        }
+
+        if (validationErrors.length > 0) {
+            return { statusCode: 400, body: JSON.stringify({ status: "validation_error", error: validationErrors.join(' '), errors: validationErrors }) };
+        }
+        if (Object.keys(editableFields).length === 0 && !attendanceDays && !profileImage) {
+            return { statusCode: 400, body: JSON.stringify({ status: "validation_error", error: "Nothing to update.", errors: ["Nothing to update."] }) };
+        }
+
+        // 2. A cancelled registration stays as it is; checked before a new photo is stored.
+        const cancelledResponse = { statusCode: 409, body: JSON.stringify({ status: "cancelled", error: "This registration was cancelled, so it cannot be changed." }) };
+        dbClient = await pool.connect();
+        const { rows: [status] } = await dbClient.query(
+            'SELECT registration_status FROM registrations WHERE registration_id = $1 AND event_id = $2',
+            [registrationId, expo.id]
+        );
+        if (status && status.registration_status === REGISTRATION_STATUSES.CANCELLED) {
+            return cancelledResponse;
+        }
+
+        // 3. Build the update from the submitted fields only.
+        const assignments = [];
+        const values = [registrationId, expo.id];
+        const assign = (column, value) => {
+            values.push(value);
+            assignments.push(`${column} = $${values.length}`);
+        };
+        for (const [key, value] of Object.entries(editableFields)) {
+            assign(EDITABLE_TEXT_FIELDS[key], value.trim());
+        }
+        if (attendanceDays) assign('attendance_days', attendanceDays);
+        if (image) {
+            storedImage = await storeProfileImage(expo, image);
+            assign('image_url', storedImage.url);
+            assign('image_status', IMAGE_STATUSES.PENDING);
+            assignments.push('image_uploaded_at = NOW()', 'image_reviewed_at = NULL', 'image_reviewed_by = NULL', 'image_rejection_reason = NULL');
+        }
+
+        await dbClient.query('BEGIN');
+
+        // 4. Re-check under the row lock (it may have been cancelled meanwhile). A confirmed
+        // registration may only add days with a place left.
+        if (attendanceDays) await lockEventCapacity(dbClient, expo);
+        const { rows: [current] } = await dbClient.query(
+            'SELECT attendance_days, registration_status FROM registrations WHERE registration_id = $1 AND event_id = $2 FOR UPDATE',
+            [registrationId, expo.id]
+        );
+        if (current && current.registration_status === REGISTRATION_STATUSES.CANCELLED) {
+            await dbClient.query('ROLLBACK');
+            if (storedImage) await deleteProfileImage(storedImage);
+            return cancelledResponse;
+        }
+        if (attendanceDays && current && current.registration_status === REGISTRATION_STATUSES.CONFIRMED) {
+            const addedDays = attendanceDays.filter(day => !current.attendance_days.includes(day));
+            const fullDays = findFullDays(expo, await countTakenPlaces(dbClient, expo), addedDays);
+            if (fullDays.length > 0) {
+                await dbClient.query('ROLLBACK');
+                if (storedImage) await deleteProfileImage(storedImage);
+                const error = `${fullDays.join(' and ')} ${fullDays.length === 1 ? 'is' : 'are'} full, so your registration cannot be changed to include ${fullDays.length === 1 ? 'it' : 'them'}.`;
+                return { statusCode: 409, body: JSON.stringify({ status: "day_full", error, fullDays }) };
+            }
+        }
+
+        const { rowCount } = await dbClient.query(`
+            UPDATE registrations
+            SET ${assignments.join(', ')}, needs_sync = true, updated_at = NOW()
+            WHERE registration_id = $1 AND event_id = $2
+        `, values);
+
+        if (rowCount === 0) {
+            await dbClient.query('ROLLBACK');
+            if (storedImage) await deleteProfileImage(storedImage);
+            return { statusCode: 404, body: JSON.stringify({ error: "No registration was found." }) };
+        }
+
+        // 5. Waitlist: days given up (or new days of a waitlisted registration) may let someone in.
+        const promoted = attendanceDays ? await promoteWaitlisted(dbClient, expo) : [];
+        const { rows: [registration] } = await dbClient.query(
+            `SELECT ${VISITOR_REGISTRATION_COLUMNS}, ${WAITLIST_POSITION_SQL} FROM registrations WHERE registration_id = $1`,
+            [registrationId]
+        );
+        await dbClient.query('COMMIT');
+        await notifyPromotedVisitors(expo, promoted.filter(row => row.registration_id !== registrationId));
+
+        // 6. Success Response: The refreshed pass and editable fields.
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ status: "success", ...formatVisitorRegistration(registration) }),
+        };
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        if (storedImage) await deleteProfileImage(storedImage);
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
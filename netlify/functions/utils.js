@@ -1,90 +1,231 @@
 // /netlify/functions/utils.js
+//
+// The request pipeline every function is built on. Everything else the functions
+// share lives in lib/, one module per concern, so each function loads only what it uses.
 
-const { Pool } = require('pg');
-const { google } = require('googleapis');
+const { ALL_ADMIN_ROLES, authenticateAdmin } = require('./lib/auth');
+const { getClientIp } = require('./lib/audit');
+const { pool } = require('./lib/db');
+const { getEvents, getEventBySlug } = require('./lib/events');
+const { authenticateVisitor } = require('./lib/otp');
+const { RATE_LIMITS, checkRateLimit, tooManyRequestsResponse } = require('./lib/rate-limit');
 
 /**
- * --- DATABASE CONNECTION POOL ---
+ * --- REQUEST PIPELINE ---
  *
- * A robust, serverless-friendly PostgreSQL connection pool.
- * This configuration is essential for reliability in a serverless environment.
+ * Every function's handler is built with `createHandler(options, handler)`,
+ * which runs the shared steps before the function's own code:
+ * 1. CORS: preflight (OPTIONS) requests are answered, and the origins listed in
+ *    CORS_ALLOWED_ORIGINS (comma-separated) may call the function from another site
+ * 2. Method check against `methods` (405 with an `Allow` header)
+ * 3. Rate limiting per client IP, for functions listed in RATE_LIMITS (see lib/rate-limit.js);
+ *    from here on, every response carries `Retry-After`
+ * 4. Authentication: `auth: 'admin'` (any role, or `roles`) or `auth: 'visitor'`
+ * 5. With `event: true`, the event the request is for (see resolveEvent)
+ * 6. For POST requests with a `body` schema: JSON parsing and validation (see validateBody)
+ *
+ * and then calls `handler(event, { admin, registrationId, expo, body })`.
+ *
+ * Every response gets the security headers, `Cache-Control: no-store` and a
+ * JSON content type unless the function sets its own. Errors are always JSON
+ * (`{ "error": "..." }`): throw an HttpError for an expected failure; anything
+ * else is logged as "Error in <name> function" and answered with a generic 500,
+ * so internal details never reach the caller.
  */
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    max: 15, // Max concurrent clients
-    // CRITICAL: Increased timeout to handle serverless cold starts without failing.
-    connectionTimeoutMillis: 15000, // 15 seconds
-    idleTimeoutMillis: 30000,       // 30 seconds
-    ssl: {
-        // This is often required by managed database providers.
-        // For production, ensure you are using a valid CA-signed certificate.
-        rejectUnauthorized: false,
-    },
+
+// An error whose message is safe to show the caller. `extra` fields are added to the response body.
+class HttpError extends Error {
+    constructor(statusCode, message, extra = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.extra = extra;
+    }
+}
+
+const SECURITY_HEADERS = Object.freeze({
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+    'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
 });
 
-// Optional: Add event listeners for logging and debugging pool activity
-pool.on('error', (err, client) => {
-    console.error('[DB_POOL] Unexpected error on idle client', err);
-    process.exit(-1); // A harsh but effective way to force a container restart on critical error.
+// Response headers the admin and registration pages read from file downloads.
+const CORS_EXPOSED_HEADERS = ['Content-Disposition', 'Retry-After', 'X-Row-Count', 'X-Badge-Count', 'X-Badges-Remaining'];
+
+const getCorsHeaders = (event, methods) => {
+    const allowedOrigins = (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    const origin = (event.headers || {}).origin || (event.headers || {}).Origin;
+    if (!origin || !allowedOrigins.includes(origin)) return {};
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': [...(methods || []), 'OPTIONS'].join(', '),
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Expose-Headers': CORS_EXPOSED_HEADERS.join(', '),
+        'Access-Control-Max-Age': '600',
+        'Vary': 'Origin',
+    };
+};
+
+const errorResponse = (statusCode, message, extra = {}) => ({
+    statusCode,
+    body: JSON.stringify({ error: message, ...extra }),
 });
 
 /**
- * --- GOOGLE SHEETS API CLIENT ---
- *
- * A singleton container for the Google Sheets API client to ensure we only
- * authenticate once per container instance, improving performance.
+ * The event a request is for: `?event=<slug>`, then DEFAULT_EVENT_SLUG, then
+ * the only active event. Throws an HttpError (404 for an unknown slug, 400
+ * when no event was named and several are active).
  */
-let sheetsClient = null;
-
-const getGoogleSheetsClient = async () => {
-    if (sheetsClient) {
-        return sheetsClient; // Return existing client
+const resolveEvent = async (db, event) => {
+    const requested = (event.queryStringParameters || {}).event || process.env.DEFAULT_EVENT_SLUG;
+    if (requested) {
+        const expo = await getEventBySlug(db, requested);
+        if (!expo) throw new HttpError(404, `Unknown event '${requested}'.`);
+        return expo;
     }
-    try {
-        if (!process.env.GOOGLE_CREDENTIALS) {
-            throw new Error("GOOGLE_CREDENTIALS environment variable is not set.");
+    const active = (await getEvents(db)).filter(expo => expo.isActive);
+    if (active.length !== 1) {
+        throw new HttpError(400, "Please choose an event with ?event=<slug>.", { events: active.map(expo => expo.slug) });
+    }
+    return active[0];
+};
+
+/**
+ * Checks a parsed JSON body against a schema of `{ field: rule }`, where a rule has:
+ * - type:      'string' | 'number' | 'boolean' | 'object' | 'array'
+ * - required:  the field must be present (and not an empty string)
+ * - oneOf:     the allowed values
+ * - pattern:   a RegExp a string must match
+ * - maxLength: the longest allowed string
+ * - message:   the error to report for this field instead of the generic one
+ * Fields not in the schema are ignored. Returns an array of error messages.
+ */
+const validateBody = (body, schema) => {
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = body[field];
+        const fail = (problem) => errors.push(rule.message || `'${field}' ${problem}.`);
+        if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+            if (rule.required) fail('is required');
+            continue;
+        }
+        const type = Array.isArray(value) ? 'array' : typeof value;
+        if (rule.type && type !== rule.type) {
+            fail(`must be of type ${rule.type}`);
+        } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+            fail(`must be one of: ${rule.oneOf.join(', ')}`);
+        } else if (rule.pattern && !rule.pattern.test(String(value).trim())) {
+            fail('is not in the expected format');
+        } else if (rule.maxLength && String(value).length > rule.maxLength) {
+            fail(`must be at most ${rule.maxLength} characters`);
         }
-        const credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS);
-        const auth = new google.auth.GoogleAuth({
-            credentials,
-            scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-        });
-        const authClient = await auth.getClient();
-        sheetsClient = google.sheets({ version: 'v4', auth: authClient });
-        console.log("[G_SHEETS] Google Sheets client authenticated successfully.");
-        return sheetsClient;
-    } catch (error) {
-        console.error("[G_SHEETS_AUTH_ERROR] Failed to authenticate:", error.message);
-        throw new Error("Could not create Google Sheets client. Please check credentials.");
     }
+    return errors;
 };
 
 /**
- * --- GENERIC RETRY UTILITY ---
- *
- * A robust retry utility with exponential backoff for making network requests
- * to external APIs more reliable.
+ * Wraps a function's handler in the request pipeline. Options:
+ * - name:    the function's name, for logs
+ * - methods: the allowed HTTP methods (omitted for scheduled functions)
+ * - auth:    'admin' | 'visitor' (omitted for public functions)
+ * - roles:   with `auth: 'admin'`, the roles allowed (default: all), or `{ METHOD: roles }`
+ *            when they differ by method
+ * - event:   true for functions that work on one event's registrations
+ * - body:    a validateBody schema for JSON request bodies
  */
-const retryWithBackoff = async (fn, operationName, retries = 3, delay = 1000) => {
-    for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-            return await fn();
-        } catch (err) {
-            if (attempt === retries) {
-                console.error(`[RETRY_FAILED] Operation '${operationName}' failed after ${retries} attempts. Last error:`, err.message);
-                throw err;
+const createHandler = (options, handler) => async (event = {}, context) => {
+    const { name, methods, auth, roles = ALL_ADMIN_ROLES, event: needsEvent, body: bodySchema } = options;
+    const corsHeaders = getCorsHeaders(event, methods);
+    let rateLimitHeaders = {};
+    const finish = (response) => {
+        const headers = { ...SECURITY_HEADERS, 'Cache-Control': 'no-store', ...corsHeaders, ...rateLimitHeaders, ...(response.headers || {}) };
+        if (!headers['Content-Type'] && response.body && !response.isBase64Encoded) headers['Content-Type'] = 'application/json';
+        return { ...response, headers };
+    };
+
+    try {
+        // 1. CORS preflight
+        if (event.httpMethod === 'OPTIONS' && methods) {
+            return finish({ statusCode: 204, headers: { 'Allow': [...methods, 'OPTIONS'].join(', ') }, body: '' });
+        }
+
+        // 2. Method Check
+        if (methods && !methods.includes(event.httpMethod)) {
+            return finish({ ...errorResponse(405, "Method Not Allowed"), headers: { 'Allow': methods.join(', ') } });
+        }
+
+        // 3. Rate Limit: if the check itself fails, the request is refused for `failClosed` routes
+        // and let through for the others.
+        const rateLimit = RATE_LIMITS[name];
+        if (rateLimit) {
+            let result;
+            try {
+                result = await checkRateLimit(name, getClientIp(event), rateLimit);
+            } catch (error) {
+                console.error(`Error during rate limiting in ${name}:`, error);
+                if (rateLimit.failClosed) {
+                    return finish(errorResponse(503, "This service is temporarily unavailable. Please try again shortly."));
+                }
+            }
+            if (result) {
+                rateLimitHeaders = { 'Retry-After': String(result.retryAfterSeconds) };
+                if (!result.allowed) {
+                    console.warn(`[RATE LIMIT] ${getClientIp(event)} was rate-limited on ${name}.`);
+                    return finish(tooManyRequestsResponse(result.retryAfterSeconds));
+                }
+            }
+        }
+
+        // 4. Authentication
+        const request = {};
+        if (auth === 'admin') {
+            const allowedRoles = Array.isArray(roles) ? roles : roles[event.httpMethod];
+            const { admin, errorResponse: authError } = await authenticateAdmin(event, allowedRoles);
+            if (authError) return finish(authError);
+            request.admin = admin;
+        } else if (auth === 'visitor') {
+            const { registrationId, errorResponse: authError } = authenticateVisitor(event);
+            if (authError) return finish(authError);
+            request.registrationId = registrationId;
+        }
+
+        // 5. Event
+        if (needsEvent) {
+            request.expo = await resolveEvent(pool, event);
+        }
+
+        // 6. Body Validation
+        if (bodySchema && event.httpMethod === 'POST') {
+            try {
+                request.body = JSON.parse(event.body || '{}');
+            } catch {
+                return finish(errorResponse(400, "The request body must be valid JSON."));
+            }
+            if (!request.body || typeof request.body !== 'object' || Array.isArray(request.body)) {
+                return finish(errorResponse(400, "The request body must be a JSON object."));
+            }
+            const errors = validateBody(request.body, bodySchema);
+            if (errors.length > 0) {
+                return finish(errorResponse(400, errors.join(' '), { errors }));
             }
-            const waitTime = delay * 2 ** (attempt - 1);
-            console.warn(
-                `[RETRYING] Operation '${operationName}' failed on attempt ${attempt}. Retrying in ${waitTime}ms... Error: ${err.message}`
-            );
-            await new Promise(res => setTimeout(res, waitTime));
         }
+
+        return finish(await handler(event, request, context));
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return finish(errorResponse(error.statusCode, error.message, error.extra));
+        }
+        console.error(`Error in ${name} function:`, error);
+        return finish(errorResponse(500, "An internal server error occurred."));
     }
 };
 
 module.exports = {
-    pool,
-    getGoogleSheetsClient,
-    retryWithBackoff
-};
\ No newline at end of file
+    HttpError,
+    validateBody,
+    resolveEvent,
+    createHandler,
+};
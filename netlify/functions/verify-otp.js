@@ -0,0 +1,87 @@
+// /netlify/functions/verify-otp.js
+
+const crypto = require("crypto");
+const { createHandler } = require("./utils");
+const { pool } = require("./lib/db");
+const { VISITOR_REGISTRATION_COLUMNS, formatVisitorRegistration } = require("./lib/registrations");
+const { PHONE_PATTERN } = require("./lib/forms");
+const { hashOtpCode, signVisitorToken, OTP_MAX_ATTEMPTS } = require("./lib/otp");
+const { WAITLIST_POSITION_SQL } = require("./lib/capacity");
+
+const CODE_REQUIRED = "Please provide your phone number and the 6-digit code.";
+
+/**
+ * Public function that checks a one-time code sent by request-otp. On success
+ * it returns a short-lived visitor token for find-pass, update-registration and
+ * cancel-registration, together with the visitor's pass (once the ticket is
+ * free or paid for).
+ * Each code allows a limited number of wrong guesses.
+ */
+exports.handler = createHandler({
+    name: 'verify-otp',
+    methods: ['POST'],
+    event: true,
+    body: {
+        phone: { type: 'string', required: true, pattern: PHONE_PATTERN, message: CODE_REQUIRED },
+        code: { type: 'string', required: true, pattern: /^\d{6}$/, message: CODE_REQUIRED },
+    },
+}, async (event, { expo, body }) => {
+    const trimmedPhone = body.phone.trim();
+    const trimmedCode = body.code.trim();
+
+    let dbClient;
+    try {
+        dbClient = await pool.connect();
+        await dbClient.query('BEGIN');
+
+        // 1. Find the newest live code, locked so concurrent guesses are counted correctly.
+        const { rows: codes } = await dbClient.query(`
+            SELECT id, code_hash, attempts FROM otp_codes
+            WHERE phone = $1 AND event_id = $2 AND consumed_at IS NULL AND expires_at > NOW()
+            ORDER BY created_at DESC LIMIT 1
+            FOR UPDATE;
+        `, [trimmedPhone, expo.id]);
+
+        const otp = codes[0];
+        if (!otp || otp.attempts >= OTP_MAX_ATTEMPTS) {
+            await dbClient.query('ROLLBACK');
+            return { statusCode: 401, body: JSON.stringify({ error: "This code has expired. Please request a new one." }) };
+        }
+
+        const expected = Buffer.from(otp.code_hash, 'hex');
+        const actual = Buffer.from(hashOtpCode(trimmedPhone, trimmedCode), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            await dbClient.query('UPDATE otp_codes SET attempts = attempts + 1 WHERE id = $1', [otp.id]);
+            await dbClient.query('COMMIT');
+            const remaining = OTP_MAX_ATTEMPTS - otp.attempts - 1;
+            return { statusCode: 401, body: JSON.stringify({ error: remaining > 0 ? `Incorrect code. ${remaining} attempt(s) left.` : "Incorrect code. Please request a new one." }) };
+        }
+
+        // 2. Consume the code and load the registration it belongs to.
+        await dbClient.query('UPDATE otp_codes SET consumed_at = NOW() WHERE id = $1', [otp.id]);
+        const { rows } = await dbClient.query(
+            `SELECT ${VISITOR_REGISTRATION_COLUMNS}, ${WAITLIST_POSITION_SQL} FROM registrations WHERE event_id = $1 AND phone = $2`,
+            [expo.id, trimmedPhone]
+        );
+        await dbClient.query('COMMIT');
+
+        if (rows.length === 0) {
+            return { statusCode: 404, body: JSON.stringify({ error: "No registration was found for this phone number." }) };
+        }
+
+        // 3. Success Response: The pass token is only included once the ticket is valid.
+        const { token, expiresAt } = signVisitorToken(rows[0].registration_id);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ token, expiresAt, ...formatVisitorRegistration(rows[0]) }),
+        };
+
+    } catch (error) {
+        if (dbClient) await dbClient.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (dbClient) {
+            dbClient.release();
+        }
+    }
+});
@@ -0,0 +1,46 @@
+// /scripts/create-admin.js
+//
+// Creates an admin account, or resets the password and role of an existing one.
+//
+// Usage:
+//   ADMIN_PASSWORD='...' node scripts/create-admin.js <username> <role> [display name]
+//
+// Roles: gate-staff, organizer, superadmin
+
+const { pool } = require("../netlify/functions/lib/db");
+const { hashPassword, ALL_ADMIN_ROLES } = require("../netlify/functions/lib/auth");
+
+const main = async () => {
+    const [username, role, ...displayNameParts] = process.argv.slice(2);
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!username || !ALL_ADMIN_ROLES.includes(role)) {
+        console.error(`Usage: ADMIN_PASSWORD='...' node scripts/create-admin.js <username> <${ALL_ADMIN_ROLES.join('|')}> [display name]`);
+        process.exit(1);
+    }
+    if (!password || password.length < 10) {
+        console.error("ADMIN_PASSWORD must be set and at least 10 characters long.");
+        process.exit(1);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const { rows } = await pool.query(`
+        INSERT INTO admin_users (username, display_name, password_hash, role)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (username) DO UPDATE
+            SET display_name = EXCLUDED.display_name,
+                password_hash = EXCLUDED.password_hash,
+                role = EXCLUDED.role,
+                is_active = true
+        RETURNING id, username, role;
+    `, [username.trim().toLowerCase(), displayNameParts.join(' ') || null, passwordHash, role]);
+
+    console.log(`Admin '${rows[0].username}' (id ${rows[0].id}) saved with role '${rows[0].role}'.`);
+};
+
+main()
+    .catch((error) => {
+        console.error("Failed to create admin:", error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
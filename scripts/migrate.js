@@ -0,0 +1,156 @@
+// /scripts/migrate.js
+//
+// Applies the versioned SQL migrations in db/migrations, in order.
+// Each file is named NNN_description.sql and runs once, in its own transaction;
+// applied versions are recorded in the `schema_migrations` table.
+//
+// Usage:
+//   node scripts/migrate.js                    Apply all pending migrations
+//   node scripts/migrate.js status             List applied and pending migrations
+//   node scripts/migrate.js baseline <version> Record migrations up to <version> as applied
+//                                              without running them (for a database whose
+//                                              schema was set up by hand before this runner)
+//
+// Uses DATABASE_URL, like the functions (set DATABASE_SSL=false for a local database).
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pool } = require("../netlify/functions/lib/db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "db", "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+// Arbitrary key so two runs (e.g. two deploys) never apply migrations at the same time.
+const MIGRATION_LOCK_KEY = 20250912;
+
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => file.endsWith(".sql"))
+        .map(file => {
+            const match = MIGRATION_FILE_PATTERN.exec(file);
+            if (!match) {
+                throw new Error(`Migration file '${file}' must be named NNN_description.sql.`);
+            }
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                file,
+                sql,
+                checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}.`);
+        }
+    });
+    return migrations;
+};
+
+const ensureMigrationsTable = (client) => client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version     INTEGER PRIMARY KEY,
+        name        TEXT NOT NULL,
+        checksum    TEXT NOT NULL,
+        applied_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+`);
+
+const getAppliedMigrations = async (client) => {
+    const { rows } = await client.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version");
+    return new Map(rows.map(row => [row.version, row]));
+};
+
+// An applied migration must never be edited: the change would silently not reach existing databases.
+const verifyChecksums = (migrations, applied) => {
+    for (const migration of migrations) {
+        const record = applied.get(migration.version);
+        if (record && record.checksum !== migration.checksum) {
+            throw new Error(`Migration ${migration.file} was modified after it was applied. Add a new migration instead.`);
+        }
+    }
+};
+
+const recordMigration = (client, migration) => client.query(
+    "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+    [migration.version, migration.name, migration.checksum]
+);
+
+const applyPending = async (client, migrations, applied) => {
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    if (pending.length === 0) {
+        console.log("Database is up to date.");
+        return;
+    }
+
+    for (const migration of pending) {
+        console.log(`Applying ${migration.file}...`);
+        try {
+            await client.query("BEGIN");
+            await client.query(migration.sql);
+            await recordMigration(client, migration);
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK").catch(() => {});
+            throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+        }
+    }
+    console.log(`Applied ${pending.length} migration(s).`);
+};
+
+const printStatus = (migrations, applied) => {
+    for (const migration of migrations) {
+        const record = applied.get(migration.version);
+        const state = record ? `applied ${new Date(record.applied_at).toISOString()}` : "pending";
+        console.log(`${migration.file.padEnd(40)} ${state}`);
+    }
+};
+
+const baseline = async (client, migrations, applied, versionArg) => {
+    const version = parseInt(versionArg, 10);
+    if (!migrations.some(migration => migration.version === version)) {
+        throw new Error(`Usage: node scripts/migrate.js baseline <version>, where <version> is an existing migration number.`);
+    }
+    const toRecord = migrations.filter(migration => migration.version <= version && !applied.has(migration.version));
+    for (const migration of toRecord) {
+        await recordMigration(client, migration);
+        console.log(`Recorded ${migration.file} as applied.`);
+    }
+    console.log(`Baselined ${toRecord.length} migration(s).`);
+};
+
+const main = async () => {
+    const [command = "up", versionArg] = process.argv.slice(2);
+    const migrations = loadMigrations();
+    const client = await pool.connect();
+
+    try {
+        await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+        await ensureMigrationsTable(client);
+        const applied = await getAppliedMigrations(client);
+        verifyChecksums(migrations, applied);
+
+        if (command === "up") {
+            await applyPending(client, migrations, applied);
+        } else if (command === "status") {
+            printStatus(migrations, applied);
+        } else if (command === "baseline") {
+            await baseline(client, migrations, applied, versionArg);
+        } else {
+            throw new Error(`Unknown command '${command}'. Use up, status or baseline <version>.`);
+        }
+    } finally {
+        await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+};
+
+main()
+    .catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,140 @@
+// /scripts/mock-razorpay.js
+//
+// A minimal local stand-in for the Razorpay API, for testing the paid
+// registration flow without real payments.
+//
+// Usage:
+//   RAZORPAY_KEY_SECRET=test_secret RAZORPAY_WEBHOOK_SECRET=whsec \
+//   WEBHOOK_URL=http://localhost:8888/.netlify/functions/razorpay-webhook \
+//   node scripts/mock-razorpay.js [port]
+//
+// Then run the functions with RAZORPAY_API_BASE_URL=http://localhost:4010.
+//
+// Endpoints:
+//   POST /v1/orders                    Create an order (used by submit-registration)
+//   GET  /v1/orders/:id                Fetch an order
+//   POST /_simulate/pay/:orderId       Pay an order. Returns the checkout handler fields
+//                                      (order id, payment id, signature) to post to
+//                                      confirm-payment, and sends payment.captured to
+//                                      WEBHOOK_URL. Add ?outcome=failed to send payment.failed instead.
+//   POST /_simulate/refund/:paymentId  Fully refund a payment and send refund.processed.
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = parseInt(process.argv[2], 10) || 4010;
+const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || "test_secret";
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || "test_webhook_secret";
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+
+const orders = new Map();
+const payments = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString("hex")}`;
+const hmac = (message, secret) => crypto.createHmac("sha256", secret).update(message).digest("hex");
+
+const sendWebhook = async (eventName, payload) => {
+    if (!WEBHOOK_URL) return { skipped: true };
+    const body = JSON.stringify({
+        entity: "event",
+        account_id: "acc_mock",
+        event: eventName,
+        contains: Object.keys(payload),
+        payload,
+        created_at: Math.floor(Date.now() / 1000),
+    });
+    const response = await fetch(WEBHOOK_URL, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "x-razorpay-signature": hmac(body, WEBHOOK_SECRET),
+            "x-razorpay-event-id": randomId("evt"),
+        },
+        body,
+    });
+    return { status: response.status, body: await response.text() };
+};
+
+const readJson = (req) => new Promise((resolve) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+        } catch (error) {
+            resolve({});
+        }
+    });
+});
+
+const send = (res, statusCode, data) => {
+    res.writeHead(statusCode, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data));
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const [, first, second, id] = url.pathname.split("/");
+    console.log(`[MOCK_RAZORPAY] ${req.method} ${url.pathname}`);
+
+    try {
+        if (req.method === "POST" && first === "v1" && second === "orders" && !id) {
+            const { amount, currency = "INR", receipt, notes = {} } = await readJson(req);
+            if (!Number.isInteger(amount) || amount < 100) {
+                return send(res, 400, { error: { code: "BAD_REQUEST_ERROR", description: "The amount must be atleast INR 1.00" } });
+            }
+            const order = {
+                id: randomId("order"), entity: "order", amount, amount_paid: 0, amount_due: amount,
+                currency, receipt, notes, status: "created", attempts: 0, created_at: Math.floor(Date.now() / 1000),
+            };
+            orders.set(order.id, order);
+            return send(res, 200, order);
+        }
+
+        if (req.method === "GET" && first === "v1" && second === "orders" && id) {
+            const order = orders.get(id);
+            return order ? send(res, 200, order) : send(res, 400, { error: { code: "BAD_REQUEST_ERROR", description: "The id provided does not exist" } });
+        }
+
+        if (req.method === "POST" && first === "_simulate" && second === "pay" && id) {
+            const order = orders.get(id);
+            if (!order) return send(res, 404, { error: "Unknown order." });
+
+            const failed = url.searchParams.get("outcome") === "failed";
+            const payment = {
+                id: randomId("pay"), entity: "payment", amount: order.amount, currency: order.currency,
+                status: failed ? "failed" : "captured", order_id: order.id, captured: !failed,
+            };
+            payments.set(payment.id, payment);
+            order.attempts += 1;
+            if (!failed) Object.assign(order, { status: "paid", amount_paid: order.amount, amount_due: 0 });
+
+            const webhook = await sendWebhook(failed ? "payment.failed" : "payment.captured", { payment: { entity: payment } });
+            return send(res, 200, {
+                checkout: failed ? null : {
+                    razorpay_order_id: order.id,
+                    razorpay_payment_id: payment.id,
+                    razorpay_signature: hmac(`${order.id}|${payment.id}`, KEY_SECRET),
+                },
+                webhook,
+            });
+        }
+
+        if (req.method === "POST" && first === "_simulate" && second === "refund" && id) {
+            const payment = payments.get(id);
+            if (!payment) return send(res, 404, { error: "Unknown payment." });
+
+            const refund = { id: randomId("rfnd"), entity: "refund", amount: payment.amount, currency: payment.currency, payment_id: payment.id, status: "processed" };
+            payment.status = "refunded";
+            const webhook = await sendWebhook("refund.processed", { refund: { entity: refund }, payment: { entity: payment } });
+            return send(res, 200, { refund, webhook });
+        }
+
+        return send(res, 404, { error: "Not found." });
+    } catch (error) {
+        console.error("[MOCK_RAZORPAY] Request failed:", error);
+        return send(res, 500, { error: error.message });
+    }
+});
+
+server.listen(PORT, () => console.log(`[MOCK_RAZORPAY] Listening on http://localhost:${PORT}`));
@@ -0,0 +1,94 @@
+// /tests/admin-auth.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createAdmin, adminEvent } = require('./helpers');
+const { hashPassword, verifyPassword, signAdminToken, ADMIN_ROLES, verifyAdminToken, authenticateAdmin } = require('../netlify/functions/lib/auth');
+
+const adminLogin = require('../netlify/functions/admin-login').handler;
+const exportData = require('../netlify/functions/export-data').handler;
+
+let db;
+before(async () => { db = await createTestDatabase(); });
+after(() => db.close());
+
+// Re-signs a token's payload after `change`, keeping the original signature.
+const tamper = (token, change) => {
+    const [header, payload, signature] = token.split('.');
+    const claims = change(JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')));
+    return `${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+};
+
+test('hashPassword salts every hash, and verifyPassword only accepts the password', async () => {
+    const hash = await hashPassword('correct horse battery');
+
+    assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.notEqual(await hashPassword('correct horse battery'), hash);
+    assert.equal(await verifyPassword('correct horse battery', hash), true);
+    assert.equal(await verifyPassword('correct horse batterY', hash), false);
+    assert.equal(await verifyPassword('correct horse battery', 'plain-text'), false);
+    assert.equal(await verifyPassword('correct horse battery', null), false);
+});
+
+test('verifyAdminToken returns the claims of a token it signed', () => {
+    const { token, expiresAt } = signAdminToken({ id: 7, username: 'gate1', role: ADMIN_ROLES.GATE_STAFF });
+    const claims = verifyAdminToken(token);
+
+    assert.equal(claims.sub, '7');
+    assert.equal(claims.username, 'gate1');
+    assert.equal(claims.role, ADMIN_ROLES.GATE_STAFF);
+    assert.equal(new Date(expiresAt).getTime(), claims.exp * 1000);
+});
+
+test('verifyAdminToken rejects altered, expired and malformed tokens', () => {
+    const { token } = signAdminToken({ id: 7, username: 'gate1', role: ADMIN_ROLES.GATE_STAFF });
+
+    assert.equal(verifyAdminToken(tamper(token, claims => ({ ...claims, role: ADMIN_ROLES.SUPERADMIN }))), null);
+    assert.equal(verifyAdminToken(`${token.slice(0, -2)}xx`), null);
+    assert.equal(verifyAdminToken(token.split('.').slice(0, 2).join('.')), null);
+    assert.equal(verifyAdminToken(''), null);
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 5 * 60 * 60 * 1000;
+    try {
+        assert.equal(verifyAdminToken(token), null);
+    } finally {
+        Date.now = realNow;
+    }
+});
+
+test('admin-login issues a session token only for the right password', async () => {
+    await createAdmin(db, { username: 'login-test', password: 'correct horse battery' });
+    const login = (password) => adminLogin({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ username: ' Login-Test ', password }) });
+
+    const rejected = await login('wrong password');
+    assert.equal(rejected.statusCode, 401);
+
+    const accepted = await login('correct horse battery');
+    assert.equal(accepted.statusCode, 200);
+    const { token, admin } = JSON.parse(accepted.body);
+    assert.equal(admin.role, ADMIN_ROLES.ORGANIZER);
+    assert.equal(verifyAdminToken(token).username, 'login-test');
+});
+
+test('authenticateAdmin checks the session against the account on every request', async () => {
+    const admin = await createAdmin(db, { username: 'auth-test' });
+    const event = adminEvent(admin);
+
+    assert.equal((await authenticateAdmin(event)).admin.username, 'auth-test');
+    assert.equal((await authenticateAdmin({ headers: {} })).errorResponse.statusCode, 401);
+
+    await db.query('UPDATE admin_users SET role = $2 WHERE id = $1', [admin.id, ADMIN_ROLES.GATE_STAFF]);
+    const demoted = await authenticateAdmin(event, [ADMIN_ROLES.ORGANIZER]);
+    assert.equal(demoted.errorResponse.statusCode, 403);
+
+    await db.query('UPDATE admin_users SET is_active = false WHERE id = $1', [admin.id]);
+    assert.equal((await authenticateAdmin(event)).errorResponse.statusCode, 401);
+});
+
+test('gate staff may not export the attendee database', async () => {
+    const gateStaff = await createAdmin(db, { username: 'gate-test', role: ADMIN_ROLES.GATE_STAFF });
+    const response = await exportData(adminEvent(gateStaff));
+
+    assert.equal(response.statusCode, 403);
+});
@@ -0,0 +1,207 @@
+// /tests/cancellation.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { createTestDatabase, createAdmin, createRegistration, adminEvent, postEvent, formEvent, hmacHex } = require('./helpers');
+const { ADMIN_ROLES } = require('../netlify/functions/lib/auth');
+const { AUDIT_ACTIONS } = require('../netlify/functions/lib/audit');
+const { getEvents } = require('../netlify/functions/lib/events');
+const { signVisitorToken } = require('../netlify/functions/lib/otp');
+const { PAYMENT_STATUSES } = require('../netlify/functions/lib/payments');
+const { REGISTRATION_STATUSES } = require('../netlify/functions/lib/registrations');
+const { PAYMENT_REVIEW_REASONS } = require('../netlify/functions/lib/capacity');
+const { parseExportOptions, countExportRows } = require('../netlify/functions/lib/exports');
+const { buildSheetRow } = require('../netlify/functions/lib/sheets');
+
+const updateRegistrationStatus = require('../netlify/functions/update-registration-status').handler;
+const cancelRegistration = require('../netlify/functions/cancel-registration').handler;
+const searchUser = require('../netlify/functions/search-user').handler;
+const getStats = require('../netlify/functions/get-stats').handler;
+const markCheckedIn = require('../netlify/functions/mark-checked-in').handler;
+const generatePass = require('../netlify/functions/generate-pass').handler;
+const updateRegistration = require('../netlify/functions/update-registration').handler;
+const submitRegistration = require('../netlify/functions/submit-registration').handler;
+const razorpayWebhook = require('../netlify/functions/razorpay-webhook').handler;
+const confirmPayment = require('../netlify/functions/confirm-payment').handler;
+
+
+let db;
+let organizer;
+let gateStaff;
+before(async () => {
+    db = await createTestDatabase();
+    organizer = await createAdmin(db);
+    gateStaff = await createAdmin(db, { username: 'gate1', role: ADMIN_ROLES.GATE_STAFF });
+});
+after(() => db.close());
+
+// Sets the default event's days (and caps), starting the test with no registrations.
+const setDays = async (days) => {
+    await db.query('DELETE FROM registrations');
+    await db.query("UPDATE events SET days = $1 WHERE slug = 'tdexpo-up-2025'", [JSON.stringify(days)]);
+    return (await getEvents(db, { refresh: true }))[0];
+};
+
+const getRegistration = async (registrationId) =>
+    (await db.query('SELECT * FROM registrations WHERE registration_id = $1', [registrationId])).rows[0];
+
+const setStatus = (admin, body) => updateRegistrationStatus(adminEvent(admin, { httpMethod: 'POST', body }));
+
+const visitorEvent = (registration, body = {}) => ({
+    ...postEvent(body),
+    headers: { 'x-nf-client-connection-ip': '203.0.113.1', authorization: `Bearer ${signVisitorToken(registration.registration_id).token}` },
+});
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+test('an organizer cancels a registration with a reason, and gate staff cannot', async () => {
+    const expo = await setDays([{ label: 'Day 1', date: '2025-09-12', capacity: 1 }]);
+    const duplicate = await createRegistration(db);
+    const waiting = await createRegistration(db, { registration_status: REGISTRATION_STATUSES.WAITLISTED, waitlisted_at: new Date() });
+
+    assert.equal((await setStatus(gateStaff, { registrationId: duplicate.registration_id, action: 'cancel', reason: 'spam' })).statusCode, 403);
+    assert.equal((await setStatus(organizer, { registrationId: duplicate.registration_id, action: 'cancel' })).statusCode, 400);
+
+    const response = await setStatus(organizer, { registrationId: duplicate.registration_id, action: 'cancel', reason: `duplicate of ${waiting.registration_id}` });
+    assert.equal(response.statusCode, 200);
+    const cancelled = await getRegistration(duplicate.registration_id);
+    assert.equal(cancelled.registration_status, REGISTRATION_STATUSES.CANCELLED);
+    assert.equal(cancelled.cancelled_by, organizer.username);
+    assert.equal(cancelled.cancellation_reason, `duplicate of ${waiting.registration_id}`);
+    assert.ok(cancelled.needs_sync);
+    assert.equal(buildSheetRow(expo, cancelled)[13], `cancelled: duplicate of ${waiting.registration_id}`);
+
+    // Its place goes to the waitlist.
+    assert.equal((await getRegistration(waiting.registration_id)).registration_status, REGISTRATION_STATUSES.CONFIRMED);
+    const { rows: [audit] } = await db.query('SELECT * FROM admin_audit_log WHERE registration_id = $1', [duplicate.registration_id]);
+    assert.equal(audit.action, AUDIT_ACTIONS.CANCEL_REGISTRATION);
+    assert.deepEqual(audit.details.promoted, [waiting.registration_id]);
+
+    assert.equal((await setStatus(organizer, { registrationId: duplicate.registration_id, action: 'cancel', reason: 'again' })).statusCode, 409);
+});
+
+test('a cancelled registration is left out of stats, searches and exports by default', async () => {
+    const expo = await setDays([{ label: 'Day 1', date: '2025-09-12' }]);
+    const kept = await createRegistration(db);
+    const cancelled = await createRegistration(db, {
+        registration_status: REGISTRATION_STATUSES.CANCELLED, cancelled_at: new Date(), cancelled_by: organizer.username, cancellation_reason: 'spam',
+    });
+
+    const stats = JSON.parse((await getStats(adminEvent(organizer, { queryStringParameters: { refresh: 'true' } }))).body);
+    assert.equal(stats.totalRegistrations, 1);
+    assert.equal(stats.totalCancelled, 1);
+    assert.equal(stats.eventDays[0].registered, 1);
+
+    const search = (queryStringParameters) => searchUser(adminEvent(organizer, { queryStringParameters }));
+    assert.deepEqual(JSON.parse((await search({ q: 'Test Visitor' })).body).results.map(r => r.registration_id), [kept.registration_id]);
+    const asked = JSON.parse((await search({ status: 'cancelled' })).body).results;
+    assert.deepEqual(asked.map(r => [r.registration_id, r.cancellation_reason]), [[cancelled.registration_id, 'spam']]);
+    // The gate's exact lookup still finds it, so staff can see why the pass is refused.
+    assert.equal(JSON.parse((await search({ phone: cancelled.phone })).body)[0].registration_status, REGISTRATION_STATUSES.CANCELLED);
+
+    const exportRows = (params) => countExportRows(db, expo, parseExportOptions(expo, params).options);
+    assert.equal(await exportRows({}), 1);
+    assert.equal(await exportRows({ includeCancelled: 'true' }), 2);
+    assert.match(parseExportOptions(expo, { includeCancelled: 'yes' }).error, /includeCancelled/);
+});
+
+test('a cancelled registration gets no pass and cannot check in', async () => {
+    await setDays([{ label: 'Day 1', date: '2025-09-12' }]);
+    const registration = await createRegistration(db, { registration_status: REGISTRATION_STATUSES.CANCELLED, cancelled_at: new Date() });
+
+    const checkIn = await markCheckedIn(adminEvent(gateStaff, { httpMethod: 'POST', body: { registrationId: registration.registration_id, day: 'Day 1' } }));
+    assert.equal(checkIn.statusCode, 409);
+    assert.match(JSON.parse(checkIn.body).error, /cancelled/);
+
+    const pass = await generatePass(adminEvent(organizer, { queryStringParameters: { registrationId: registration.registration_id } }));
+    assert.equal(pass.statusCode, 409);
+
+    // Nor can the visitor change it, or register the same phone number again.
+    const visitorToken = signVisitorToken(registration.registration_id).token;
+    const update = await updateRegistration(formEvent({ firmName: 'New Tents' }, { headers: { authorization: `Bearer ${visitorToken}` } }));
+    assert.equal(update.statusCode, 409);
+    assert.equal((await getRegistration(registration.registration_id)).company, registration.company);
+    const photo = await sharp({ create: { width: 400, height: 400, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+    const again = await submitRegistration(formEvent({
+        name: 'Test Visitor', phone: registration.phone, firmName: 'Test Tents', address: '1 Exhibition Road, Lucknow',
+        district: 'Lucknow', state: 'Uttar Pradesh', attendance: ['Day 1'],
+    }, { files: { profileImage: { filename: 'photo.jpg', contentType: 'image/jpeg', content: photo } } }));
+    assert.equal(again.statusCode, 409);
+    assert.equal(JSON.parse(again.body).status, 'cancelled');
+});
+
+test('a visitor cancels their own registration unless it was used to check in', async () => {
+    await setDays([{ label: 'Day 1', date: '2025-09-12' }]);
+    const registration = await createRegistration(db);
+    const checkedIn = await createRegistration(db, { checked_in_at: new Date() });
+
+    const refused = await cancelRegistration(visitorEvent(checkedIn));
+    assert.equal(refused.statusCode, 409);
+    assert.equal(JSON.parse(refused.body).status, 'checked_in');
+
+    const response = await cancelRegistration(visitorEvent(registration, { reason: 'cannot travel' }));
+    assert.equal(response.statusCode, 200);
+    const body = JSON.parse(response.body);
+    assert.equal(body.registrationStatus, REGISTRATION_STATUSES.CANCELLED);
+    assert.equal(body.registrationData.passToken, undefined);
+    const cancelled = await getRegistration(registration.registration_id);
+    assert.equal(cancelled.cancelled_by, 'visitor');
+    assert.equal(cancelled.cancellation_reason, 'cannot travel');
+});
+
+test('a restored registration is confirmed while its days have room, and waitlisted otherwise', async () => {
+    await setDays([{ label: 'Day 1', date: '2025-09-12', capacity: 1 }]);
+    const unpaid = await createRegistration(db, {
+        registration_status: REGISTRATION_STATUSES.CANCELLED, cancelled_at: new Date(), cancellation_reason: 'by mistake', payment_status: PAYMENT_STATUSES.FAILED,
+    });
+    const late = await createRegistration(db, { registration_status: REGISTRATION_STATUSES.CANCELLED, cancelled_at: new Date() });
+
+    // An unpaid registration gets another chance to pay, with its place held.
+    const restored = await setStatus(organizer, { registrationId: unpaid.registration_id, action: 'restore' });
+    assert.equal(restored.statusCode, 200);
+    const record = await getRegistration(unpaid.registration_id);
+    assert.equal(record.registration_status, REGISTRATION_STATUSES.CONFIRMED);
+    assert.equal(record.payment_status, PAYMENT_STATUSES.PENDING);
+    assert.ok(record.place_held_until > new Date());
+    assert.equal(record.cancellation_reason, null);
+
+    const waitlisted = await setStatus(organizer, { registrationId: late.registration_id, action: 'restore' });
+    assert.equal(waitlisted.statusCode, 200);
+    assert.match(JSON.parse(waitlisted.body).message, /waitlist: Day 1 is full/);
+    const waiting = await getRegistration(late.registration_id);
+    assert.equal(waiting.registration_status, REGISTRATION_STATUSES.WAITLISTED);
+    assert.ok(waiting.waitlisted_at);
+
+    assert.equal((await setStatus(organizer, { registrationId: late.registration_id, action: 'restore' })).statusCode, 409);
+});
+
+test('a payment for a cancelled registration is flagged for review and gets no pass', async () => {
+    await setDays([{ label: 'Day 1', date: '2025-09-12' }]);
+    const registration = await createRegistration(db, {
+        registration_status: REGISTRATION_STATUSES.CANCELLED, cancelled_at: new Date(),
+        payment_status: PAYMENT_STATUSES.PENDING, place_held_until: minutesFromNow(10), razorpay_order_id: 'order_cancelled', amount_paise: 50000,
+    });
+
+    const response = await confirmPayment(postEvent({
+        registrationId: registration.registration_id,
+        razorpay_order_id: 'order_cancelled',
+        razorpay_payment_id: 'pay_cancelled',
+        razorpay_signature: hmacHex('order_cancelled|pay_cancelled', process.env.RAZORPAY_KEY_SECRET),
+    }));
+    assert.equal(response.statusCode, 409);
+    assert.match(JSON.parse(response.body).error, /was cancelled/);
+
+    const rawBody = JSON.stringify({ event: 'payment.captured', payload: { payment: { entity: { id: 'pay_cancelled', order_id: 'order_cancelled', amount: 50000 } } } });
+    await razorpayWebhook(postEvent(rawBody, { 'x-razorpay-signature': hmacHex(rawBody, process.env.RAZORPAY_WEBHOOK_SECRET) }));
+
+    const flagged = await getRegistration(registration.registration_id);
+    assert.equal(flagged.registration_status, REGISTRATION_STATUSES.CANCELLED);
+    assert.equal(flagged.payment_status, PAYMENT_STATUSES.PENDING);
+    assert.equal(flagged.payment_review_reason, PAYMENT_REVIEW_REASONS.UNEXPECTED_PAYMENT);
+    assert.equal(flagged.review_payment_id, 'pay_cancelled');
+
+    // Organizers find it with the other payments to refund.
+    const search = await searchUser(adminEvent(organizer, { queryStringParameters: { paymentReview: 'true' } }));
+    assert.deepEqual(JSON.parse(search.body).results.map(r => r.registration_id), [registration.registration_id]);
+});
@@ -0,0 +1,313 @@
+// /tests/capacity.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createTestDatabase, createAdmin, createRegistration, adminEvent, postEvent, formEvent, hmacHex } = require('./helpers');
+const { getEvents } = require('../netlify/functions/lib/events');
+const { PAYMENT_STATUSES } = require('../netlify/functions/lib/payments');
+const { REGISTRATION_STATUSES } = require('../netlify/functions/lib/registrations');
+const { PAYMENT_REVIEW_REASONS, countTakenPlaces, lockEventCapacity, promoteWaitlisted } = require('../netlify/functions/lib/capacity');
+
+const submitRegistration = require('../netlify/functions/submit-registration').handler;
+const confirmPayment = require('../netlify/functions/confirm-payment').handler;
+const razorpayWebhook = require('../netlify/functions/razorpay-webhook').handler;
+const searchUser = require('../netlify/functions/search-user').handler;
+const importRegistrations = require('../netlify/functions/import-registrations').handler;
+const releasePaymentHolds = require('../netlify/functions/release-payment-holds').handler;
+const getEvent = require('../netlify/functions/get-event').handler;
+
+// Every test runs against its own expo, so the default event's registrations never count.
+const SLUG = 'capacity-expo';
+
+let db;
+let admin;
+let photo;
+before(async () => {
+    process.env.IMAGE_STORAGE = 'local';
+    process.env.IMAGE_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'expo-capacity-test-'));
+    db = await createTestDatabase();
+    admin = await createAdmin(db);
+    await db.query(`
+        INSERT INTO events (slug, name, id_prefix, days, sheet_name, image_folder, export_folder)
+        VALUES ($1, 'Capacity Expo', 'CAPEXPO', '[{"label": "Day 1", "date": "2025-09-12"}]', 'Capacity', 'capacity-images', 'capacity-exports')
+    `, [SLUG]);
+    photo = await sharp({ create: { width: 400, height: 400, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+});
+after(() => {
+    fs.rmSync(process.env.IMAGE_STORAGE_DIR, { recursive: true, force: true });
+    return db.close();
+});
+
+/**
+ * Starts a test with no registrations for the expo, its `days` and
+ * registration window set, and the events cache refreshed. Returns the event.
+ */
+const setUpExpo = async (days, { closesAt = null } = {}) => {
+    const { rows: [expo] } = await db.query(
+        'UPDATE events SET days = $2, registration_closes_at = $3 WHERE slug = $1 RETURNING id',
+        [SLUG, JSON.stringify(days), closesAt]
+    );
+    await db.query('DELETE FROM registrations WHERE event_id = $1', [expo.id]);
+    return (await getEvents(db, { refresh: true })).find(e => e.id === expo.id);
+};
+
+const register = (expo, values = {}) => createRegistration(db, { event_id: expo.id, ...values });
+
+const getRegistration = async (registrationId) =>
+    (await db.query('SELECT * FROM registrations WHERE registration_id = $1', [registrationId])).rows[0];
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+let phoneCount = 0;
+const nextPhone = () => `60000${String(++phoneCount).padStart(5, '0')}`;
+
+const registrationForm = (attendance, phone = nextPhone()) => ({
+    ...formEvent({
+        name: 'Capacity Visitor',
+        phone,
+        firmName: 'Capacity Tents',
+        address: '9 Ring Road, Lucknow',
+        district: 'Lucknow',
+        state: 'Uttar Pradesh',
+        attendance,
+    }, { files: { profileImage: { filename: 'photo.jpg', contentType: 'image/jpeg', content: photo } } }),
+    queryStringParameters: { event: SLUG },
+});
+
+const checkoutEvent = (registration, paymentId) => ({
+    ...postEvent({
+        registrationId: registration.registration_id,
+        razorpay_order_id: registration.razorpay_order_id,
+        razorpay_payment_id: paymentId,
+        razorpay_signature: hmacHex(`${registration.razorpay_order_id}|${paymentId}`, process.env.RAZORPAY_KEY_SECRET),
+    }),
+    queryStringParameters: { event: SLUG },
+});
+
+const webhookEvent = (name, payload) => {
+    const rawBody = JSON.stringify({ entity: 'event', account_id: 'acc_test', event: name, payload, created_at: 1757660000 });
+    return postEvent(rawBody, { 'x-razorpay-signature': hmacHex(rawBody, process.env.RAZORPAY_WEBHOOK_SECRET) });
+};
+
+const captured = (registration, paymentId) =>
+    webhookEvent('payment.captured', { payment: { entity: { id: paymentId, order_id: registration.razorpay_order_id, amount: 50000 } } });
+
+const refunded = (paymentId, refundId) =>
+    webhookEvent('refund.processed', { refund: { entity: { id: refundId, payment_id: paymentId, amount: 50000 } } });
+
+test('submit-registration waitlists a registration choosing a full day', async () => {
+    await setUpExpo([{ label: 'Day 1', date: '2025-09-12', capacity: 1 }, { label: 'Day 2', date: '2025-09-13' }]);
+
+    const first = await submitRegistration(registrationForm(['Day 1']));
+    assert.equal(first.statusCode, 200);
+
+    const waitlistedPhone = nextPhone();
+    const waitlisted = await submitRegistration(registrationForm(['Day 1', 'Day 2'], waitlistedPhone));
+    assert.equal(waitlisted.statusCode, 202);
+    const body = JSON.parse(waitlisted.body);
+    assert.equal(body.status, 'waitlisted');
+    assert.equal(body.waitlistPosition, 1);
+    assert.match(body.message, /Day 1 is full/);
+    const record = await getRegistration(body.registrationData.registrationId);
+    assert.equal(record.registration_status, REGISTRATION_STATUSES.WAITLISTED);
+    assert.ok(record.waitlisted_at);
+
+    // An uncapped day always has room, and a waitlisted visitor is told their place again.
+    assert.equal((await submitRegistration(registrationForm(['Day 2']))).statusCode, 200);
+    const again = await submitRegistration(registrationForm(['Day 1'], waitlistedPhone));
+    assert.equal(again.statusCode, 409);
+    assert.equal(JSON.parse(again.body).waitlistPosition, 1);
+});
+
+test('countTakenPlaces counts confirmed registrations that are free, paid for or still held', async () => {
+    const expo = await setUpExpo([{ label: 'Day 1', date: '2025-09-12', capacity: 10 }, { label: 'Day 2', date: '2025-09-13', capacity: 10 }]);
+    await register(expo, { attendance_days: ['Day 1', 'Day 2'] });
+    await register(expo, { payment_status: PAYMENT_STATUSES.PAID });
+    await register(expo, { payment_status: PAYMENT_STATUSES.PENDING, place_held_until: minutesFromNow(10) });
+    // None of these take a place.
+    await register(expo, { payment_status: PAYMENT_STATUSES.PENDING, place_held_until: minutesFromNow(-1) });
+    await register(expo, { payment_status: PAYMENT_STATUSES.FAILED });
+    await register(expo, { payment_status: PAYMENT_STATUSES.REFUNDED });
+    await register(expo, { registration_status: REGISTRATION_STATUSES.WAITLISTED, waitlisted_at: new Date() });
+
+    const taken = await countTakenPlaces(db, expo);
+    assert.equal(taken.get('Day 1'), 3);
+    assert.equal(taken.get('Day 2'), 1);
+});
+
+test('promoteWaitlisted promotes in waitlist order, skipping registrations that do not fit', async () => {
+    const expo = await setUpExpo([
+        { label: 'Day 1', date: '2025-09-12', capacity: 1 },
+        { label: 'Day 2', date: '2025-09-13', capacity: 1 },
+        { label: 'Day 3', date: '2025-09-14', capacity: 2 },
+    ]);
+    const waitlist = (minutesAgo, values) => register(expo, {
+        registration_status: REGISTRATION_STATUSES.WAITLISTED, waitlisted_at: minutesFromNow(-minutesAgo), ...values,
+    });
+    await register(expo, { attendance_days: ['Day 1'] });
+    const wantsFullDay = await waitlist(50, { attendance_days: ['Day 1'] });
+    const refundedFirst = await waitlist(40, { attendance_days: ['Day 2'], payment_status: PAYMENT_STATUSES.REFUNDED });
+    const next = await waitlist(30, { attendance_days: ['Day 2'] });
+    const tooLate = await waitlist(20, { attendance_days: ['Day 2'] });
+    const failed = await waitlist(10, { attendance_days: ['Day 3'], payment_status: PAYMENT_STATUSES.FAILED });
+    const paidEarly = await waitlist(5, {
+        attendance_days: ['Day 3'], payment_status: PAYMENT_STATUSES.PAID, payment_id: 'pay_early',
+        payment_review_reason: PAYMENT_REVIEW_REASONS.PAID_WHILE_WAITLISTED, review_payment_id: 'pay_early',
+    });
+
+    await db.query('BEGIN');
+    await lockEventCapacity(db, expo);
+    const promoted = await promoteWaitlisted(db, expo);
+    await db.query('COMMIT');
+
+    assert.deepEqual(promoted.map(r => r.registration_id).sort(), [next, failed, paidEarly].map(r => r.registration_id).sort());
+    for (const skipped of [wantsFullDay, refundedFirst, tooLate]) {
+        assert.equal((await getRegistration(skipped.registration_id)).registration_status, REGISTRATION_STATUSES.WAITLISTED);
+    }
+    // A failed payment gets another chance, with its places held; a payment taken on the waitlist is settled.
+    const retry = await getRegistration(failed.registration_id);
+    assert.equal(retry.payment_status, PAYMENT_STATUSES.PENDING);
+    assert.ok(retry.place_held_until > new Date());
+    const settled = await getRegistration(paidEarly.registration_id);
+    assert.equal(settled.registration_status, REGISTRATION_STATUSES.CONFIRMED);
+    assert.equal(settled.payment_review_reason, null);
+    assert.equal(settled.review_payment_id, null);
+    assert.ok(settled.promoted_at);
+});
+
+test('a payment after the hold lapsed and the day filled up waits on the waitlist for review', async () => {
+    const expo = await setUpExpo([{ label: 'Day 1', date: '2025-09-12', capacity: 1 }]);
+    const late = await register(expo, {
+        payment_status: PAYMENT_STATUSES.PENDING, place_held_until: minutesFromNow(-5), razorpay_order_id: 'order_late', amount_paise: 50000,
+    });
+    await register(expo);
+
+    assert.equal((await razorpayWebhook(captured(late, 'pay_late'))).statusCode, 200);
+    const paid = await getRegistration(late.registration_id);
+    assert.equal(paid.payment_status, PAYMENT_STATUSES.PAID);
+    assert.equal(paid.registration_status, REGISTRATION_STATUSES.WAITLISTED);
+    assert.equal(paid.payment_review_reason, PAYMENT_REVIEW_REASONS.PAID_WHILE_WAITLISTED);
+    assert.equal(paid.review_payment_id, 'pay_late');
+
+    const search = await searchUser(adminEvent(admin, { queryStringParameters: { event: SLUG, paymentReview: 'true' } }));
+    assert.equal(search.statusCode, 200);
+    assert.deepEqual(JSON.parse(search.body).results.map(r => r.registration_id), [late.registration_id]);
+    const invalid = await searchUser(adminEvent(admin, { queryStringParameters: { event: SLUG, paymentReview: 'maybe' } }));
+    assert.equal(invalid.statusCode, 400);
+
+    // Refunding the payment settles it.
+    await razorpayWebhook(refunded('pay_late', 'rfnd_late'));
+    const settled = await getRegistration(late.registration_id);
+    assert.equal(settled.payment_status, PAYMENT_STATUSES.REFUNDED);
+    assert.equal(settled.payment_review_reason, null);
+});
+
+test('a second payment for a paid order is flagged until it is refunded', async () => {
+    const expo = await setUpExpo([{ label: 'Day 1', date: '2025-09-12' }]);
+    const registration = await register(expo, {
+        payment_status: PAYMENT_STATUSES.PENDING, place_held_until: minutesFromNow(10), razorpay_order_id: 'order_twice', amount_paise: 50000,
+    });
+
+    await razorpayWebhook(captured(registration, 'pay_first'));
+    await razorpayWebhook(captured(registration, 'pay_second'));
+    const flagged = await getRegistration(registration.registration_id);
+    assert.equal(flagged.payment_id, 'pay_first');
+    assert.equal(flagged.payment_review_reason, PAYMENT_REVIEW_REASONS.DUPLICATE_PAYMENT);
+    assert.equal(flagged.review_payment_id, 'pay_second');
+
+    await razorpayWebhook(refunded('pay_second', 'rfnd_second'));
+    const settled = await getRegistration(registration.registration_id);
+    assert.equal(settled.payment_status, PAYMENT_STATUSES.PAID);
+    assert.equal(settled.refunded_amount_paise, 0);
+    assert.equal(settled.payment_review_reason, null);
+});
+
+test('confirm-payment gives no pass to a registration paid on the waitlist', async () => {
+    const expo = await setUpExpo([{ label: 'Day 1', date: '2025-09-12', capacity: 1 }]);
+    await register(expo);
+    const registration = await register(expo, {
+        registration_status: REGISTRATION_STATUSES.WAITLISTED, waitlisted_at: new Date(),
+        payment_status: PAYMENT_STATUSES.PENDING, razorpay_order_id: 'order_waitlisted', amount_paise: 50000,
+    });
+
+    const response = await confirmPayment(checkoutEvent(registration, 'pay_waitlisted'));
+    assert.equal(response.statusCode, 409);
+    const body = JSON.parse(response.body);
+    assert.equal(body.status, 'waitlisted');
+    assert.equal(body.waitlistPosition, 1);
+    assert.equal(body.registrationData.passToken, undefined);
+    assert.equal((await getRegistration(registration.registration_id)).review_payment_id, 'pay_waitlisted');
+});
+
+test('submit-registration resumes an unpaid registration only while registration is open', async (t) => {
+    process.env.TICKET_PRICE_PAISE = '50000';
+    t.after(() => { delete process.env.TICKET_PRICE_PAISE; });
+    const expo = await setUpExpo([{ label: 'Day 1', date: '2025-09-12', capacity: 1 }]);
+    const phone = nextPhone();
+    const lapsed = await register(expo, { phone, payment_status: PAYMENT_STATUSES.PENDING, place_held_until: minutesFromNow(-5) });
+    await register(expo);
+
+    // Its places went to someone else, so it joins the waitlist instead of paying.
+    const resumed = await submitRegistration(registrationForm(['Day 1'], phone));
+    assert.equal(resumed.statusCode, 202);
+    assert.equal(JSON.parse(resumed.body).status, 'waitlisted');
+    const record = await getRegistration(lapsed.registration_id);
+    assert.equal(record.registration_status, REGISTRATION_STATUSES.WAITLISTED);
+    assert.equal(record.place_held_until, null);
+
+    const closedExpo = await setUpExpo([{ label: 'Day 1', date: '2025-09-12' }], { closesAt: minutesFromNow(-1) });
+    const unpaidPhone = nextPhone();
+    await register(closedExpo, { phone: unpaidPhone, payment_status: PAYMENT_STATUSES.FAILED });
+    const closed = await submitRegistration(registrationForm(['Day 1'], unpaidPhone));
+    assert.equal(closed.statusCode, 403);
+    assert.equal(JSON.parse(closed.body).status, 'closed');
+});
+
+test('an import dry run reports the rows that would overfill a day', async () => {
+    const expo = await setUpExpo([{ label: 'Day 1', date: '2025-09-12', capacity: 2 }, { label: 'Day 2', date: '2025-09-13' }]);
+    await register(expo);
+    const headers = ['Name', 'Phone', 'Firm Name', 'Address', 'District', 'State', 'Attending Days'];
+    const rows = ['Day 1', 'Day 2', 'Day 1'].map(days => ['Imported Visitor', nextPhone(), 'Paper Tents', '22 Station Road, Kanpur', 'Kanpur', 'Uttar Pradesh', days]);
+    const csv = [headers, ...rows].map(cells => cells.map(cell => `"${cell}"`).join(',')).join('\r\n');
+
+    const response = await importRegistrations({
+        ...formEvent({}, {
+            files: { file: { filename: 'visitors.csv', contentType: 'text/csv', content: csv } },
+            headers: { authorization: adminEvent(admin).headers.authorization },
+        }),
+        queryStringParameters: { event: SLUG },
+    });
+    assert.equal(response.statusCode, 200);
+    const report = JSON.parse(response.body);
+    assert.equal(report.validRows, 2);
+    assert.deepEqual(report.errors, [{ row: 4, errors: ['Day 1 is full.'] }]);
+});
+
+test('release-payment-holds gives lapsed holds to the waitlist', async () => {
+    const expo = await setUpExpo([{ label: 'Day 1', date: '2025-09-12', capacity: 1 }]);
+    const lapsed = await register(expo, { payment_status: PAYMENT_STATUSES.PENDING, place_held_until: minutesFromNow(-1) });
+    const waiting = await register(expo, { registration_status: REGISTRATION_STATUSES.WAITLISTED, waitlisted_at: new Date() });
+
+    const response = await releasePaymentHolds({});
+    assert.equal(response.statusCode, 200);
+    assert.equal(JSON.parse(response.body).promoted, 1);
+    const promoted = await getRegistration(waiting.registration_id);
+    assert.equal(promoted.registration_status, REGISTRATION_STATUSES.CONFIRMED);
+    assert.ok(promoted.promoted_at);
+    assert.equal((await getRegistration(lapsed.registration_id)).registration_status, REGISTRATION_STATUSES.CONFIRMED);
+});
+
+test('get-event reports whether registration is open and the places left', async () => {
+    const expo = await setUpExpo([{ label: 'Day 1', date: '2025-09-12', capacity: 3 }, { label: 'Day 2', date: '2025-09-13' }]);
+    await register(expo, { attendance_days: ['Day 1', 'Day 2'] });
+
+    const response = await getEvent({ httpMethod: 'GET', headers: {}, queryStringParameters: { event: SLUG } });
+    assert.equal(response.statusCode, 200);
+    const { registration } = JSON.parse(response.body);
+    assert.equal(registration.state, 'open');
+    assert.deepEqual(registration.days.map(d => [d.label, d.capacity, d.remaining]), [['Day 1', 3, 2], ['Day 2', null, null]]);
+});
@@ -0,0 +1,118 @@
+// /tests/exports.test.js
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestDatabase, createAdmin, createRegistration, adminEvent } = require('./helpers');
+
+const exportData = require('../netlify/functions/export-data').handler;
+const exportDataBackground = require('../netlify/functions/export-data-background').handler;
+const getExportJob = require('../netlify/functions/get-export-job').handler;
+const downloadExport = require('../netlify/functions/download-export').handler;
+const cleanupExports = require('../netlify/functions/cleanup-exports').handler;
+
+let db;
+let admin;
+before(async () => {
+    process.env.EXPORT_STORAGE = 'local';
+    process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'expo-exports-test-'));
+    db = await createTestDatabase();
+    admin = await createAdmin(db);
+    // export-data starts the background function over HTTP. Here it runs in-process, and
+    // is awaited before the 202 so each test sees the finished job.
+    process.env.URL = 'http://localhost:8888';
+    mock.method(globalThis, 'fetch', async (url, { headers, body }) => {
+        assert.equal(url, 'http://localhost:8888/.netlify/functions/export-data-background');
+        await exportDataBackground({ httpMethod: 'POST', headers: { authorization: headers.Authorization }, body });
+        return { status: 202 };
+    });
+});
+after(() => {
+    mock.restoreAll();
+    fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+    return db.close();
+});
+
+const exportEvent = (params) => adminEvent(admin, { queryStringParameters: params });
+
+// Runs a link export and returns its job, as get-export-job reports it.
+const exportToLink = async (params) => {
+    const response = await exportData(exportEvent(params));
+    assert.equal(response.statusCode, 202);
+    const job = await getExportJob(adminEvent(admin, { queryStringParameters: { id: JSON.parse(response.body).jobId } }));
+    return JSON.parse(job.body);
+};
+const linkToken = (job) => new URL(job.downloadUrl, 'http://localhost').searchParams.get('token');
+const download = (token) => downloadExport({ httpMethod: 'GET', headers: {}, queryStringParameters: { token } });
+const storedFiles = () => fs.readdirSync(process.env.EXPORT_STORAGE_DIR, { recursive: true })
+    .filter(name => name.endsWith('.csv'));
+
+test('a link export stores the file privately and download-export serves it through the signed link', async () => {
+    const registration = await createRegistration(db, { state: 'Goa' });
+
+    const job = await exportToLink({ format: 'csv', state: 'goa', columns: 'registration_id,name' });
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.rowsProcessed, 1);
+
+    const file = await download(linkToken(job));
+    assert.equal(file.statusCode, 200);
+    assert.equal(file.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.equal(Buffer.from(file.body, 'base64').toString('utf8'),
+        `\uFEFFRegistration ID,Name\r\n${registration.registration_id},${registration.name}\r\n`);
+
+    const { rows: [audit] } = await db.query("SELECT details FROM admin_audit_log WHERE action = 'export'");
+    assert.equal(audit.details.delivery, 'link');
+    assert.equal(audit.details.rowCount, 1);
+    assert.ok(audit.details.storageKey.endsWith('.csv'));
+});
+
+test('download-export refuses an altered link', async () => {
+    const token = linkToken(await exportToLink({ format: 'csv' }));
+    const [header, payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const altered = Buffer.from(JSON.stringify({ ...claims, sub: claims.sub.replace(/^./, first => (first === '0' ? '1' : '0')) })).toString('base64url');
+
+    assert.equal((await download(`${header}.${altered}.${signature}`)).statusCode, 403);
+    assert.equal((await download(undefined)).statusCode, 403);
+});
+
+test('cleanup-exports deletes files older than the retention period', async () => {
+    const job = await exportToLink({ format: 'csv' });
+    const oldDate = new Date(Date.now() - 25 * 60 * 60 * 1000);
+    // Files are kept under "<export folder>/<UUID>/", and the UUID directories are removed.
+    for (const folder of fs.readdirSync(process.env.EXPORT_STORAGE_DIR)) {
+        for (const entry of fs.readdirSync(path.join(process.env.EXPORT_STORAGE_DIR, folder))) {
+            fs.utimesSync(path.join(process.env.EXPORT_STORAGE_DIR, folder, entry), oldDate, oldDate);
+        }
+    }
+
+    const cleanup = await cleanupExports();
+    assert.equal(cleanup.statusCode, 200);
+    assert.ok(JSON.parse(cleanup.body).removed > 0);
+    assert.deepEqual(storedFiles(), []);
+    assert.equal((await download(linkToken(job))).statusCode, 404);
+});
+
+test('export-data returns a small export directly, and refuses one over the direct download limit', async () => {
+    const small = await exportData(exportEvent({ delivery: 'download', format: 'json', state: 'Goa' }));
+    assert.equal(small.statusCode, 200);
+    assert.equal(small.isBase64Encoded, true);
+    assert.equal(JSON.parse(Buffer.from(small.body, 'base64').toString('utf8')).length, 1);
+
+    // About 10 MB of addresses that compress only to half, so the XLSX passes the limit too.
+    await db.query(`
+        INSERT INTO registrations (registration_id, name, phone, address, attendance_days, event_id)
+        SELECT 'TDEXPOUP-BULK' || g, 'Bulk Visitor', '91' || LPAD(g::text, 8, '0'),
+               (SELECT string_agg(md5(g || '-' || i), '') FROM generate_series(1, 80) i), ARRAY['Day 1'],
+               (SELECT id FROM events WHERE slug = 'tdexpo-up-2025')
+        FROM generate_series(1, 4000) g
+    `);
+    for (const format of ['csv', 'xlsx']) {
+        const response = await exportData(exportEvent({ delivery: 'download', format }));
+        assert.equal(response.statusCode, 413, format);
+    }
+    const { rows } = await db.query("SELECT 1 FROM admin_audit_log WHERE action = 'export' AND details->>'delivery' = 'download'");
+    assert.equal(rows.length, 1);
+});
@@ -0,0 +1,136 @@
+// /tests/helpers.js
+
+/**
+ * Shared setup for the tests, run with `npm test` (node --test). Functions run
+ * against a real Postgres: an in-process PGlite database built from
+ * db/migrations, which stands in for `pool`. Nothing reaches the network.
+ */
+process.env.ADMIN_TOKEN_SECRET = 'a'.repeat(40);
+process.env.PASS_SIGNING_SECRET = 'p'.repeat(40);
+process.env.RAZORPAY_KEY_SECRET = 'razorpay-key-secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'razorpay-webhook-secret';
+process.env.VISITOR_TOKEN_SECRET = 'v'.repeat(40);
+process.env.SMS_PROVIDER = 'console';
+process.env.EXPORT_URL_SECRET = 'e'.repeat(40);
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { PGlite } = require('@electric-sql/pglite');
+const { pg_trgm } = require('@electric-sql/pglite/contrib/pg_trgm');
+const { pool } = require('../netlify/functions/lib/db');
+const { ADMIN_ROLES, hashPassword, signAdminToken } = require('../netlify/functions/lib/auth');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+/**
+ * Creates an empty database with the repo's schema and points `pool` at it.
+ * Every query runs on the one PGlite connection, so use it from one test at a time.
+ */
+const createTestDatabase = async () => {
+    const db = new PGlite({ extensions: { pg_trgm } });
+    // Applied in version order, as scripts/migrate.js does.
+    for (const file of fs.readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith('.sql')).sort()) {
+        await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+    }
+    // pg runs a QueryStream (pg-query-stream) through a server-side cursor. PGlite has
+    // no cursors, so the stream's SQL is run in one go and its rows streamed back.
+    const query = (sql, params) => (sql && sql.cursor)
+        ? Readable.from((async function* () { yield* (await db.query(sql.cursor.text, sql.cursor.values || [])).rows; })())
+        : db.query(sql, params);
+    pool.query = query;
+    pool.connect = async () => ({ query, release() {} });
+    return db;
+};
+
+// Adds an admin account with `password` and returns its row.
+const createAdmin = async (db, { username = 'organizer', role = ADMIN_ROLES.ORGANIZER, password = 'correct horse battery' } = {}) => {
+    const { rows: [admin] } = await db.query(
+        'INSERT INTO admin_users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING *',
+        [username, await hashPassword(password), role]
+    );
+    return admin;
+};
+
+let registrationCount = 0;
+
+// The event created by db/migrations/016_events.sql, which owns registrations by default.
+const DEFAULT_EVENT_SLUG = 'tdexpo-up-2025';
+
+// Adds a registration and returns its row. `values` sets or overrides columns.
+const createRegistration = async (db, values = {}) => {
+    registrationCount += 1;
+    const row = {
+        event_id: (await db.query('SELECT id FROM events WHERE slug = $1', [DEFAULT_EVENT_SLUG])).rows[0].id,
+        registration_id: `TDEXPOUP-${String(registrationCount).padStart(8, '0')}`,
+        name: 'Test Visitor',
+        company: 'Test Tents',
+        phone: `98765${String(registrationCount).padStart(5, '0')}`,
+        address: '1 Exhibition Road, Lucknow',
+        city: 'Lucknow',
+        state: 'Uttar Pradesh',
+        attendance_days: ['Day 1'],
+        ...values,
+    };
+    const columns = Object.keys(row);
+    const { rows: [registration] } = await db.query(
+        `INSERT INTO registrations (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        Object.values(row)
+    );
+    return registration;
+};
+
+// A Netlify function event carrying an admin session token.
+const adminEvent = (admin, { httpMethod = 'GET', body, queryStringParameters = {} } = {}) => ({
+    httpMethod,
+    headers: { authorization: `Bearer ${signAdminToken(admin).token}` },
+    queryStringParameters,
+    body: body === undefined ? undefined : JSON.stringify(body),
+});
+
+// A Netlify function event for a public POST of `body`. A string body is sent as is.
+const postEvent = (body, headers = {}) => ({
+    httpMethod: 'POST',
+    headers: { 'x-nf-client-connection-ip': '203.0.113.1', ...headers },
+    queryStringParameters: {},
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+});
+
+/**
+ * A Netlify function event for a multipart form POST, as the browser sends forms
+ * with files. `files` maps field names to `{ filename, contentType, content }`.
+ */
+const formEvent = (fields, { files = {}, headers = {} } = {}) => {
+    const boundary = 'test-form-boundary';
+    const parts = [
+        ...Object.entries(fields).flatMap(([name, value]) => [value].flat().map(item => Buffer.from(
+            `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${item}\r\n`
+        ))),
+        ...Object.entries(files).flatMap(([name, { filename, contentType, content }]) => [
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${filename}"\r\nContent-Type: ${contentType}\r\n\r\n`),
+            Buffer.from(content),
+            Buffer.from('\r\n'),
+        ]),
+        Buffer.from(`--${boundary}--\r\n`),
+    ];
+    return {
+        httpMethod: 'POST',
+        headers: { 'content-type': `multipart/form-data; boundary=${boundary}`, 'x-nf-client-connection-ip': '203.0.113.1', ...headers },
+        queryStringParameters: {},
+        body: Buffer.concat(parts).toString('base64'),
+        isBase64Encoded: true,
+    };
+};
+
+const hmacHex = (message, secret) => crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+module.exports = {
+    createTestDatabase,
+    createAdmin,
+    createRegistration,
+    adminEvent,
+    postEvent,
+    formEvent,
+    hmacHex,
+};
@@ -0,0 +1,95 @@
+// /tests/import-registrations.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { createTestDatabase, createAdmin, createRegistration, adminEvent, formEvent } = require('./helpers');
+const { AUDIT_ACTIONS } = require('../netlify/functions/lib/audit');
+const { PAYMENT_STATUSES } = require('../netlify/functions/lib/payments');
+
+const importRegistrations = require('../netlify/functions/import-registrations').handler;
+
+const CSV_TYPE = 'text/csv';
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const HEADERS = ['Name', 'Phone', 'Firm Name', 'Address', 'District', 'State', 'Attending Days'];
+
+let db;
+let admin;
+before(async () => {
+    db = await createTestDatabase();
+    admin = await createAdmin(db);
+});
+after(() => db.close());
+
+let phoneCount = 0;
+const nextPhone = () => `70000${String(++phoneCount).padStart(5, '0')}`;
+const row = (values = {}) => ({
+    Name: 'Imported Visitor', Phone: nextPhone(), 'Firm Name': 'Paper Tents', Address: '22 Station Road, Kanpur',
+    District: 'Kanpur', State: 'Uttar Pradesh', 'Attending Days': 'Day 1, Day 2', ...values,
+});
+const toCsv = (rows) => [HEADERS, ...rows.map(values => HEADERS.map(header => values[header]))]
+    .map(cells => cells.map(cell => `"${cell}"`).join(',')).join('\r\n');
+
+const runImport = (content, { fields = {}, filename = 'visitors.csv', contentType = CSV_TYPE } = {}) => importRegistrations(formEvent(fields, {
+    files: { file: { filename, contentType, content } },
+    headers: { authorization: adminEvent(admin).headers.authorization },
+}));
+
+const countByPhone = async (phones) =>
+    (await db.query('SELECT COUNT(*)::int AS count FROM registrations WHERE phone = ANY($1::text[])', [phones])).rows[0].count;
+
+test('a dry run reports every invalid row and imports nothing', async () => {
+    const registered = await createRegistration(db);
+    const good = row();
+    const rows = [good, row({ Phone: '12345' }), row({ Phone: good.Phone }), row({ Phone: registered.phone }), row({ 'Attending Days': 'Day 9' })];
+
+    const response = await runImport(toCsv(rows));
+    assert.equal(response.statusCode, 200);
+    const report = JSON.parse(response.body);
+    assert.equal(report.dryRun, true);
+    assert.equal(report.totalRows, 5);
+    assert.equal(report.validRows, 1);
+    assert.deepEqual(report.errors.map(error => error.row), [3, 4, 5, 6]);
+    assert.match(report.errors[1].errors[0], /also on row 2/);
+    assert.match(report.errors[2].errors[0], new RegExp(`already registered \\(${registered.registration_id}\\)`));
+    assert.deepEqual(report.imported, []);
+    assert.equal(await countByPhone(rows.map(values => values.Phone).filter(phone => phone !== registered.phone)), 0);
+});
+
+test('an import with invalid rows imports nothing unless skipInvalid is set', async () => {
+    const rows = [row(), row({ Name: 'X' })];
+
+    const refused = await runImport(toCsv(rows), { fields: { dryRun: 'false' } });
+    assert.equal(refused.statusCode, 422);
+    assert.equal(await countByPhone([rows[0].Phone]), 0);
+
+    const imported = await runImport(toCsv(rows), { fields: { dryRun: 'false', skipInvalid: 'true', source: 'paper forms' } });
+    assert.equal(imported.statusCode, 200);
+    assert.equal(JSON.parse(imported.body).imported.length, 1);
+    const { rows: [record] } = await db.query('SELECT * FROM registrations WHERE phone = $1', [rows[0].Phone]);
+    assert.equal(record.source, 'paper forms');
+    assert.equal(record.payment_status, PAYMENT_STATUSES.FREE);
+    assert.deepEqual(record.attendance_days, ['Day 1', 'Day 2']);
+    const { rows: [audit] } = await db.query("SELECT details FROM admin_audit_log WHERE action = $1", [AUDIT_ACTIONS.BULK_IMPORT]);
+    assert.equal(audit.details.imported, 1);
+    assert.equal(audit.details.skipped, 1);
+});
+
+test('an XLSX file is imported like a CSV file', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Visitors');
+    const values = row();
+    worksheet.addRow(HEADERS);
+    worksheet.addRow(HEADERS.map(header => values[header]));
+
+    const response = await runImport(await workbook.xlsx.writeBuffer(), { fields: { dryRun: 'false' }, filename: 'visitors.xlsx', contentType: XLSX_TYPE });
+    assert.equal(response.statusCode, 200);
+    assert.equal(await countByPhone([values.Phone]), 1);
+});
+
+test('files that are not CSV or XLSX are refused', async () => {
+    for (const contentType of ['text/plain', 'application/octet-stream']) {
+        const response = await runImport(toCsv([row()]), { filename: 'visitors.txt', contentType });
+        assert.equal(response.statusCode, 400, contentType);
+    }
+});
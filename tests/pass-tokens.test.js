@@ -0,0 +1,74 @@
+// /tests/pass-tokens.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createAdmin, createRegistration, adminEvent } = require('./helpers');
+const { ADMIN_ROLES } = require('../netlify/functions/lib/auth');
+const { AUDIT_ACTIONS } = require('../netlify/functions/lib/audit');
+const { verifyPassToken, signPassToken } = require('../netlify/functions/lib/pass-tokens');
+const { PAYMENT_STATUSES } = require('../netlify/functions/lib/payments');
+
+const scanCheckIn = require('../netlify/functions/scan-check-in').handler;
+
+let db;
+let gateStaff;
+before(async () => {
+    db = await createTestDatabase();
+    gateStaff = await createAdmin(db, { username: 'gate1', role: ADMIN_ROLES.GATE_STAFF });
+});
+after(() => db.close());
+
+const scan = (token) => scanCheckIn(adminEvent(gateStaff, { httpMethod: 'POST', body: { token, day: 'Day 1' } }));
+
+const getCheckedInAt = async (registrationId) =>
+    (await db.query('SELECT checked_in_at FROM registrations WHERE registration_id = $1', [registrationId])).rows[0].checked_in_at;
+
+test('verifyPassToken returns the registration ID of a token it signed', () => {
+    assert.equal(verifyPassToken(signPassToken('TDEXPOUP-1A2B3C4D')), 'TDEXPOUP-1A2B3C4D');
+});
+
+test('verifyPassToken rejects forged and altered tokens', () => {
+    const token = signPassToken('TDEXPOUP-1A2B3C4D');
+    const [, signature] = token.split('.');
+
+    assert.equal(verifyPassToken(`TDEXPOUP-1A2B3C4E.${signature}`), null);
+    assert.equal(verifyPassToken(`${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`), null);
+    assert.equal(verifyPassToken(`${token}A`), null);
+    assert.equal(verifyPassToken('TDEXPOUP-1A2B3C4D'), null);
+    assert.equal(verifyPassToken(`.${signature}`), null);
+    assert.equal(verifyPassToken(''), null);
+
+    const original = process.env.PASS_SIGNING_SECRET;
+    process.env.PASS_SIGNING_SECRET = 'another-secret-of-another-deployment';
+    const forged = signPassToken('TDEXPOUP-1A2B3C4D');
+    process.env.PASS_SIGNING_SECRET = original;
+    assert.equal(verifyPassToken(forged), null);
+});
+
+test('scan-check-in checks in the visitor whose pass was scanned', async () => {
+    const registration = await createRegistration(db);
+    const response = await scan(signPassToken(registration.registration_id));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(JSON.parse(response.body).data.registration_id, registration.registration_id);
+    assert.ok(await getCheckedInAt(registration.registration_id));
+});
+
+test('scan-check-in rejects a forged pass and records the attempt', async () => {
+    const registration = await createRegistration(db);
+    const [, signature] = signPassToken('TDEXPOUP-00000000').split('.');
+    const response = await scan(`${registration.registration_id}.${signature}`);
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(await getCheckedInAt(registration.registration_id), null);
+    const { rows } = await db.query('SELECT admin_username FROM admin_audit_log WHERE action = $1', [AUDIT_ACTIONS.SCAN_REJECTED]);
+    assert.deepEqual(rows.map(row => row.admin_username), ['gate1']);
+});
+
+test('scan-check-in refuses entry on a valid pass whose payment is not complete', async () => {
+    const registration = await createRegistration(db, { payment_status: PAYMENT_STATUSES.PENDING });
+    const response = await scan(signPassToken(registration.registration_id));
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(await getCheckedInAt(registration.registration_id), null);
+});
@@ -0,0 +1,140 @@
+// /tests/payments.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createRegistration, postEvent, hmacHex } = require('./helpers');
+const { PAYMENT_STATUSES } = require('../netlify/functions/lib/payments');
+
+const confirmPayment = require('../netlify/functions/confirm-payment').handler;
+const razorpayWebhook = require('../netlify/functions/razorpay-webhook').handler;
+
+
+let db;
+before(async () => { db = await createTestDatabase(); });
+after(() => db.close());
+
+let orderCount = 0;
+
+// A registration awaiting payment of its own Razorpay order.
+const createPendingRegistration = () => {
+    orderCount += 1;
+    return createRegistration(db, { payment_status: PAYMENT_STATUSES.PENDING, razorpay_order_id: `order_${orderCount}`, amount_paise: 50000 });
+};
+
+const getRegistration = async (registrationId) =>
+    (await db.query('SELECT * FROM registrations WHERE registration_id = $1', [registrationId])).rows[0];
+
+// What the registration page sends once Razorpay Checkout reports a payment.
+const checkoutEvent = (registration, paymentId, signedWith = process.env.RAZORPAY_KEY_SECRET) => postEvent({
+    registrationId: registration.registration_id,
+    razorpay_order_id: registration.razorpay_order_id,
+    razorpay_payment_id: paymentId,
+    razorpay_signature: hmacHex(`${registration.razorpay_order_id}|${paymentId}`, signedWith),
+});
+
+// A signed webhook delivery. Without `eventId`, it has no x-razorpay-event-id header.
+const webhookEvent = (name, payload, { eventId, signedWith = process.env.RAZORPAY_WEBHOOK_SECRET } = {}) => {
+    const rawBody = JSON.stringify({ entity: 'event', account_id: 'acc_test', event: name, payload, created_at: 1757660000 });
+    return postEvent(rawBody, {
+        'x-razorpay-signature': hmacHex(rawBody, signedWith),
+        ...(eventId ? { 'x-razorpay-event-id': eventId } : {}),
+    });
+};
+
+const paymentPayload = (registration, paymentId) => ({
+    payment: { entity: { id: paymentId, order_id: registration.razorpay_order_id, amount: 50000 } },
+});
+
+test('confirm-payment confirms a registration only with a valid checkout signature', async () => {
+    const registration = await createPendingRegistration();
+
+    const forged = await confirmPayment(checkoutEvent(registration, 'pay_forged', 'not-the-key-secret'));
+    assert.equal(forged.statusCode, 400);
+    assert.equal((await getRegistration(registration.registration_id)).payment_status, PAYMENT_STATUSES.PENDING);
+
+    const confirmed = await confirmPayment(checkoutEvent(registration, 'pay_ok'));
+    assert.equal(confirmed.statusCode, 200);
+    assert.equal(JSON.parse(confirmed.body).registrationData.registrationId, registration.registration_id);
+    const paid = await getRegistration(registration.registration_id);
+    assert.equal(paid.payment_status, PAYMENT_STATUSES.PAID);
+    assert.equal(paid.payment_id, 'pay_ok');
+    assert.ok(paid.paid_at);
+});
+
+test('confirm-payment leaves a registration the webhook already confirmed unchanged', async () => {
+    const registration = await createPendingRegistration();
+    await razorpayWebhook(webhookEvent('payment.captured', paymentPayload(registration, 'pay_first'), { eventId: 'evt_confirm_first' }));
+
+    const response = await confirmPayment(checkoutEvent(registration, 'pay_first'));
+    assert.equal(response.statusCode, 200);
+    assert.equal((await getRegistration(registration.registration_id)).payment_id, 'pay_first');
+});
+
+test('confirm-payment returns 404 for an order that belongs to another registration', async () => {
+    const registration = await createPendingRegistration();
+    const other = await createPendingRegistration();
+    const response = await confirmPayment(checkoutEvent({ ...registration, razorpay_order_id: other.razorpay_order_id }, 'pay_other'));
+
+    assert.equal(response.statusCode, 404);
+    assert.equal((await getRegistration(other.registration_id)).payment_status, PAYMENT_STATUSES.PENDING);
+});
+
+test('razorpay-webhook rejects a delivery with an invalid signature', async () => {
+    const registration = await createPendingRegistration();
+    const response = await razorpayWebhook(webhookEvent('payment.captured', paymentPayload(registration, 'pay_x'), { eventId: 'evt_forged', signedWith: 'another-secret' }));
+
+    assert.equal(response.statusCode, 400);
+    assert.equal((await getRegistration(registration.registration_id)).payment_status, PAYMENT_STATUSES.PENDING);
+    assert.equal((await db.query("SELECT 1 FROM payment_events WHERE event_id = 'evt_forged'")).rows.length, 0);
+});
+
+test('razorpay-webhook applies a redelivered event only once', async () => {
+    const registration = await createPendingRegistration();
+    const refund = { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_refunded', amount: 20000 } } };
+    await razorpayWebhook(webhookEvent('payment.captured', paymentPayload(registration, 'pay_refunded'), { eventId: 'evt_paid' }));
+
+    const first = await razorpayWebhook(webhookEvent('refund.processed', refund, { eventId: 'evt_refund' }));
+    const again = await razorpayWebhook(webhookEvent('refund.processed', refund, { eventId: 'evt_refund' }));
+
+    assert.equal(JSON.parse(first.body).message, 'Event processed.');
+    assert.equal(again.statusCode, 200);
+    assert.equal(JSON.parse(again.body).message, 'Event already processed.');
+    const refunded = await getRegistration(registration.registration_id);
+    assert.equal(refunded.refunded_amount_paise, 20000);
+    assert.equal(refunded.payment_status, PAYMENT_STATUSES.PAID);
+});
+
+test('razorpay-webhook keys a delivery without an event ID on its entity', async () => {
+    const first = await createPendingRegistration();
+    const second = await createPendingRegistration();
+
+    await razorpayWebhook(webhookEvent('payment.captured', paymentPayload(first, 'pay_same_second_1')));
+    const other = await razorpayWebhook(webhookEvent('payment.captured', paymentPayload(second, 'pay_same_second_2')));
+    const redelivered = await razorpayWebhook(webhookEvent('payment.captured', paymentPayload(second, 'pay_same_second_2')));
+
+    assert.equal(JSON.parse(other.body).message, 'Event processed.');
+    assert.equal(JSON.parse(redelivered.body).message, 'Event already processed.');
+    assert.equal((await getRegistration(first.registration_id)).payment_status, PAYMENT_STATUSES.PAID);
+    assert.equal((await getRegistration(second.registration_id)).payment_status, PAYMENT_STATUSES.PAID);
+});
+
+test('razorpay-webhook keeps the first payment of an order that is paid twice', async () => {
+    const registration = await createPendingRegistration();
+    await razorpayWebhook(webhookEvent('payment.captured', paymentPayload(registration, 'pay_one'), { eventId: 'evt_pay_one' }));
+    const response = await razorpayWebhook(webhookEvent('payment.captured', paymentPayload(registration, 'pay_two'), { eventId: 'evt_pay_two' }));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal((await getRegistration(registration.registration_id)).payment_id, 'pay_one');
+});
+
+test('razorpay-webhook marks only a pending payment failed', async () => {
+    const pending = await createPendingRegistration();
+    const paid = await createPendingRegistration();
+    await razorpayWebhook(webhookEvent('payment.captured', paymentPayload(paid, 'pay_paid'), { eventId: 'evt_paid_before_failure' }));
+
+    await razorpayWebhook(webhookEvent('payment.failed', paymentPayload(pending, 'pay_declined'), { eventId: 'evt_failed_1' }));
+    await razorpayWebhook(webhookEvent('payment.failed', paymentPayload(paid, 'pay_declined_late'), { eventId: 'evt_failed_2' }));
+
+    assert.equal((await getRegistration(pending.registration_id)).payment_status, PAYMENT_STATUSES.FAILED);
+    assert.equal((await getRegistration(paid.registration_id)).payment_status, PAYMENT_STATUSES.PAID);
+});
@@ -0,0 +1,46 @@
+// /tests/print-badges.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createAdmin, createRegistration, adminEvent } = require('./helpers');
+const { PAYMENT_STATUSES } = require('../netlify/functions/lib/payments');
+
+const printBadges = require('../netlify/functions/print-badges').handler;
+
+let db;
+let organizer;
+before(async () => {
+    db = await createTestDatabase();
+    organizer = await createAdmin(db);
+});
+after(() => db.close());
+
+const print = (body) => printBadges(adminEvent(organizer, { httpMethod: 'POST', body }));
+
+test('print-badges prints a batch as a PDF and the next batch carries on after it', async () => {
+    for (let i = 0; i < 3; i += 1) {
+        await createRegistration(db, { state: ' Bihar ', payment_status: PAYMENT_STATUSES.FREE });
+    }
+
+    const first = await print({ state: 'bihar', limit: 2 });
+    assert.equal(first.statusCode, 200);
+    assert.equal(Buffer.from(first.body, 'base64').subarray(0, 5).toString(), '%PDF-');
+    assert.equal(first.headers['X-Badge-Count'], '2');
+    assert.equal(first.headers['X-Badges-Remaining'], '1');
+
+    const second = await print({ state: 'Bihar' });
+    assert.equal(second.headers['X-Badge-Count'], '1');
+    assert.equal((await print({ state: 'Bihar' })).statusCode, 404);
+    const { rows } = await db.query("SELECT 1 FROM registrations WHERE state = ' Bihar ' AND badge_printed_at IS NULL");
+    assert.equal(rows.length, 0);
+});
+
+test('print-badges leaves a test print unmarked and caps the batch size', async () => {
+    for (let i = 0; i < 41; i += 1) {
+        await createRegistration(db, { state: 'Goa', payment_status: PAYMENT_STATUSES.FREE });
+    }
+
+    const response = await print({ state: 'Goa', limit: 500, markPrinted: false });
+    assert.equal(response.headers['X-Badge-Count'], '40');
+    assert.equal(response.headers['X-Badges-Remaining'], '41');
+});
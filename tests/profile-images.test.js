@@ -0,0 +1,109 @@
+// /tests/profile-images.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createTestDatabase, formEvent } = require('./helpers');
+const { detectImageType, prepareProfileImage, IMAGE_STATUSES } = require('../netlify/functions/lib/profile-images');
+const { PAYMENT_STATUSES } = require('../netlify/functions/lib/payments');
+
+const submitRegistration = require('../netlify/functions/submit-registration').handler;
+
+
+let db;
+before(async () => {
+    process.env.IMAGE_STORAGE = 'local';
+    process.env.IMAGE_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'expo-images-test-'));
+    db = await createTestDatabase();
+});
+after(() => {
+    fs.rmSync(process.env.IMAGE_STORAGE_DIR, { recursive: true, force: true });
+    return db.close();
+});
+
+const createImage = (format, { width = 800, height = 600 } = {}) =>
+    sharp({ create: { width, height, channels: 3, background: '#3366cc' } })[format]().toBuffer();
+
+const storedImages = () => fs.readdirSync(process.env.IMAGE_STORAGE_DIR);
+
+let phoneCount = 0;
+const registrationForm = (photo, contentType = 'image/jpeg') => formEvent({
+    name: 'Photo Visitor',
+    phone: `80000${String(++phoneCount).padStart(5, '0')}`,
+    firmName: 'Photo Tents',
+    address: '5 Mall Road, Lucknow',
+    district: 'Lucknow',
+    state: 'Uttar Pradesh',
+    attendance: ['Day 1'],
+}, { files: { profileImage: { filename: 'photo.jpg', contentType, content: photo } } });
+
+test('detectImageType goes by the leading bytes, not the file name or MIME type', async () => {
+    assert.equal(detectImageType(await createImage('jpeg')), 'jpeg');
+    assert.equal(detectImageType(await createImage('png')), 'png');
+    assert.equal(detectImageType(await createImage('gif')), null);
+    assert.equal(detectImageType(Buffer.from('%PDF-1.7 not a photo')), null);
+    assert.equal(detectImageType(Buffer.from([0xFF, 0xD8])), null);
+});
+
+test('prepareProfileImage returns a square JPEG without metadata', async () => {
+    const png = await sharp(await createImage('png')).withMetadata({ exif: { IFD0: { Copyright: 'GPS here' } } }).png().toBuffer();
+
+    const { image, error } = await prepareProfileImage(png);
+    assert.equal(error, undefined);
+    const metadata = await sharp(image).metadata();
+    assert.equal(metadata.format, 'jpeg');
+    assert.equal(metadata.width, 512);
+    assert.equal(metadata.height, 512);
+    assert.equal(metadata.exif, undefined);
+});
+
+test('prepareProfileImage refuses files that only look like images', async () => {
+    const truncatedJpeg = (await createImage('jpeg')).subarray(0, 20);
+    assert.match((await prepareProfileImage(truncatedJpeg)).error, /could not be read/);
+    assert.match((await prepareProfileImage(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).error, /JPG or PNG/);
+});
+
+test('submit-registration refuses a disguised file and stores a real photo for review', async () => {
+    const disguised = await submitRegistration(registrationForm(Buffer.from('MZ this is an executable')));
+    assert.equal(disguised.statusCode, 400);
+    assert.deepEqual(storedImages(), []);
+
+    const response = await submitRegistration(registrationForm(await createImage('png'), 'image/png'));
+    assert.equal(response.statusCode, 200);
+    const { registrationData } = JSON.parse(response.body);
+    const { rows: [record] } = await db.query('SELECT image_url, image_status FROM registrations WHERE registration_id = $1', [registrationData.registrationId]);
+    assert.equal(record.image_status, IMAGE_STATUSES.PENDING);
+    const [key] = storedImages();
+    assert.equal(record.image_url, `/.netlify/functions/profile-image?key=${encodeURIComponent(key)}`);
+});
+
+test('submit-registration deletes the stored photo when the registration is not saved', async () => {
+    const before = storedImages();
+    await db.query('ALTER TABLE registrations ADD CONSTRAINT refuse_new_rows CHECK (false) NOT VALID');
+    try {
+        const response = await submitRegistration(registrationForm(await createImage('jpeg')));
+        assert.equal(response.statusCode, 500);
+    } finally {
+        await db.query('ALTER TABLE registrations DROP CONSTRAINT refuse_new_rows');
+    }
+    assert.deepEqual(storedImages(), before);
+});
+
+test('submit-registration keeps a registration and its photo when the payment order cannot be created', async () => {
+    const before = storedImages();
+    process.env.TICKET_PRICE_PAISE = '50000'; // No RAZORPAY_KEY_ID, so creating the order fails.
+    let response;
+    try {
+        response = await submitRegistration(registrationForm(await createImage('jpeg')));
+    } finally {
+        delete process.env.TICKET_PRICE_PAISE;
+    }
+    // The visitor submits the form again to retry the payment.
+    assert.equal(response.statusCode, 502);
+    const { rows: [record] } = await db.query('SELECT payment_status FROM registrations WHERE phone = $1', [`80000${String(phoneCount).padStart(5, '0')}`]);
+    assert.equal(record.payment_status, PAYMENT_STATUSES.PENDING);
+    assert.equal(storedImages().length, before.length + 1);
+});
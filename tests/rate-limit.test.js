@@ -0,0 +1,97 @@
+// /tests/rate-limit.test.js
+
+// Read when the rate limiter is loaded, so set before the functions are required.
+process.env.RATE_LIMIT_VERIFY_OTP = '3/60';
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createAdmin, createRegistration, adminEvent, postEvent } = require('./helpers');
+const { pool } = require('../netlify/functions/lib/db');
+const { LOGIN_LOCKOUT, checkRateLimit } = require('../netlify/functions/lib/rate-limit');
+
+const adminLogin = require('../netlify/functions/admin-login').handler;
+const verifyOtp = require('../netlify/functions/verify-otp').handler;
+const findPass = require('../netlify/functions/find-pass').handler;
+const unmarkCheckedIn = require('../netlify/functions/unmark-checked-in').handler;
+
+let db;
+before(async () => { db = await createTestDatabase(); });
+after(() => db.close());
+
+const loginEvent = (username, password, ip) =>
+    postEvent({ username, password }, { 'x-nf-client-connection-ip': ip });
+
+test('checkRateLimit allows `limit` requests per window and then reports when the next is allowed', async () => {
+    const rule = { limit: 2, windowSeconds: 60 };
+
+    const first = await checkRateLimit('test-bucket', 'client-a', rule);
+    const second = await checkRateLimit('test-bucket', 'client-a', rule);
+    const third = await checkRateLimit('test-bucket', 'client-a', rule);
+    const otherClient = await checkRateLimit('test-bucket', 'client-b', rule);
+
+    assert.deepEqual(first, { allowed: true, remaining: 1, retryAfterSeconds: 0 });
+    assert.equal(second.allowed, true);
+    assert.equal(second.remaining, 0);
+    assert.ok(second.retryAfterSeconds > 0 && second.retryAfterSeconds <= 60);
+    assert.equal(third.allowed, false);
+    assert.equal((await db.query("SELECT 1 FROM rate_limit_hits WHERE bucket = 'test-bucket' AND client_key = 'client-a'")).rows.length, 2);
+    assert.equal(otherClient.allowed, true);
+});
+
+test('every response of a rate-limited route carries Retry-After, and the limit returns 429', async () => {
+    const ip = '198.51.100.10';
+    const responses = [];
+    for (let i = 0; i < 4; i += 1) {
+        responses.push(await verifyOtp(postEvent({ phone: '9000000001', code: '000000' }, { 'x-nf-client-connection-ip': ip })));
+    }
+
+    assert.deepEqual(responses.map(response => response.statusCode), [401, 401, 401, 429]);
+    assert.equal(responses[0].headers['Retry-After'], '0');
+    assert.equal(responses[1].headers['Retry-After'], '0');
+    assert.ok(Number(responses[2].headers['Retry-After']) > 0);
+    assert.ok(Number(responses[3].headers['Retry-After']) > 0);
+});
+
+test('admin-login and verify-otp refuse requests when the limit cannot be checked; other routes let them through', async (t) => {
+    t.after(() => mock.restoreAll());
+    mock.method(pool, 'connect', async () => { throw new Error('database unavailable'); });
+    mock.method(console, 'error', () => {});
+
+    const login = await adminLogin(loginEvent('anyone', 'any password', '198.51.100.20'));
+    const verify = await verifyOtp(postEvent({ phone: '9000000002', code: '123456' }, { 'x-nf-client-connection-ip': '198.51.100.20' }));
+    const pass = await findPass({ httpMethod: 'GET', headers: { 'x-nf-client-connection-ip': '198.51.100.20' }, queryStringParameters: {} });
+
+    assert.equal(login.statusCode, 503);
+    assert.equal(verify.statusCode, 503);
+    assert.equal(pass.statusCode, 401);
+    assert.equal(pass.headers['Retry-After'], undefined);
+});
+
+test('failed logins lock a username out from that IP address only', async () => {
+    await createAdmin(db, { username: 'lockout-test', password: 'correct horse battery' });
+    const ip = '198.51.100.30';
+
+    for (let i = 0; i < LOGIN_LOCKOUT.limit; i += 1) {
+        assert.equal((await adminLogin(loginEvent('lockout-test', 'wrong password', ip))).statusCode, 401);
+    }
+    const lockedOut = await adminLogin(loginEvent('Lockout-Test', 'correct horse battery', ip));
+    const elsewhere = await adminLogin(loginEvent('lockout-test', 'correct horse battery', '198.51.100.31'));
+
+    assert.equal(lockedOut.statusCode, 429);
+    assert.ok(Number(lockedOut.headers['Retry-After']) > 0);
+    assert.equal(elsewhere.statusCode, 200);
+});
+
+test('wrong passwords when undoing a check-in count towards the login lockout', async () => {
+    const admin = await createAdmin(db, { username: 'undo-test', password: 'correct horse battery' });
+    const registration = await createRegistration(db);
+    const undo = (password) => unmarkCheckedIn(adminEvent(admin, {
+        httpMethod: 'POST',
+        body: { registrationId: registration.registration_id, password, day: 'Day 1' },
+    }));
+
+    for (let i = 0; i < LOGIN_LOCKOUT.limit; i += 1) {
+        assert.equal((await undo('wrong password')).statusCode, 403);
+    }
+    assert.equal((await undo('correct horse battery')).statusCode, 429);
+});
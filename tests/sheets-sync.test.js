@@ -0,0 +1,116 @@
+// /tests/sheets-sync.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createRegistration } = require('./helpers');
+const { pool } = require('../netlify/functions/lib/db');
+const { AUDIT_ACTIONS } = require('../netlify/functions/lib/audit');
+const { getEvents } = require('../netlify/functions/lib/events');
+const { createFakeSheetsClient, getSheetHeaders, indexToColumn } = require('../netlify/functions/lib/sheets');
+
+const { pullSheetEdits, pushChanges } = require('../netlify/functions/sync-with-google-sheets');
+
+const NAME_COLUMN = 1;
+const FIRM_COLUMN = 2;
+
+let db;
+let dbClient;
+let expo;
+before(async () => {
+    db = await createTestDatabase();
+    dbClient = await pool.connect();
+    [expo] = await getEvents(pool);
+});
+after(() => db.close());
+
+const rowFor = (sheets, registrationId) => sheets.dump()[expo.sheetName].find(row => row[0] === registrationId);
+
+// Pushes `registration` to a new fake Sheet, so later edits have a baseline to compare with.
+const pushedSheet = async (registration) => {
+    const sheets = createFakeSheetsClient();
+    await db.query('UPDATE registrations SET needs_sync = false WHERE registration_id <> $1', [registration.registration_id]);
+    await pushChanges(dbClient, sheets, expo);
+    return sheets;
+};
+
+// Changes one cell of a registration's row in the fake Sheet, as an organizer would.
+const editCell = async (sheets, registrationId, column, value) => {
+    const rowNumber = sheets.dump()[expo.sheetName].findIndex(row => row[0] === registrationId) + 1;
+    await sheets.batchUpdate([{ range: `${expo.sheetName}!${indexToColumn(column)}${rowNumber}`, values: [[value]] }]);
+};
+
+const getRegistration = async (registrationId) =>
+    (await db.query('SELECT * FROM registrations WHERE registration_id = $1', [registrationId])).rows[0];
+
+test('push writes the header row to an empty Sheet, then updates rows in place', async () => {
+    const registration = await createRegistration(db);
+    const sheets = await pushedSheet(registration);
+
+    const [headers, row] = sheets.dump()[expo.sheetName];
+    assert.deepEqual(headers, getSheetHeaders(expo));
+    assert.equal(row[0], registration.registration_id);
+    assert.equal((await getRegistration(registration.registration_id)).needs_sync, false);
+
+    await db.query("UPDATE registrations SET company = 'Renamed Tents', needs_sync = true WHERE id = $1", [registration.id]);
+    assert.deepEqual(await pushChanges(dbClient, sheets, expo), { updated: 1, appended: 0, stillPending: 0 });
+    assert.equal(sheets.dump()[expo.sheetName].length, 2);
+    assert.equal(rowFor(sheets, registration.registration_id)[FIRM_COLUMN], 'Renamed Tents');
+});
+
+test('push restores a header row that was cleared from the Sheet', async () => {
+    const registration = await createRegistration(db);
+    const sheets = await pushedSheet(registration);
+    await sheets.clear(`${expo.sheetName}!A1:AZ1`);
+
+    await db.query('UPDATE registrations SET needs_sync = true WHERE id = $1', [registration.id]);
+    await pushChanges(dbClient, sheets, expo);
+    assert.deepEqual(sheets.dump()[expo.sheetName][0], getSheetHeaders(expo));
+});
+
+test('pull imports a cell edited only in the Sheet and audits it', async () => {
+    const registration = await createRegistration(db);
+    const sheets = await pushedSheet(registration);
+    await editCell(sheets, registration.registration_id, FIRM_COLUMN, 'Sheet Edited Tents');
+
+    const { applied, conflicts } = await pullSheetEdits(dbClient, sheets, expo);
+
+    assert.deepEqual(applied, [{ registrationId: registration.registration_id, changes: [{ column: 'company', from: 'Test Tents', to: 'Sheet Edited Tents' }] }]);
+    assert.deepEqual(conflicts, []);
+    const updated = await getRegistration(registration.registration_id);
+    assert.equal(updated.company, 'Sheet Edited Tents');
+    assert.equal(updated.needs_sync, true);
+    const { rows: [audit] } = await db.query('SELECT * FROM admin_audit_log WHERE registration_id = $1', [registration.registration_id]);
+    assert.equal(audit.action, AUDIT_ACTIONS.SHEET_IMPORT);
+});
+
+test('pull keeps the database value when both sides changed, or the Sheet value is invalid', async () => {
+    const registration = await createRegistration(db);
+    const sheets = await pushedSheet(registration);
+    await db.query("UPDATE registrations SET company = 'Database Tents' WHERE id = $1", [registration.id]);
+    await editCell(sheets, registration.registration_id, FIRM_COLUMN, 'Sheet Tents');
+    await editCell(sheets, registration.registration_id, NAME_COLUMN, 'X');
+
+    const { applied, conflicts } = await pullSheetEdits(dbClient, sheets, expo);
+
+    assert.deepEqual(applied, []);
+    assert.deepEqual(conflicts.map(c => [c.column, c.reason]).sort(), [['company', 'both_changed'], ['name', 'invalid_value']]);
+    const unchanged = await getRegistration(registration.registration_id);
+    assert.equal(unchanged.company, 'Database Tents');
+    assert.equal(unchanged.name, registration.name);
+
+    await pullSheetEdits(dbClient, sheets, expo);
+    const { rows } = await db.query('SELECT 1 FROM sheet_sync_conflicts WHERE registration_id = $1', [registration.registration_id]);
+    assert.equal(rows.length, 2);
+});
+
+test('pull skips a registration ID that appears on more than one Sheet row', async () => {
+    const registration = await createRegistration(db);
+    const sheets = await pushedSheet(registration);
+    const row = rowFor(sheets, registration.registration_id);
+    await sheets.append(expo.sheetName, [[...row.slice(0, FIRM_COLUMN), 'Copied Tents', ...row.slice(FIRM_COLUMN + 1)]]);
+
+    const { applied, duplicateIds } = await pullSheetEdits(dbClient, sheets, expo);
+
+    assert.deepEqual(applied, []);
+    assert.deepEqual(duplicateIds, [registration.registration_id]);
+});
@@ -0,0 +1,84 @@
+// /tests/visitor-otp.test.js
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, createRegistration, postEvent, formEvent } = require('./helpers');
+
+const requestOtp = require('../netlify/functions/request-otp').handler;
+const verifyOtp = require('../netlify/functions/verify-otp').handler;
+const findPass = require('../netlify/functions/find-pass').handler;
+const updateRegistration = require('../netlify/functions/update-registration').handler;
+
+let db;
+before(async () => { db = await createTestDatabase(); });
+after(() => db.close());
+
+// Requests a code for `phone` and returns the messages the console SMS provider sent.
+const requestCode = async (phone) => {
+    const log = mock.method(console, 'log', () => {});
+    try {
+        const response = await requestOtp(postEvent({ phone }));
+        assert.equal(response.statusCode, 200);
+        return log.mock.calls.map(call => call.arguments[0]).filter(line => line.startsWith('[SMS_STUB]'));
+    } finally {
+        log.mock.restore();
+    }
+};
+
+const codeFrom = (message) => message.match(/registration is (\d{6})/)[1];
+
+test('request-otp texts a code only to a registered number, with the same response either way', async () => {
+    const registration = await createRegistration(db);
+
+    const sent = await requestCode(registration.phone);
+    assert.equal(sent.length, 1);
+    assert.match(sent[0], new RegExp(`^\\[SMS_STUB\\] To ${registration.phone}: `));
+
+    assert.deepEqual(await requestCode('9000000001'), []);
+});
+
+test('verify-otp accepts only the newest code, and only once', async () => {
+    const registration = await createRegistration(db);
+    const firstCode = codeFrom((await requestCode(registration.phone))[0]);
+    const secondCode = codeFrom((await requestCode(registration.phone))[0]);
+    const verify = (code) => verifyOtp(postEvent({ phone: registration.phone, code }));
+
+    if (firstCode !== secondCode) {
+        assert.equal((await verify(firstCode)).statusCode, 401);
+    }
+    const verified = await verify(secondCode);
+    assert.equal(verified.statusCode, 200);
+    assert.equal(JSON.parse(verified.body).registrationData.registrationId, registration.registration_id);
+    assert.equal((await verify(secondCode)).statusCode, 401);
+});
+
+test('verify-otp stops accepting a code after too many wrong guesses', async () => {
+    const registration = await createRegistration(db);
+    const code = codeFrom((await requestCode(registration.phone))[0]);
+    const wrongCode = code === '000000' ? '111111' : '000000';
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+        assert.equal((await verifyOtp(postEvent({ phone: registration.phone, code: wrongCode }))).statusCode, 401);
+    }
+    const response = await verifyOtp(postEvent({ phone: registration.phone, code }));
+    assert.equal(response.statusCode, 401);
+    assert.match(JSON.parse(response.body).error, /expired/);
+});
+
+test('a verified visitor can fetch their pass and update their registration', async () => {
+    const registration = await createRegistration(db);
+    const code = codeFrom((await requestCode(registration.phone))[0]);
+    const { token } = JSON.parse((await verifyOtp(postEvent({ phone: registration.phone, code }))).body);
+
+    const pass = await findPass({ httpMethod: 'GET', headers: { authorization: `Bearer ${token}` } });
+    assert.equal(pass.statusCode, 200);
+    assert.ok(JSON.parse(pass.body).registrationData.passToken);
+    assert.equal((await findPass({ httpMethod: 'GET', headers: {} })).statusCode, 401);
+
+    const updated = await updateRegistration(formEvent({ firmName: 'New Tent House' }, { headers: { authorization: `Bearer ${token}` } }));
+    assert.equal(updated.statusCode, 200);
+    const { rows: [row] } = await db.query('SELECT company, needs_sync, updated_at FROM registrations WHERE id = $1', [registration.id]);
+    assert.equal(row.company, 'New Tent House');
+    assert.equal(row.needs_sync, true);
+    assert.ok(row.updated_at);
+});